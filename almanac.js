@@ -0,0 +1,132 @@
+/*
+ * Tong Shu almanac layer. Every day carries one of the Twelve Day Officers
+ * (建除十二神), counted from the branch of the solar month, and one of the
+ * 28 Lunar Mansions (二十八宿), which turn in an unbroken cycle of days. The
+ * activity rule files (rules/*.json) list the officers and mansions each
+ * activity finds suitable or unsuitable, and the officers it requires or
+ * forbids; scoreAlmanacDay() turns those lists into a score for the chosen
+ * activities.
+ */
+
+// Twelve Day Officers in order, starting with Establish on the day whose
+// branch matches the month branch. `good` follows the Yellow Path rhyme
+// (除危定執黃, 成開皆可用).
+const dayOfficers = [
+    { name: 'Establish', chinese: '建', good: false },
+    { name: 'Remove', chinese: '除', good: true },
+    { name: 'Full', chinese: '滿', good: false },
+    { name: 'Balance', chinese: '平', good: false },
+    { name: 'Stable', chinese: '定', good: true },
+    { name: 'Initiate', chinese: '執', good: true },
+    { name: 'Destruction', chinese: '破', good: false },
+    { name: 'Danger', chinese: '危', good: true },
+    { name: 'Success', chinese: '成', good: true },
+    { name: 'Receive', chinese: '收', good: false },
+    { name: 'Open', chinese: '開', good: true },
+    { name: 'Close', chinese: '閉', good: false }
+];
+
+// The 28 Lunar Mansions in order, beginning with Horn, with their general
+// fortune in the almanac.
+const lunarMansions = [
+    { name: 'Horn', chinese: '角', good: true },
+    { name: 'Neck', chinese: '亢', good: false },
+    { name: 'Root', chinese: '氐', good: false },
+    { name: 'Room', chinese: '房', good: true },
+    { name: 'Heart', chinese: '心', good: false },
+    { name: 'Tail', chinese: '尾', good: true },
+    { name: 'Winnowing Basket', chinese: '箕', good: true },
+    { name: 'Dipper', chinese: '斗', good: true },
+    { name: 'Ox', chinese: '牛', good: false },
+    { name: 'Girl', chinese: '女', good: false },
+    { name: 'Emptiness', chinese: '虛', good: false },
+    { name: 'Rooftop', chinese: '危', good: false },
+    { name: 'Encampment', chinese: '室', good: true },
+    { name: 'Wall', chinese: '壁', good: true },
+    { name: 'Legs', chinese: '奎', good: false },
+    { name: 'Bond', chinese: '婁', good: true },
+    { name: 'Stomach', chinese: '胃', good: true },
+    { name: 'Hairy Head', chinese: '昴', good: false },
+    { name: 'Net', chinese: '畢', good: true },
+    { name: 'Turtle Beak', chinese: '觜', good: false },
+    { name: 'Three Stars', chinese: '參', good: true },
+    { name: 'Well', chinese: '井', good: true },
+    { name: 'Ghost', chinese: '鬼', good: false },
+    { name: 'Willow', chinese: '柳', good: false },
+    { name: 'Star', chinese: '星', good: false },
+    { name: 'Extended Net', chinese: '張', good: true },
+    { name: 'Wings', chinese: '翼', good: false },
+    { name: 'Chariot', chinese: '軫', good: true }
+];
+
+// JDN + 11 is a multiple of 28 on Horn days (1 January 2000 is Stomach).
+const mansionJdnOffset = 11;
+
+/**
+ * Day Officer and Lunar Mansion of a local calendar date. The officer
+ * counts from the month branch in force at noon, so the officer of the day
+ * before repeats on the day a Jie term opens a new solar month.
+ *
+ * @param {Date} date
+ * @returns {{officer: {name: string, chinese: string, good: boolean},
+ *     mansion: {name: string, chinese: string, good: boolean}}}
+ */
+function getAlmanacDay(date) {
+    const year = date.getFullYear();
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
+    const dayBranchIndex = sexagenaryDayIndex(year, month, day) % 12;
+    const monthBranchIndex = earthlyBranches.indexOf(monthPillarAt(new Date(year, month - 1, day, 12)).branch);
+    return {
+        officer: dayOfficers[positiveMod(dayBranchIndex - monthBranchIndex, 12)],
+        mansion: lunarMansions[positiveMod(julianDayNumber(year, month, day) + mansionJdnOffset, 28)]
+    };
+}
+
+/**
+ * Score an almanac day for the selected activities using their rule
+ * profiles. A suitable officer adds 2 and an unsuitable one takes off 3; a
+ * suitable mansion adds 1 and an unsuitable one takes off 1. A forbidden
+ * officer, or an officer missing from a non‑empty required list, rules the
+ * day out for that activity. Activities whose rules list no officers or
+ * mansions fall back to the general fortune of the officer and mansion.
+ *
+ * @param {{officer: {name: string, good: boolean}, mansion: {name: string, good: boolean}}} almanac
+ * @param {string[]} activities
+ * @returns {{score: number, suitable: string[], unsuitable: string[], forbidden: string[]}}
+ *     the score and the activities the day is listed as suitable or
+ *     unsuitable for, or ruled out for
+ */
+function scoreAlmanacDay(almanac, activities) {
+    let score = 0;
+    const suitable = [];
+    const unsuitable = [];
+    const forbidden = [];
+    activities.forEach(act => {
+        const { officers, mansions } = getActivityRule(act);
+        const officer = almanac.officer.name;
+        const mansion = almanac.mansion.name;
+        const listed = [officers.suitable, officers.unsuitable, mansions.suitable, mansions.unsuitable]
+            .some(list => list.length > 0);
+        let actScore = 0;
+        if (listed) {
+            if (officers.suitable.includes(officer)) actScore += 2;
+            if (officers.unsuitable.includes(officer)) actScore -= 3;
+            if (mansions.suitable.includes(mansion)) actScore += 1;
+            if (mansions.unsuitable.includes(mansion)) actScore -= 1;
+        } else {
+            actScore += almanac.officer.good ? 1 : -1;
+            actScore += almanac.mansion.good ? 0.5 : -0.5;
+        }
+        if (officers.forbidden.includes(officer)
+            || (officers.required.length > 0 && !officers.required.includes(officer))) {
+            forbidden.push(act);
+        } else if (actScore > 0) {
+            suitable.push(act);
+        } else if (actScore < 0) {
+            unsuitable.push(act);
+        }
+        score += actScore;
+    });
+    return { score, suitable, unsuitable, forbidden };
+}
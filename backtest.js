@@ -0,0 +1,194 @@
+/*
+ * Backtesting the trading ratings against price history. A CSV of OHLC bars
+ * is read, the trading scoring is run over the dates it covers, and the
+ * returns of "good" and "bad" days are compared, and for intraday bars the
+ * returns inside and outside the recommended trading hours. A bar's return
+ * is close / open − 1, so overnight gaps are not counted; a day built from
+ * intraday bars runs from its first open to its last close.
+ */
+
+// Accepted names of the date column, and of a separate time column
+const priceDateColumns = ['date', 'datetime', 'timestamp', 'time'];
+const priceTimeColumns = ['time'];
+
+/**
+ * Split one CSV line into fields, honouring double quotes.
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields.map(f => f.trim());
+}
+
+/**
+ * Read a bar's date and time. Dates are YYYY-MM-DD or YYYY/MM/DD, optionally
+ * followed by a time (HH:MM or HH:MM:SS, after a space or "T"). Times with
+ * "Z" or an offset are exact instants; other times, and bare dates, are read
+ * in the browser's time zone.
+ *
+ * @param {string} text
+ * @returns {{date: Date, hasTime: boolean}|null} null when the text is not a date
+ */
+function parsePriceTimestamp(text) {
+    const m = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i.exec(text);
+    if (!m) return null;
+    const [, y, mo, d, h, mi, s, offset] = m;
+    if (h === undefined) return { date: new Date(Number(y), Number(mo) - 1, Number(d)), hasTime: false };
+    if (offset) {
+        const iso = `${y}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}T${h.padStart(2, '0')}:${mi}:${s || '00'}`
+            + (offset.toUpperCase() === 'Z' ? 'Z' : offset.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2'));
+        return { date: new Date(iso), hasTime: true };
+    }
+    return { date: new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s || 0)), hasTime: true };
+}
+
+/**
+ * Read OHLC bars from CSV text with a header row. The header needs a date
+ * column (date, datetime, timestamp or time), optionally a separate time
+ * column, and open, high, low and close; other columns such as volume are
+ * ignored. Throws an error from localisedError() naming the first line that
+ * cannot be read.
+ *
+ * @param {string} text
+ * @returns {{bars: Array<{start: Date, open: number, high: number, low: number, close: number}>, intraday: boolean}}
+ *     bars in time order, duplicates dropped; `intraday` when the bars carry times
+ */
+function parsePriceCsv(text) {
+    const lines = String(text).replace(/^\ufeff/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) throw localisedError('error.prices.noRows');
+    const header = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+    const dateIndex = header.findIndex(name => priceDateColumns.includes(name));
+    const timeIndex = header.findIndex((name, i) => i !== dateIndex && priceTimeColumns.includes(name));
+    const columns = ['open', 'high', 'low', 'close'].map(name => header.indexOf(name));
+    if (dateIndex < 0 || columns.some(i => i < 0)) {
+        throw localisedError('error.prices.header');
+    }
+    const seen = new Set();
+    const bars = [];
+    let intraday = false;
+    lines.slice(1).forEach((line, i) => {
+        const fields = splitCsvLine(line);
+        const stamp = timeIndex >= 0 ? `${fields[dateIndex]} ${fields[timeIndex]}` : fields[dateIndex];
+        const parsed = parsePriceTimestamp(stamp || '');
+        const [open, high, low, close] = columns.map(index => Number(fields[index]));
+        if (!parsed || isNaN(parsed.date.getTime()) || [open, high, low, close].some(n => !isFinite(n) || n <= 0)) {
+            throw localisedError('error.prices.line', { line: i + 2 });
+        }
+        if (seen.has(parsed.date.getTime())) return;
+        seen.add(parsed.date.getTime());
+        intraday = intraday || parsed.hasTime;
+        bars.push({ start: parsed.date, open, high, low, close });
+    });
+    bars.sort((a, b) => a.start - b.start);
+    return { bars, intraday };
+}
+
+/**
+ * Summary statistics of a list of returns: the mean, the standard deviation
+ * (volatility), the share of positive returns (hit rate) and the compounded
+ * return of taking every one of them.
+ *
+ * @param {number[]} returns - as fractions, e.g. 0.01 for +1%
+ * @returns {{count: number, mean: number, stdDev: number, hitRate: number, compounded: number}}
+ *     all zero for an empty list
+ */
+function summariseReturns(returns) {
+    const count = returns.length;
+    if (count === 0) return { count: 0, mean: 0, stdDev: 0, hitRate: 0, compounded: 0 };
+    const mean = returns.reduce((sum, r) => sum + r, 0) / count;
+    const variance = count > 1 ? returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (count - 1) : 0;
+    return {
+        count,
+        mean,
+        stdDev: Math.sqrt(variance),
+        hitRate: returns.filter(r => r > 0).length / count,
+        compounded: returns.reduce((growth, r) => growth * (1 + r), 1) - 1
+    };
+}
+
+/**
+ * Compare price returns with the trading ratings. Each calendar day of the
+ * bars is matched with its entry from generateGoodDates(); days without an
+ * entry (e.g. closed exchange days) are counted in `unmatched`. For intraday
+ * bars, each bar starting inside one of its day's recommended trading hours
+ * counts as recommended, the others as not.
+ *
+ * @param {{bars: Array<Object>, intraday: boolean}} prices - from parsePriceCsv()
+ * @param {Array<{date: Date, bad: boolean, score: number, hours: Array<{activity: string, start: Date, end: Date}>}>} goodDates
+ * @returns {{from: Date, to: Date, intraday: boolean, barCount: number, unmatched: number,
+ *     days: {good: Object, bad: Object, all: Object}, hours: {recommended: Object, other: Object}|null,
+ *     series: Array<{date: Date, return: number, bad: boolean, score: number}>}} statistics from summariseReturns()
+ */
+function runBacktest(prices, goodDates) {
+    const ratings = new Map(goodDates.map(item => [formatLocalDate(item.date), item]));
+    const days = new Map();
+    prices.bars.forEach(bar => {
+        const key = formatLocalDate(bar.start);
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(bar);
+    });
+    const series = [];
+    const hourReturns = { recommended: [], other: [] };
+    let unmatched = 0;
+    days.forEach((bars, key) => {
+        const rating = ratings.get(key);
+        if (!rating) {
+            unmatched++;
+            return;
+        }
+        series.push({
+            date: rating.date,
+            return: bars[bars.length - 1].close / bars[0].open - 1,
+            bad: rating.bad,
+            score: rating.score
+        });
+        if (!prices.intraday) return;
+        const hours = rating.hours.filter(hr => hr.activity === 'trading');
+        bars.forEach(bar => {
+            const inHour = hours.some(hr => bar.start >= hr.start && bar.start < hr.end);
+            hourReturns[inHour ? 'recommended' : 'other'].push(bar.close / bar.open - 1);
+        });
+    });
+    const returnsOf = list => list.map(day => day.return);
+    return {
+        from: prices.bars[0].start,
+        to: prices.bars[prices.bars.length - 1].start,
+        intraday: prices.intraday,
+        barCount: prices.bars.length,
+        unmatched,
+        days: {
+            good: summariseReturns(returnsOf(series.filter(day => !day.bad))),
+            bad: summariseReturns(returnsOf(series.filter(day => day.bad))),
+            all: summariseReturns(returnsOf(series))
+        },
+        hours: prices.intraday
+            ? { recommended: summariseReturns(hourReturns.recommended), other: summariseReturns(hourReturns.other) }
+            : null,
+        series
+    };
+}
@@ -0,0 +1,159 @@
+/*
+ * Calendar helpers shared by the BaZi chart and the date selection logic.
+ * Day pillars are read from a continuous day count (the Julian Day Number)
+ * so that every Gregorian date maps onto the unbroken 60‑day sexagenary
+ * cycle used by the Chinese almanacs.
+ */
+
+const heavenlyStems = ['Jia', 'Yi', 'Bing', 'Ding', 'Wu', 'Ji', 'Geng', 'Xin', 'Ren', 'Gui'];
+const earthlyBranches = ['Zi', 'Chou', 'Yin', 'Mao', 'Chen', 'Si', 'Wu', 'Wei', 'Shen', 'You', 'Xu', 'Hai'];
+
+// 1 October 1949 is a well documented Jia‑Zi day. Its Julian Day Number
+// anchors the 60‑day cycle; every other day is counted from it.
+const jiaZiAnchorJdn = 2433191;
+
+/**
+ * Modulo that always returns a non‑negative remainder, so day counts before
+ * the anchor still land inside the cycle.
+ *
+ * @param {number} n
+ * @param {number} m
+ * @returns {number}
+ */
+function positiveMod(n, m) {
+    return ((n % m) + m) % m;
+}
+
+/**
+ * Julian Day Number of a proleptic Gregorian calendar date (the integer day
+ * count beginning at noon). Works for any year, including years before the
+ * Gregorian reform and negative astronomical years.
+ *
+ * @param {number} year
+ * @param {number} month - 1‑12
+ * @param {number} day - 1‑31
+ * @returns {number}
+ */
+function julianDayNumber(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y
+        + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+/**
+ * Position (0 = Jia‑Zi … 59 = Gui‑Hai) of a calendar date within the 60‑day
+ * cycle.
+ *
+ * @param {number} year
+ * @param {number} month - 1‑12
+ * @param {number} day - 1‑31
+ * @returns {number}
+ */
+function sexagenaryDayIndex(year, month, day) {
+    return positiveMod(julianDayNumber(year, month, day) - jiaZiAnchorJdn, 60);
+}
+
+/**
+ * Resolve a sexagenary index into its stem and branch names.
+ *
+ * @param {number} index - 0‑59
+ * @returns {{stem: string, branch: string}}
+ */
+function sexagenaryPair(index) {
+    const i = positiveMod(index, 60);
+    return { stem: heavenlyStems[i % 10], branch: earthlyBranches[i % 12] };
+}
+
+/**
+ * Sexagenary index of a stem/branch pair. Only pairs of equal polarity exist
+ * in the cycle; the result is the unique index with those remainders.
+ *
+ * @param {number} stemIndex - 0‑9
+ * @param {number} branchIndex - 0‑11
+ * @returns {number}
+ */
+function sexagenaryIndexOf(stemIndex, branchIndex) {
+    return positiveMod(6 * stemIndex - 5 * branchIndex, 60);
+}
+
+/**
+ * Year pillar in effect at an instant. The solar year, and with it the Year
+ * pillar, changes at Li Chun rather than on 1 January.
+ *
+ * @param {Date} date
+ * @returns {{stem: string, branch: string, index: number, year: number}}
+ */
+function yearPillarAt(date) {
+    let year = date.getUTCFullYear();
+    if (date < getLiChun(year)) {
+        year -= 1;
+    }
+    // 4 CE was a Jia‑Zi year
+    const index = positiveMod(year - 4, 60);
+    return { ...sexagenaryPair(index), index, year };
+}
+
+/**
+ * Month pillar in effect at an instant. The branch follows the solar month
+ * opened by the last Jie term; the stem follows the Five Tigers rule, which
+ * starts the Yin month of a Jia or Ji year on Bing, of a Yi or Geng year on
+ * Wu, and so on.
+ *
+ * @param {Date} date
+ * @returns {{stem: string, branch: string, index: number}}
+ */
+function monthPillarAt(date) {
+    const monthIndex = getSolarMonthIndex(date);
+    const yearStemIndex = yearPillarAt(date).index % 10;
+    const stemIndex = ((yearStemIndex % 5) * 2 + 2 + monthIndex) % 10;
+    const branchIndex = (monthIndex + 2) % 12;
+    const index = sexagenaryIndexOf(stemIndex, branchIndex);
+    return { ...sexagenaryPair(index), index };
+}
+
+/**
+ * Compute the day pillar (stem and branch) for a given Date object from its
+ * local calendar date. When `lateZiRollover` is set, times from 23:00
+ * onwards already belong to the following day, as in the schools that start
+ * the day at the beginning of the Zi hour.
+ *
+ * @param {Date} dateObj
+ * @param {{lateZiRollover?: boolean}} [options]
+ * @returns {{stem: string, branch: string, index: number}}
+ */
+function computeDayStemBranch(dateObj, options = {}) {
+    let index = sexagenaryDayIndex(dateObj.getFullYear(), dateObj.getMonth() + 1, dateObj.getDate());
+    if (options.lateZiRollover && dateObj.getHours() >= 23) {
+        index = positiveMod(index + 1, 60);
+    }
+    return { ...sexagenaryPair(index), index };
+}
+
+/**
+ * Hour pillar for a day stem and an hour branch, following the Five Rats
+ * rule: the Zi hour of a Jia or Ji day is Jia‑Zi, of a Yi or Geng day
+ * Bing‑Zi, of a Bing or Xin day Wu‑Zi, of a Ding or Ren day Geng‑Zi and of a
+ * Wu or Gui day Ren‑Zi; the following hours count on from there.
+ *
+ * @param {number} dayStemIndex - 0‑9
+ * @param {number} hourBranchIndex - 0 (Zi) … 11 (Hai)
+ * @returns {{stem: string, branch: string, index: number}}
+ */
+function hourPillarFor(dayStemIndex, hourBranchIndex) {
+    const stemIndex = ((dayStemIndex % 5) * 2 + hourBranchIndex) % 10;
+    const index = sexagenaryIndexOf(stemIndex, hourBranchIndex);
+    return { ...sexagenaryPair(index), index };
+}
+
+/**
+ * Branch index of the double‑hour containing a clock hour: Zi covers 23:00
+ * to 01:00, Chou 01:00 to 03:00 and so on.
+ *
+ * @param {number} hour - 0‑23
+ * @returns {number}
+ */
+function hourBranchIndexFor(hour) {
+    return Math.floor((hour + 1) / 2) % 12;
+}
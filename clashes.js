@@ -0,0 +1,183 @@
+/*
+ * Branch conflicts between a candidate day and the user's natal chart. The
+ * day, month and year pillars of the candidate date are compared with the
+ * four natal pillars for the Six Clashes (六沖), Three Punishments (三刑),
+ * Six Harms (六害) and Destruction (六破); the day itself is checked for
+ * the Year and Month Breaker (歲破, 月破) and the Three Killings (三煞).
+ */
+
+// Pairs of branches (by name) for the pairwise relations. A clash is any
+// two branches six places apart.
+const sixHarmPairs = [['Zi', 'Wei'], ['Chou', 'Wu'], ['Yin', 'Si'], ['Mao', 'Chen'], ['Shen', 'Hai'], ['You', 'Xu']];
+const destructionPairs = [['Zi', 'You'], ['Wu', 'Mao'], ['Chen', 'Chou'], ['Xu', 'Wei'], ['Yin', 'Hai'], ['Si', 'Shen']];
+
+// Punishment groups: any two different members punish each other. The four
+// self‑punishing branches punish their own kind.
+const punishmentGroups = [['Yin', 'Si', 'Shen'], ['Chou', 'Xu', 'Wei'], ['Zi', 'Mao']];
+const selfPunishmentBranches = ['Chen', 'Wu', 'You', 'Hai'];
+
+// Three Killings: the three branches opposite the frame (三合) of a branch.
+// Shen-Zi-Chen (Water) kills in the South, Yin-Wu-Xu (Fire) in the North,
+// Si-You-Chou (Metal) in the East and Hai-Mao-Wei (Wood) in the West.
+const threeKillingsFrames = [
+    { frame: ['Shen', 'Zi', 'Chen'], killings: ['Si', 'Wu', 'Wei'] },
+    { frame: ['Yin', 'Wu', 'Xu'], killings: ['Hai', 'Zi', 'Chou'] },
+    { frame: ['Si', 'You', 'Chou'], killings: ['Yin', 'Mao', 'Chen'] },
+    { frame: ['Hai', 'Mao', 'Wei'], killings: ['Shen', 'You', 'Xu'] }
+];
+
+// Score penalty of a natal conflict, by relation and by which candidate
+// pillar meets which natal pillar. The candidate's month and year pillars
+// last for weeks, so only their clashes with the natal Year or Day branch
+// count. Clashes of the day against the natal Year or Day branch make the
+// day unusable.
+const natalConflictPenalties = {
+    Clash: { Day: { Year: 6, Day: 6, Month: 3, Hour: 3 }, other: { Year: 1, Day: 1 } },
+    Punishment: { Day: { Year: 2, Day: 2, Month: 1, Hour: 1 }, other: {} },
+    Harm: { Day: { Year: 2, Day: 2, Month: 1, Hour: 1 }, other: {} },
+    Destruction: { Day: { Year: 1, Day: 1, Month: 0.5, Hour: 0.5 }, other: {} }
+};
+
+// How each relation reads in an English explanation (see t() for the
+// other languages)
+const branchRelationVerbs = {
+    Clash: 'clashes with',
+    Punishment: 'punishes',
+    Harm: 'harms',
+    Destruction: 'destroys'
+};
+
+/**
+ * Whether an unordered pair of branches appears in a pair table.
+ *
+ * @param {Array<string[]>} pairs
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isBranchPair(pairs, a, b) {
+    return pairs.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+}
+
+/**
+ * Whether two branches clash (stand six places apart).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function branchesClash(a, b) {
+    const i = earthlyBranches.indexOf(a);
+    const j = earthlyBranches.indexOf(b);
+    return i >= 0 && j >= 0 && positiveMod(i - j, 12) === 6;
+}
+
+/**
+ * Whether two branches punish each other.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function branchesPunish(a, b) {
+    if (a === b) return selfPunishmentBranches.includes(a);
+    return punishmentGroups.some(group => group.includes(a) && group.includes(b));
+}
+
+/**
+ * All conflicting relations between two branches.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {string[]} any of 'Clash', 'Punishment', 'Harm', 'Destruction'
+ */
+function branchRelations(a, b) {
+    const relations = [];
+    if (branchesClash(a, b)) relations.push('Clash');
+    if (branchesPunish(a, b)) relations.push('Punishment');
+    if (isBranchPair(sixHarmPairs, a, b)) relations.push('Harm');
+    if (isBranchPair(destructionPairs, a, b)) relations.push('Destruction');
+    return relations;
+}
+
+/**
+ * The Three Killings branches for a year or month branch.
+ *
+ * @param {string} branch
+ * @returns {string[]}
+ */
+function threeKillingsFor(branch) {
+    const entry = threeKillingsFrames.find(f => f.frame.includes(branch));
+    return entry ? entry.killings : [];
+}
+
+/**
+ * Check a candidate date against the natal chart and the day's own year and
+ * month. Each conflict is named and carries a score penalty; `fatal` is set
+ * when the day clashes the natal Year or Day branch or is a Year or Month
+ * Breaker, and such days should not be used. Descriptions are in the
+ * current language (see i18n.js); names stay in English for term().
+ *
+ * @param {Date} date - local calendar date
+ * @param {Array<{pillar: string, stem: string, branch: string}>|null} natalChart - from calculateBaZi() or the override
+ * @param {string} [owner] - whose chart it is, as it reads in the descriptions ("Ann's"); "your" by default
+ * @returns {{penalty: number, fatal: boolean, conflicts: Array<{name: string, description: string, penalty: number, fatal: boolean}>}}
+ */
+function assessDayConflicts(date, natalChart, owner = t('owner.you')) {
+    const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    const candidate = {
+        Year: yearPillarAt(noon),
+        Month: monthPillarAt(noon),
+        Day: computeDayStemBranch(date)
+    };
+    const conflicts = [];
+    const add = (name, description, penalty, fatal = false) => {
+        conflicts.push({ name, description, penalty, fatal });
+    };
+
+    // The day against its own year and month
+    const dayBranch = candidate.Day.branch;
+    const names = {
+        day: term('branch', dayBranch),
+        month: term('branch', candidate.Month.branch),
+        year: term('branch', candidate.Year.branch)
+    };
+    if (branchesClash(dayBranch, candidate.Year.branch)) {
+        add('Year Breaker', t('conflict.yearBreaker', names), 6, true);
+    }
+    if (branchesClash(dayBranch, candidate.Month.branch)) {
+        add('Month Breaker', t('conflict.monthBreaker', names), 6, true);
+    }
+    // The Three Killings of a day are read from the month branch
+    if (threeKillingsFor(candidate.Month.branch).includes(dayBranch)) {
+        add('Three Killings', t('conflict.threeKillings', names), 2);
+    }
+
+    // The day, month and year pillars against the natal pillars
+    (natalChart || []).forEach(natal => {
+        if (!natal || !natal.branch) return;
+        ['Day', 'Month', 'Year'].forEach(pillar => {
+            const branch = candidate[pillar].branch;
+            branchRelations(branch, natal.branch).forEach(relation => {
+                const weights = natalConflictPenalties[relation];
+                const penalty = weights[pillar === 'Day' ? 'Day' : 'other'][natal.pillar] || 0;
+                if (penalty <= 0) return;
+                const fatal = relation === 'Clash' && pillar === 'Day' && (natal.pillar === 'Year' || natal.pillar === 'Day');
+                add(relation, t('conflict.natal', {
+                    branch: term('branch', branch),
+                    pillar: t(`pillar.${pillar.toLowerCase()}`),
+                    verb: t(`conflict.verb.${relation}`, {}, branchRelationVerbs[relation]),
+                    owner,
+                    natalPillar: term('pillar', natal.pillar),
+                    natalBranch: term('branch', natal.branch)
+                }), penalty, fatal);
+            });
+        });
+    });
+
+    return {
+        penalty: conflicts.reduce((sum, c) => sum + c.penalty, 0),
+        fatal: conflicts.some(c => c.fatal),
+        conflicts
+    };
+}
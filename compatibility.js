@@ -0,0 +1,158 @@
+/*
+ * Compatibility between the natal charts of two people. The Day Masters are
+ * compared for a Heavenly Stem combination (五合) and for the relation of
+ * their elements, including whether one person's Day Master supplies the
+ * other's Useful element. The Day branches (the spouse palace) and the Year
+ * branches are compared for the Six Combinations (六合) and Three Harmony
+ * frames (三合) as well as the conflicts in clashes.js.
+ */
+
+// Stem pairs that combine, and the element they transform into
+const stemCombinations = [
+    { stems: ['Jia', 'Ji'], element: 'Earth' },
+    { stems: ['Yi', 'Geng'], element: 'Metal' },
+    { stems: ['Bing', 'Xin'], element: 'Water' },
+    { stems: ['Ding', 'Ren'], element: 'Wood' },
+    { stems: ['Wu', 'Gui'], element: 'Fire' }
+];
+
+const sixCombinationPairs = [['Zi', 'Chou'], ['Yin', 'Hai'], ['Mao', 'Xu'], ['Chen', 'You'], ['Si', 'Shen'], ['Wu', 'Wei']];
+
+// Score of each branch relation between the two charts, by the pillar
+// compared. The Day branch is the spouse palace and counts the most.
+const natalPairWeights = {
+    'Six Combination': { Day: 2, Year: 1 },
+    'Three Harmony': { Day: 1, Year: 0.5 },
+    Clash: { Day: -3, Year: -1.5 },
+    Punishment: { Day: -1.5, Year: -0.5 },
+    Harm: { Day: -1, Year: -0.5 },
+    Destruction: { Day: -0.5, Year: -0.25 }
+};
+
+// How each harmonious relation reads in an explanation, in English (see
+// i18n.js for the other languages)
+const branchHarmonyVerbs = {
+    'Six Combination': 'combines with',
+    'Three Harmony': 'is in a Three Harmony frame with'
+};
+
+/**
+ * The combination formed by two stems, or null.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {{stems: string[], element: string}|null}
+ */
+function stemCombination(a, b) {
+    return stemCombinations.find(c => c.stems.includes(a) && c.stems.includes(b) && a !== b) || null;
+}
+
+/**
+ * Harmonious relations between two branches.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {string[]} any of 'Six Combination', 'Three Harmony'
+ */
+function branchHarmonies(a, b) {
+    const relations = [];
+    if (isBranchPair(sixCombinationPairs, a, b)) relations.push('Six Combination');
+    if (a !== b && threeKillingsFrames.some(f => f.frame.includes(a) && f.frame.includes(b))) {
+        relations.push('Three Harmony');
+    }
+    return relations;
+}
+
+/**
+ * Compare the natal charts of two people. The notes are written in the
+ * current language.
+ *
+ * @param {{name: string, chart: Array<{pillar: string, stem: string, branch: string}>, analysis: Object|null}} a
+ * @param {{name: string, chart: Array<{pillar: string, stem: string, branch: string}>, analysis: Object|null}} b
+ * @returns {{names: string[], score: number,
+ *     notes: Array<{description: string, score: number}>}}
+ */
+function compareNatalCharts(a, b) {
+    const notes = [];
+    const add = (description, score) => notes.push({ description, score });
+    const pillarOf = (person, name) => person.chart.find(p => p.pillar === name) || null;
+    const ownerA = t('owner.named', { name: a.name });
+    const ownerB = t('owner.named', { name: b.name });
+    const element = el => term('element', el);
+
+    // The Day Masters
+    const dayA = pillarOf(a, 'Day');
+    const dayB = pillarOf(b, 'Day');
+    if (dayA && dayB && stemElements[dayA.stem] && stemElements[dayB.stem]) {
+        const combination = stemCombination(dayA.stem, dayB.stem);
+        if (combination) {
+            add(t('compat.stemCombination', { a: term('stem', dayA.stem), b: term('stem', dayB.stem), element: element(combination.element) }), 3);
+        }
+        const elA = stemElements[dayA.stem];
+        const elB = stemElements[dayB.stem];
+        const relation = elementRelation(elB, elA);
+        const aToB = { owner: ownerA, element: element(elA), other: ownerB, otherElement: element(elB) };
+        const bToA = { owner: ownerB, element: element(elB), other: ownerA, otherElement: element(elA) };
+        if (relation === 'companion') {
+            add(t('compat.sameElement', { element: element(elA) }), 0.5);
+        } else if (relation === 'output') {
+            add(t('compat.generates', aToB), 1);
+        } else if (relation === 'resource') {
+            add(t('compat.generates', bToA), 1);
+        } else if (relation === 'wealth') {
+            add(t('compat.controls', aToB), -1);
+        } else {
+            add(t('compat.controls', bToA), -1);
+        }
+        // Each person's Day Master may carry the other's Useful element
+        if (b.analysis && elA === b.analysis.usefulElement) {
+            add(t('compat.useful', aToB), 1);
+        }
+        if (a.analysis && elB === a.analysis.usefulElement) {
+            add(t('compat.useful', bToA), 1);
+        }
+    }
+
+    // The Day and Year branches
+    ['Day', 'Year'].forEach(pillar => {
+        const pa = pillarOf(a, pillar);
+        const pb = pillarOf(b, pillar);
+        if (!pa || !pb) return;
+        const branches = verb => t('compat.branch', {
+            owner: ownerA,
+            pillar: term('pillar', pillar),
+            branch: term('branch', pa.branch),
+            verb,
+            other: ownerB,
+            otherBranch: term('branch', pb.branch)
+        });
+        branchHarmonies(pa.branch, pb.branch).forEach(relation => {
+            add(branches(t(`compat.verb.${relation}`, {}, branchHarmonyVerbs[relation])), natalPairWeights[relation][pillar]);
+        });
+        branchRelations(pa.branch, pb.branch).forEach(relation => {
+            add(branches(t(`conflict.verb.${relation}`, {}, branchRelationVerbs[relation])), natalPairWeights[relation][pillar]);
+        });
+    });
+
+    return {
+        names: [a.name, b.name],
+        score: notes.reduce((sum, n) => sum + n.score, 0),
+        notes
+    };
+}
+
+/**
+ * Compare every pair of participants.
+ *
+ * @param {Array<Object>} participants - see compareNatalCharts()
+ * @returns {Array<Object>} one comparison per pair
+ */
+function compareParticipants(participants) {
+    const pairs = [];
+    for (let i = 0; i < participants.length; i++) {
+        for (let j = i + 1; j < participants.length; j++) {
+            pairs.push(compareNatalCharts(participants[i], participants[j]));
+        }
+    }
+    return pairs;
+}
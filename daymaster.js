@@ -0,0 +1,161 @@
+/*
+ * Day Master strength and Useful God (用神) analysis. All eight characters
+ * of the chart are weighed by their element against the Day Master: those
+ * of its own element (companions) or of the element that generates it
+ * (resource) support it, the rest drain or control it. The month branch
+ * carries the most weight and also sets the seasonal state of the Day
+ * Master. A strong Day Master is then balanced by draining or controlling
+ * elements, a weak one by supporting elements (the 扶抑 method).
+ */
+
+const stemElements = {
+    Jia: 'Wood', Yi: 'Wood', Bing: 'Fire', Ding: 'Fire', Wu: 'Earth',
+    Ji: 'Earth', Geng: 'Metal', Xin: 'Metal', Ren: 'Water', Gui: 'Water'
+};
+const branchElements = {
+    Zi: 'Water', Chou: 'Earth', Yin: 'Wood', Mao: 'Wood', Chen: 'Earth', Si: 'Fire',
+    Wu: 'Fire', Wei: 'Earth', Shen: 'Metal', You: 'Metal', Xu: 'Earth', Hai: 'Water'
+};
+
+// Generating cycle; each element's controller is two steps further on.
+const elementCycle = ['Wood', 'Fire', 'Earth', 'Metal', 'Water'];
+
+// Weight of each character. The month branch holds the seasonal command.
+const characterWeights = {
+    Year: { stem: 1, branch: 1 },
+    Month: { stem: 1, branch: 2.5 },
+    Day: { stem: 0, branch: 1.5 },
+    Hour: { stem: 1, branch: 1 }
+};
+
+// Seasonal state of the Day Master in its birth month (旺相休囚死), by the
+// relation of the month branch's element to the Day Master's element.
+const seasonalStates = {
+    companion: { name: 'Prosperous', chinese: '旺', modifier: 1.5 },
+    resource: { name: 'Strengthened', chinese: '相', modifier: 1 },
+    output: { name: 'Resting', chinese: '休', modifier: -0.5 },
+    wealth: { name: 'Trapped', chinese: '囚', modifier: -1 },
+    officer: { name: 'Dead', chinese: '死', modifier: -1.5 }
+};
+
+/**
+ * Relation of an element to the Day Master's element: 'companion' (same),
+ * 'resource' (generates it), 'output' (it generates), 'wealth' (it
+ * controls) or 'officer' (controls it).
+ *
+ * @param {string} element
+ * @param {string} dayElement
+ * @returns {string}
+ */
+function elementRelation(element, dayElement) {
+    const step = positiveMod(elementCycle.indexOf(element) - elementCycle.indexOf(dayElement), 5);
+    return ['companion', 'output', 'wealth', 'officer', 'resource'][step];
+}
+
+/**
+ * The element standing in a given relation to the Day Master's element.
+ *
+ * @param {string} relation - see elementRelation()
+ * @param {string} dayElement
+ * @returns {string}
+ */
+function elementForRelation(relation, dayElement) {
+    const step = ['companion', 'output', 'wealth', 'officer', 'resource'].indexOf(relation);
+    return elementCycle[(elementCycle.indexOf(dayElement) + step) % 5];
+}
+
+/**
+ * Weigh the chart and pick the Useful, Favourable and Unfavourable
+ * elements.
+ *
+ * @param {Array<{pillar: string, stem: string, branch: string}>} chart - Year, Month, Day, Hour
+ * @returns {{dayMaster: string, element: string, strength: string, index: number,
+ *     season: {name: string, chinese: string, modifier: number},
+ *     weights: Object<string, number>, usefulElement: string,
+ *     favourableElements: string[], unfavourableElements: string[], reasoning: string[]}|null}
+ *     null when the chart has no Day stem
+ */
+function analyseDayMaster(chart) {
+    const day = chart.find(p => p.pillar === 'Day');
+    const month = chart.find(p => p.pillar === 'Month');
+    if (!day || !stemElements[day.stem]) return null;
+    const dayElement = stemElements[day.stem];
+
+    // Weigh every character by its relation to the Day Master
+    const weights = { companion: 0, resource: 0, output: 0, wealth: 0, officer: 0 };
+    chart.forEach(p => {
+        const w = characterWeights[p.pillar];
+        if (!w) return;
+        if (stemElements[p.stem]) weights[elementRelation(stemElements[p.stem], dayElement)] += w.stem;
+        if (branchElements[p.branch]) weights[elementRelation(branchElements[p.branch], dayElement)] += w.branch;
+    });
+    const support = weights.companion + weights.resource;
+    const against = weights.output + weights.wealth + weights.officer;
+    const seasonRelation = month && branchElements[month.branch]
+        ? elementRelation(branchElements[month.branch], dayElement)
+        : 'companion';
+    const season = seasonalStates[seasonRelation];
+    const index = support - against + season.modifier;
+    const strong = index >= 0;
+
+    // The reasoning is written in the current language (see i18n.js)
+    const element = el => term('element', el);
+    const reasoning = [
+        t('analysis.season', {
+            stem: term('stem', day.stem),
+            element: element(dayElement),
+            branch: month ? term('branch', month.branch) : '?',
+            season: term('season', season.name),
+            seasonChinese: season.chinese
+        }),
+        t('analysis.weights', { support, against, ...weights })
+    ];
+
+    // Pick the Useful God by what makes the Day Master strong or weak
+    let useful;
+    let favourable;
+    if (strong) {
+        if (weights.resource > weights.companion) {
+            useful = 'wealth';
+            favourable = ['output'];
+            reasoning.push(t('analysis.strongResource', { element: element(elementForRelation('wealth', dayElement)) }));
+        } else {
+            useful = 'output';
+            favourable = ['wealth', 'officer'];
+            reasoning.push(t('analysis.strongCompanions', { element: element(elementForRelation('output', dayElement)) }));
+        }
+    } else {
+        const heaviest = ['officer', 'wealth', 'output'].reduce((a, b) => (weights[b] > weights[a] ? b : a));
+        if (heaviest === 'wealth') {
+            useful = 'companion';
+            favourable = ['resource'];
+            reasoning.push(t('analysis.weakWealth', { element: element(dayElement) }));
+        } else {
+            useful = 'resource';
+            favourable = ['companion'];
+            const key = heaviest === 'officer' ? 'analysis.weakOfficers' : 'analysis.weakOutput';
+            reasoning.push(t(key, { element: element(elementForRelation('resource', dayElement)) }));
+        }
+    }
+    const usefulElement = elementForRelation(useful, dayElement);
+    const favourableElements = favourable.map(r => elementForRelation(r, dayElement));
+    const unfavourableElements = elementCycle.filter(el => el !== usefulElement && !favourableElements.includes(el));
+    reasoning.push(t('analysis.elements', {
+        useful: element(usefulElement),
+        favourable: joinList(favourableElements.map(element)),
+        unfavourable: joinList(unfavourableElements.map(element))
+    }));
+
+    return {
+        dayMaster: day.stem,
+        element: dayElement,
+        strength: strong ? 'strong' : 'weak',
+        index,
+        season,
+        weights,
+        usefulElement,
+        favourableElements,
+        unfavourableElements,
+        reasoning
+    };
+}
@@ -0,0 +1,687 @@
+/*
+ * The date-scoring engine. generateGoodDates() scores every day of a range
+ * against one or more charts and builds the explanation of each day; it
+ * reads no page state beyond its arguments (and, by default, the user's
+ * chart in the page globals), so it runs the same on the page and in the
+ * scoring worker (worker.js).
+ */
+
+// Longest range a search may cover, in days (about two years)
+const maxRangeDays = 731;
+
+/**
+ * Generate auspicious dates within the provided range. Every day is scored
+ * from the Qi Men charts of its time slots against the user's Day Master
+ * element; trading lists each day of the range while other activities keep
+ * the best scoring days. Every scored day is returned as well, for views
+ * that show or rank more than the suggested dates. The result depends only
+ * on the inputs, so repeated searches give the same dates, hours and
+ * explanations.
+ *
+ * With two or more participants (compatibility mode) every day and hour is
+ * scored against each person's chart; only hours and days that pass every
+ * person's filters are returned, each day with a breakdown per person.
+ *
+ * With exchanges chosen for trading, days on which none of them trades are
+ * skipped and trading is only recommended in double-hours that overlap an
+ * open session (see exchanges.js); each such hour says which sessions it
+ * overlaps, in the browser's time.
+ *
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string[]} activities
+ * @param {Array<{name: string, chart: Array<Object>|null, analysis: Object|null, luck: Object|null}>|null} [participants]
+ *     people the dates must suit; defaults to the user's chart in the page globals
+ * @param {{exchanges: string[], extended: boolean}|null} [market] - exchanges to trade on, with or
+ *     without their pre-market and after-hours sessions
+ * @param {function(number, number)|null} [onProgress] - called with the days scored so far and
+ *     the days in the range after each day
+ * @returns {{goodDates: Array<{date: Date, reasons: string, hours: Array<{activity: string, time: string, tenGod: string, start: Date, end: Date, session?: string}>,
+ *     bad: boolean, score: number, breakdown?: Array<{name: string, score: number, bad: boolean, text: string}>}>,
+ *     days: Array<Object>}} `goodDates` are the suggested dates; `days` are all the days
+ *     scored, in date order, the suggested ones among them (the same objects)
+ */
+function generateGoodDates(start, end, activities, participants = null, market = null, onProgress = null) {
+    const diffDays = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    const results = [];
+
+    // The people the dates must suit: the user alone, or every participant
+    // of a compatibility search
+    const people = participants || [{
+        name: t('participant.you'),
+        chart: globalThis.userBaZiChart || null,
+        analysis: globalThis.userChartAnalysis || null,
+        luck: globalThis.userLuckPillars || null
+    }];
+    const jointMode = people.length > 1;
+
+    // Determine whether trading is among the activities. If so, we will
+    // provide an entry for every day in the range. Otherwise we will
+    // generate a limited subset of dates.
+    const tradingSelected = activities.includes('trading');
+    // Trading on chosen exchanges follows their sessions and holidays
+    const marketMode = tradingSelected && !!market && market.exchanges.length > 0;
+    let numberOfSuggestions;
+    if (tradingSelected) {
+        numberOfSuggestions = diffDays;
+    } else {
+        const maxSuggestions = 12;
+        if (diffDays <= 7) {
+            numberOfSuggestions = Math.min(3, diffDays);
+        } else if (diffDays <= 30) {
+            numberOfSuggestions = Math.min(6, diffDays);
+        } else {
+            numberOfSuggestions = Math.min(maxSuggestions, diffDays);
+        }
+    }
+
+    // The twelve double‑hours of a day. `hour` is a clock hour inside the
+    // slot; the Qi Men chart for that double‑hour supplies the door, star and
+    // deity of the slot. `start` is the clock hour the slot begins at: the
+    // Zi hour begins at 23:00 on the previous evening.
+    const slotDefinitions = [
+        { time: '23:00–01:00', hour: 0, start: -1 },
+        { time: '01:00–03:00', hour: 1, start: 1 },
+        { time: '03:00–05:00', hour: 3, start: 3 },
+        { time: '05:00–07:00', hour: 5, start: 5 },
+        { time: '07:00–09:00', hour: 7, start: 7 },
+        { time: '09:00–11:00', hour: 9, start: 9 },
+        { time: '11:00–13:00', hour: 11, start: 11 },
+        { time: '13:00–15:00', hour: 13, start: 13 },
+        { time: '15:00–17:00', hour: 15, start: 15 },
+        { time: '17:00–19:00', hour: 17, start: 17 },
+        { time: '19:00–21:00', hour: 19, start: 19 },
+        { time: '21:00–23:00', hour: 21, start: 21 }
+    ];
+
+    /**
+     * Score how one influence's element serves the user's chart. The Useful
+     * element is rewarded most, Favourable elements less, and Unfavourable
+     * elements are penalised; `strong` is used for the door, which is
+     * considered the primary influence on timing.
+     *
+     * @param {string} el
+     * @param {Object|null} analysis - from analyseDayMaster()
+     * @param {boolean} strong
+     * @returns {number}
+     */
+    function elementSynergy(el, analysis, strong) {
+        if (!analysis || !el) return 0;
+        if (el === analysis.usefulElement) return strong ? 2 : 1;
+        if (analysis.favourableElements.includes(el)) return strong ? 1 : 0.5;
+        if (analysis.unfavourableElements.includes(el)) return strong ? -2 : -0.5;
+        return 0;
+    }
+
+    /**
+     * Compute a synergy score between the influences (door, star, deity) and
+     * the user's chart. Influences carrying the Useful or Favourable
+     * elements are rewarded and those carrying Unfavourable elements are
+     * penalised, so a strong Day Master is helped by being drained and a
+     * weak one by being supported. Door matches are weighted more heavily
+     * than star or deity matches because doors are considered the primary
+     * influence on timing. Each part is further multiplied by the
+     * activity's element weights. The parts are returned separately so a
+     * score can be broken down; their sum is the synergy score.
+     *
+     * @param {string} doorEl
+     * @param {string} starEl
+     * @param {string} deityEl
+     * @param {Object|null} analysis - from analyseDayMaster()
+     * @param {{door: number, star: number, deity: number}} [weights]
+     * @returns {{door: number, star: number, deity: number}}
+     */
+    function computeInfluenceScore(doorEl, starEl, deityEl, analysis, weights = { door: 1, star: 1, deity: 1 }) {
+        return {
+            door: elementSynergy(doorEl, analysis, true) * weights.door,
+            star: elementSynergy(starEl, analysis, false) * weights.star,
+            deity: elementSynergy(deityEl, analysis, false) * weights.deity
+        };
+    }
+
+    /**
+     * How an influence's element bears on a chart: its relation to the Day
+     * Master's element (see elementRelation()) and its role in the chart,
+     * "useful", "favourable", "unfavourable" or "neutral". Both are empty
+     * without an analysis.
+     *
+     * @param {string} el
+     * @param {Object|null} analysis - from analyseDayMaster()
+     * @returns {{element: string, relation: string, role: string}}
+     */
+    function elementInteraction(el, analysis) {
+        if (!analysis || !el) return { element: el, relation: '', role: '' };
+        let role = 'neutral';
+        if (el === analysis.usefulElement) role = 'useful';
+        else if (analysis.favourableElements.includes(el)) role = 'favourable';
+        else if (analysis.unfavourableElements.includes(el)) role = 'unfavourable';
+        return { element: el, relation: elementRelation(el, analysis.element), role };
+    }
+
+    /**
+     * Score a palace against the doors, stars and deities an activity's rule
+     * profile prefers (+1 each) or avoids (−1 each).
+     *
+     * @param {{door: string, star: string, deity: string}} palace
+     * @param {Object} rule - activity rule profile
+     * @returns {number}
+     */
+    function computePreferenceScore(palace, rule) {
+        let score = 0;
+        [['doors', palace.door], ['stars', palace.star], ['deities', palace.deity]].forEach(([key, value]) => {
+            if (rule.preferred[key].includes(value)) score += 1;
+            if (rule.avoided[key].includes(value)) score -= 1;
+        });
+        return score;
+    }
+
+    /**
+     * Score the hour pillar's Ten Gods against the ones an activity's rule
+     * profile prefers or avoids: ±1 for the hour stem and ±0.5 for the main
+     * hidden stem of the hour branch.
+     *
+     * @param {{stem: string, branch: string}} hourPillar
+     * @param {Object|null} analysis - Day Master analysis from analyseDayMaster()
+     * @param {Object} rule - activity rule profile
+     * @returns {number}
+     */
+    function computeTenGodScore(hourPillar, analysis, rule) {
+        if (!analysis) return 0;
+        let score = 0;
+        const stemGod = tenGodOf(analysis.dayMaster, hourPillar.stem);
+        const branchGod = tenGodOf(analysis.dayMaster, (hiddenStems[hourPillar.branch] || [])[0]);
+        if (rule.tenGods.preferred.includes(stemGod)) score += 1;
+        if (rule.tenGods.avoided.includes(stemGod)) score -= 1;
+        if (rule.tenGods.preferred.includes(branchGod)) score += 0.5;
+        if (rule.tenGods.avoided.includes(branchGod)) score -= 0.5;
+        return score;
+    }
+
+    /**
+     * Evaluate one time slot of a day for an activity. Each outer palace of
+     * the double‑hour's Qi Men chart is scored against each person's
+     * element and the activity's rule profile; the palace with the best
+     * total gives the slot its influences and the direction to face, and the
+     * Ten Gods of the hour pillar adjust each person's score. The slot is
+     * labelled with its clock range and its hour pillar, e.g. "23:00–01:00
+     * Bing‑Zi", and carries the Ten God of the hour stem for the first
+     * person. `parts` breaks the score down into the door, star and deity
+     * synergy, the rule preferences and the Ten Gods, summed over people.
+     *
+     * @param {Object} chart - from computeQiMenChart()
+     * @param {{time: string, hour: number, start: number}} slotDef
+     * @param {Array<Object|null>} analyses - Day Master analysis of each person, from analyseDayMaster()
+     * @param {Object} rule - activity rule profile
+     * @returns {{time:string,hourPillar:{stem:string,branch:string},tenGod:string,door:string,star:string,deity:string,direction:string,chart:Object,score:number,scores:number[],
+     *     parts:{door:number,star:number,deity:number,preferences:number,tenGods:number}}}
+     */
+    function evaluateSlot(chart, slotDef, analyses, rule) {
+        const tenGodScores = analyses.map(analysis => computeTenGodScore(chart.hourPillar, analysis, rule));
+        let best = null;
+        qiMenRing.forEach(p => {
+            const palace = chart.palaces[p];
+            const preferenceScore = computePreferenceScore(palace, rule);
+            const influences = analyses.map(analysis => computeInfluenceScore(
+                doorElementMap[palace.door] || '',
+                starElementMap[palace.star] || '',
+                deityElementMap[palace.deity] || '',
+                analysis,
+                rule.elementWeights
+            ));
+            const scores = influences.map((parts, i) => parts.door + parts.star + parts.deity + preferenceScore + tenGodScores[i]);
+            const score = scores.reduce((sum, value) => sum + value, 0);
+            if (!best || score > best.score) {
+                const total = key => influences.reduce((sum, parts) => sum + parts[key], 0);
+                best = {
+                    time: `${slotDef.time} ${pillarTerm(chart.hourPillar.stem, chart.hourPillar.branch)}`,
+                    hourPillar: chart.hourPillar,
+                    tenGod: analyses[0] ? tenGodOf(analyses[0].dayMaster, chart.hourPillar.stem) : '',
+                    door: palace.door,
+                    star: palace.star,
+                    deity: palace.deity,
+                    direction: palace.direction,
+                    chart,
+                    score,
+                    scores,
+                    parts: {
+                        door: total('door'),
+                        star: total('star'),
+                        deity: total('deity'),
+                        preferences: preferenceScore * analyses.length,
+                        tenGods: tenGodScores.reduce((sum, value) => sum + value, 0)
+                    }
+                };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Whether a slot passes one person's filters in compatibility mode: the
+     * slot must not score below zero for them and its hour branch must not
+     * clash with their natal Year or Day branch.
+     *
+     * @param {{hourPillar: {branch: string}, scores: number[]}} slot
+     * @param {{chart: Array<{pillar: string, branch: string}>|null}} person
+     * @param {number} index - position of the person in `people`
+     * @returns {boolean}
+     */
+    function slotSuitsPerson(slot, person, index) {
+        if (slot.scores[index] < 0) return false;
+        return !(person.chart || []).some(natal =>
+            (natal.pillar === 'Year' || natal.pillar === 'Day') && branchesClash(slot.hourPillar.branch, natal.branch));
+    }
+
+    /**
+     * Build hour recommendations for a given day and selected activities. Every
+     * time slot is scored for each activity with its rule profile and the
+     * activity receives its three best slots (earlier slots win ties). The
+     * scores of the chosen slots are summed so the date scoring can consider
+     * the quality of each chosen window. In compatibility mode only slots
+     * that suit every person are kept, and activities left without one are
+     * listed in `missing`. Each hour carries the instants its slot starts and
+     * ends at. Given the day's exchange sessions, trading only keeps slots
+     * that overlap one of them. `activityScores` sums the chosen slots of
+     * each activity. `timeline` lists all twelve slots with their score
+     * summed over the activities, the influences the first activity reads
+     * from them and whether the slot is recommended.
+     *
+     * @param {Date} date
+     * @param {string[]} activities
+     * @param {Array<{exchange: string, type: string, start: Date, end: Date}>|null} [sessions]
+     * @returns {{hours: Array<{activity:string,time:string,start:Date,end:Date,session?:string,hourPillar:{stem:string,branch:string},door:string,star:string,deity:string,direction:string,chart:Object,score:number,scores:number[]}>,
+     *     totalScore:number, totals:number[], activityScores:Object<string, number>, missing:string[],
+     *     timeline:Array<{time:string,start:Date,end:Date,hourPillar:Object,score:number,recommended:boolean,door:string,star:string,deity:string,direction:string}>}}
+     */
+    function buildHourRecommendationsWithScore(date, activities, sessions = null) {
+        const hours = [];
+        let totalScore = 0;
+        const totals = people.map(() => 0);
+        const activityScores = {};
+        const missing = [];
+        const analyses = people.map(person => person.analysis);
+        const charts = slotDefinitions.map(slotDef =>
+            computeQiMenChart(new Date(date.getFullYear(), date.getMonth(), date.getDate(), slotDef.hour)));
+        const slotsNeeded = 3;
+        const timeline = slotDefinitions.map((slotDef, idx) => ({
+            time: slotDef.time,
+            start: new Date(date.getFullYear(), date.getMonth(), date.getDate(), slotDef.start),
+            end: new Date(date.getFullYear(), date.getMonth(), date.getDate(), slotDef.start + 2),
+            hourPillar: charts[idx].hourPillar,
+            score: 0,
+            recommended: false
+        }));
+        activities.forEach((act, actIndex) => {
+            const rule = getActivityRule(act);
+            const evaluated = slotDefinitions.map((slotDef, idx) => evaluateSlot(charts[idx], slotDef, analyses, rule));
+            evaluated.forEach((slot, idx) => {
+                timeline[idx].score += slot.score;
+                if (actIndex === 0) {
+                    Object.assign(timeline[idx], { door: slot.door, star: slot.star, deity: slot.deity, direction: slot.direction });
+                }
+            });
+            let ranked = evaluated
+                .map((slot, idx) => ({ slot, idx }))
+                .sort((a, b) => (b.slot.score - a.slot.score) || (a.idx - b.idx))
+                .map(entry => ({ ...entry.slot, start: timeline[entry.idx].start, end: timeline[entry.idx].end }));
+            if (sessions && act === 'trading') {
+                ranked = ranked
+                    .map(slot => ({ ...slot, open: sessions.filter(s => s.start < slot.end && s.end > slot.start) }))
+                    .filter(slot => slot.open.length > 0)
+                    .map(({ open, ...slot }) => ({ ...slot, session: describeSlotSessions(open, slot.start, slot.end) }));
+            }
+            if (jointMode) {
+                ranked = ranked.filter(slot => people.every((person, i) => slotSuitsPerson(slot, person, i)));
+            }
+            if ((jointMode || sessions) && ranked.length === 0) missing.push(act);
+            activityScores[act] = 0;
+            ranked.slice(0, slotsNeeded).forEach(slot => {
+                totalScore += slot.score;
+                activityScores[act] += slot.score;
+                slot.scores.forEach((value, i) => { totals[i] += value; });
+                hours.push({ activity: act, ...slot });
+                timeline.find(entry => entry.start.getTime() === slot.start.getTime()).recommended = true;
+            });
+        });
+        return { hours, totalScore, totals, activityScores, missing, timeline };
+    }
+
+    /**
+     * One person's side of a day in compatibility mode: their score, whether
+     * the day passes their filters and a sentence saying why.
+     *
+     * @param {{person: Object, hoursScore: number, conflicts: Object, periods: Object, score: number, bad: boolean}} verdict
+     * @param {Object} almanac - almanac day with its score
+     * @param {string[]} missing - activities without an hour that suits everyone
+     * @returns {{name: string, score: number, bad: boolean, text: string}}
+     */
+    function describePersonDay(verdict, almanac, missing) {
+        const { person, conflicts, periods } = verdict;
+        const signed = n => `${n < 0 ? '−' : '+'}${formatLocaleNumber(Math.abs(n), 1)}`;
+        const phrases = acts => acts.map(act => activityLabel(act, 'phrase')).join(t('list.and'));
+        const describeConflict = (c, key) => t(key, { name: term('conflict', c.name), description: c.description });
+        const fatal = conflicts.conflicts.filter(c => c.fatal);
+        const minor = conflicts.conflicts.filter(c => !c.fatal);
+        let outcome;
+        if (fatal.length) {
+            outcome = t('person.ruledOut', { conflicts: fatal.map(c => describeConflict(c, 'reason.ruledOutItem')).join(t('list.and')) });
+        } else if (almanac.forbidden.length) {
+            outcome = t('person.forbidden', { officer: term('officer', almanac.officer.name), activities: phrases(almanac.forbidden) });
+        } else if (missing.length) {
+            outcome = t('person.missing', { activities: phrases(missing) });
+        } else if (verdict.score <= 0) {
+            outcome = t('person.tooLow');
+        } else {
+            outcome = t('person.works');
+        }
+        const dayMaster = person.analysis
+            ? t('person.dayMaster', {
+                strength: term('strength', person.analysis.strength),
+                element: term('element', person.analysis.element),
+                useful: term('element', person.analysis.usefulElement)
+            })
+            : '';
+        const conflictNote = minor.length
+            ? t('reason.conflicts', { conflicts: minor.map(c => describeConflict(c, 'reason.conflictItem')).join(t('list.semicolon')) })
+            : '';
+        const luck = periods.luck ? t('person.luck', { luck: pillarTerm(periods.luck.stem, periods.luck.branch) }) : '';
+        return {
+            name: person.name,
+            score: verdict.score,
+            bad: verdict.bad,
+            text: t('person.text', {
+                name: person.name,
+                dayMaster,
+                outcome,
+                hours: signed(verdict.hoursScore),
+                almanac: signed(almanac.score),
+                conflicts: signed(-conflicts.penalty),
+                luck,
+                annual: pillarTerm(periods.annual.stem, periods.annual.branch),
+                periods: signed(periods.score),
+                total: signed(verdict.score),
+                conflictNote
+            })
+        };
+    }
+
+    /**
+     * Score one day of the range and build its result entry. The day score
+     * adds the almanac score of its Day Officer and Lunar Mansion to the
+     * scores of the chosen time slots and subtracts the penalties of its
+     * conflicts with the natal chart, and weighs the luck pillar and year in
+     * effect on the date against the chart; a day is favourable when it is
+     * positive and neither a conflict nor a forbidden Day Officer rules it
+     * out.
+     *
+     * The entry keeps the score of each hour with its parts, the parts of
+     * the day score (`scoreParts`: the hour parts summed, then the almanac,
+     * conflict and luck and year scores, each summed over people) and a
+     * score per activity (`activityScores`: its own hours and almanac score
+     * plus the conflict and period scores of the day), for ranking dates by
+     * activity. `timeline` describes all twelve double-hours of the day for
+     * the day's detail view, each influence with its element and how that
+     * element bears on the (first person's) chart.
+     *
+     * @param {Date} date
+     * @param {Array<{exchange: string, type: string, start: Date, end: Date}>|null} [sessions] - exchange sessions of the day
+     * @returns {{date: Date, reasons: string, hours: Array<{activity:string,time:string,score:number,scoreParts:Object}>, bad: boolean, score: number,
+     *     scoreParts: Object<string, number>, activityScores: Object<string, number>,
+     *     timeline: Array<{time: string, start: Date, end: Date, hourPillar: {stem: string, branch: string}, score: number, recommended: boolean,
+     *     direction: string, influences: Array<{kind: string, name: string, element: string, relation: string, role: string}>}>}}
+     */
+    function evaluateDay(date, sessions = null) {
+        // Determine the day pillar (stem and branch) for the candidate date.
+        const dayInfo = computeDayStemBranch(date);
+        const dayBranch = dayInfo.branch;
+        // Build hour recommendations with influence scoring
+        const { hours, totals, activityScores, missing, timeline } = buildHourRecommendationsWithScore(date, activities, sessions);
+        // Day Officer and Lunar Mansion from the almanac
+        const almanacDay = getAlmanacDay(date);
+        const almanac = { ...almanacDay, ...scoreAlmanacDay(almanacDay, activities) };
+        // For each person: clashes, punishments and breakers against their
+        // natal chart, and the luck pillar and annual pillar in effect
+        const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+        const annual = yearPillarAt(noon);
+        const verdicts = people.map((person, i) => {
+            const conflicts = assessDayConflicts(date, person.chart, jointMode ? t('owner.named', { name: person.name }) : t('owner.you'));
+            const periods = { luck: luckPillarAt(person.luck, noon), annual };
+            periods.score = scorePeriodPillar(periods.luck, person.analysis)
+                + 0.5 * scorePeriodPillar(periods.annual, person.analysis);
+            const score = totals[i] + almanac.score - conflicts.penalty + periods.score;
+            const bad = score <= 0 || conflicts.fatal || almanac.forbidden.length > 0 || missing.length > 0;
+            return { person, hoursScore: totals[i], conflicts, periods, score, bad };
+        });
+        const dayScore = verdicts.reduce((sum, v) => sum + v.score, 0);
+        const isBad = verdicts.some(v => v.bad);
+        // Where the day score comes from, and the score of each activity
+        const hourPart = key => hours.reduce((sum, h) => sum + h.parts[key], 0);
+        const conflictScore = -verdicts.reduce((sum, v) => sum + v.conflicts.penalty, 0);
+        const periodScore = verdicts.reduce((sum, v) => sum + v.periods.score, 0);
+        const scoreParts = {
+            door: hourPart('door'),
+            star: hourPart('star'),
+            deity: hourPart('deity'),
+            preferences: hourPart('preferences'),
+            tenGods: hourPart('tenGods'),
+            almanac: almanac.score * people.length,
+            conflicts: conflictScore,
+            periods: periodScore
+        };
+        const scoresByActivity = {};
+        activities.forEach(act => {
+            scoresByActivity[act] = activityScores[act] + scoreAlmanacDay(almanacDay, [act]).score * people.length
+                + conflictScore + periodScore;
+        });
+        // Strip influences from hours for display purposes
+        const simpleHours = hours.map(h => ({
+            activity: h.activity, time: h.time, tenGod: h.tenGod, start: h.start, end: h.end,
+            score: h.score, scoreParts: h.parts,
+            ...(h.session ? { session: h.session } : {})
+        }));
+        const elementMaps = { door: doorElementMap, star: starElementMap, deity: deityElementMap };
+        const dayTimeline = timeline.map(slot => ({
+            time: slot.time,
+            start: slot.start,
+            end: slot.end,
+            hourPillar: slot.hourPillar,
+            score: slot.score,
+            recommended: slot.recommended,
+            direction: slot.direction,
+            influences: ['door', 'star', 'deity'].map(kind => ({
+                kind,
+                name: slot[kind],
+                ...elementInteraction(elementMaps[kind][slot[kind]] || '', people[0].analysis)
+            }))
+        }));
+
+        if (jointMode) {
+            const names = joinList(people.map(p => p.name));
+            const failing = verdicts.filter(v => v.bad).map(v => v.person.name);
+            const activitiesList = joinList(activities.map(act => activityLabel(act, 'phrase')));
+            return {
+                date,
+                reasons: failing.length
+                    ? t('reason.jointFails', { activities: activitiesList, names: joinList(failing) })
+                    : t('reason.jointSuits', { activities: activitiesList, names }),
+                hours: simpleHours,
+                bad: isBad,
+                score: dayScore,
+                scoreParts,
+                activityScores: scoresByActivity,
+                timeline: dayTimeline,
+                breakdown: verdicts.map(v => describePersonDay(v, almanac, missing))
+            };
+        }
+
+        // A day whose hours all fell away, e.g. with no slot in an exchange
+        // session, has nothing to recommend
+        if (hours.length === 0) {
+            return {
+                date,
+                reasons: t('reason.noHours'),
+                hours: simpleHours,
+                bad: true,
+                score: dayScore,
+                scoreParts,
+                activityScores: scoresByActivity,
+                timeline: dayTimeline
+            };
+        }
+
+        // The best slot of the first activity supplies the influences for the explanation
+        const primary = hours[0];
+        const qiMen = { ...primary.chart, direction: primary.direction };
+        const door = primary.door;
+        const star = primary.star;
+        const deity = primary.deity;
+        const doorElement = doorElementMap[door] || '';
+        const starElement = starElementMap[star] || '';
+        const deityElement = deityElementMap[deity] || '';
+        const { conflicts, periods } = verdicts[0];
+        const reason = buildReason(activities, door, star, deity, doorElement, starElement, deityElement, dayBranch, qiMen.yuan, people[0].analysis, !isBad, qiMen, almanac, conflicts.conflicts, periods);
+        return {
+            date,
+            reasons: reason,
+            hours: simpleHours,
+            bad: isBad,
+            score: dayScore,
+            scoreParts,
+            activityScores: scoresByActivity,
+            timeline: dayTimeline
+        };
+    }
+
+    // Every day of the range is scored. Trading lists every day, or every
+    // day a chosen exchange is open during one of its double-hours; other
+    // activities keep the highest scoring days, earlier dates winning ties,
+    // so the same profile, activities and range always give the same dates.
+    const candidates = [];
+    for (let i = 0; i < diffDays; i++) {
+        const currentDate = new Date(start.getTime());
+        currentDate.setDate(currentDate.getDate() + i);
+        let sessions = null;
+        if (marketMode) {
+            // The day's double-hours run from 23:00 the evening before to 23:00
+            const from = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate(), -1);
+            const to = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate(), 23);
+            sessions = exchangeSessionsBetween(market.exchanges, from, to, market.extended);
+        }
+        if (!sessions || sessions.length > 0) candidates.push(evaluateDay(currentDate, sessions));
+        if (onProgress) onProgress(i + 1, diffDays);
+    }
+    // In compatibility mode only the days that suit everyone are kept
+    const eligible = jointMode ? candidates.filter(c => !c.bad) : candidates;
+    if (tradingSelected) {
+        results.push(...eligible);
+    } else {
+        const ranked = eligible.slice().sort((a, b) => (b.score - a.score) || (a.date - b.date));
+        results.push(...ranked.slice(0, numberOfSuggestions));
+    }
+    // Sort results chronologically
+    results.sort((a, b) => a.date - b.date);
+    return { goodDates: results, days: candidates };
+}
+
+/**
+ * Build an explanatory reason string for a given set of influences. Incorporates
+ * the activities, Qi Men door, star and deity, the door's element, the
+ * day branch and Yuan, the almanac's Day Officer and Lunar Mansion, any
+ * conflicts with the natal chart, and whether the energies serve the Useful
+ * and Favourable elements of the user's chart. The sentences and terms are
+ * in the current language (see i18n.js).
+ *
+ * @param {string[]} activities
+ * @param {string} door
+ * @param {string} star
+ * @param {string} deity
+ * @param {string} doorElement
+ * @param {string} starElement
+ * @param {string} deityElement
+ * @param {string} dayBranch
+ * @param {string} yuan
+ * @param {Object|null} analysis - Day Master analysis from analyseDayMaster()
+ * @param {boolean} favourable - whether the influences serve the Useful or Favourable element
+ * @param {{dun: string, ju: number, yuan: string, term: string, direction: string}|null} [qiMen] - chart the influences were read from
+ * @param {{officer: {name: string, chinese: string}, mansion: {name: string, chinese: string}, suitable: string[], unsuitable: string[], forbidden: string[]}|null} [almanac] - Day Officer, Lunar Mansion and the activities they favour or oppose
+ * @param {Array<{name: string, description: string, fatal: boolean}>} [conflicts] - clashes and breakers found by assessDayConflicts()
+ * @param {{luck: {stem: string, branch: string}|null, annual: {stem: string, branch: string}, score: number}|null} [periods] - luck and annual pillars in effect
+ * @returns {string}
+ */
+function buildReason(activities, door, star, deity, doorElement, starElement, deityElement, dayBranch, yuan, analysis, favourable, qiMen = null, almanac = null, conflicts = [], periods = null) {
+    // Activity phrases come from the rule files
+    const describeActivity = act => activityLabel(act, 'phrase');
+    const activitiesList = joinList(activities.map(describeActivity));
+    // Describe where in the Qi Men cycle the influences were read
+    const chartNote = qiMen
+        ? t('reason.chart', {
+            dun: term('dun', qiMen.dun),
+            ju: qiMen.ju,
+            yuan: term('yuan', qiMen.yuan),
+            term: term('solarTerm', qiMen.term),
+            branch: term('branch', dayBranch),
+            direction: term('direction', qiMen.direction)
+        })
+        : t('reason.yuan', { yuan: term('yuan', yuan), branch: term('branch', dayBranch) });
+    // Cite the almanac's Day Officer and Lunar Mansion
+    let almanacNote = '';
+    if (almanac) {
+        almanacNote = t('reason.almanac', {
+            officer: term('officer', almanac.officer.name),
+            officerChinese: almanac.officer.chinese,
+            mansion: term('mansion', almanac.mansion.name),
+            mansionChinese: almanac.mansion.chinese
+        });
+        const listed = [];
+        ['suitable', 'unsuitable', 'forbidden'].forEach(key => {
+            if (almanac[key].length) listed.push(t(`reason.${key}`, { activities: joinList(almanac[key].map(describeActivity)) }));
+        });
+        almanacNote += listed.length ? t('reason.almanacLists', { lists: listed.join(t('list.and')) }) : t('reason.almanacEnd');
+    }
+    // How the luck pillar and the year in effect bear on the chart
+    let periodNote = '';
+    if (periods) {
+        let effect = 'neutral';
+        if (periods.score > 0) effect = 'positive';
+        if (periods.score < 0) effect = 'negative';
+        periodNote = t(`reason.periods.${periods.luck ? 'both' : 'year'}.${effect}`, {
+            luck: periods.luck ? pillarTerm(periods.luck.stem, periods.luck.branch) : '',
+            annual: pillarTerm(periods.annual.stem, periods.annual.branch)
+        });
+    }
+    // Name each conflict with the natal chart or the day's own year and month;
+    // conflicts that rule the day out lead the explanation
+    const describeConflict = (c, key) => t(key, { name: term('conflict', c.name), description: c.description });
+    const ruledOut = conflicts.filter(c => c.fatal);
+    const minorConflicts = conflicts.filter(c => !c.fatal);
+    const conflictNote = minorConflicts.length
+        ? t('reason.conflicts', { conflicts: minorConflicts.map(c => describeConflict(c, 'reason.conflictItem')).join(t('list.semicolon')) })
+        : '';
+    const notes = `${chartNote}${almanacNote}${conflictNote}${periodNote}`;
+    if (!favourable && ruledOut.length) {
+        return t('reason.ruledOut', {
+            activities: activitiesList,
+            conflicts: ruledOut.map(c => describeConflict(c, 'reason.ruledOutItem')).join(t('list.and'))
+        }) + notes;
+    }
+    // Describe the Day Master and the elements it needs
+    const dayMasterNote = analysis
+        ? t('reason.dayMaster', {
+            strength: term('strength', analysis.strength),
+            element: term('element', analysis.element),
+            useful: term('element', analysis.usefulElement)
+        })
+        : t('reason.dayMasterPlain');
+    // Compose explanation based on favourability and elemental interactions
+    const influences = {
+        activities: activitiesList,
+        door: term('door', door),
+        doorElement: term('element', doorElement),
+        star: term('star', star),
+        starElement: term('element', starElement),
+        deity: term('deity', deity),
+        deityElement: term('element', deityElement),
+        dayMaster: dayMasterNote
+    };
+    return t(favourable ? 'reason.favourable' : 'reason.unfavourable', influences) + notes;
+}
@@ -0,0 +1,205 @@
+/*
+ * Exchange sessions and holidays for the trading mode. Each exchange lists
+ * its sessions as wall-clock times in its own zone, the regular close on
+ * half days, and its full-day holidays and half days for 2025–2027. Days
+ * outside the tables are treated as open on weekdays. Session instants are
+ * found with zonedTimeToUtc() (timezone.js), so they compare directly with
+ * the user's double-hours whatever zone the browser is in.
+ *
+ * The 2027 dates of lunar and Islamic holidays (SGX, HKEX) follow the
+ * published forecasts and should be checked against each exchange's own
+ * calendar once it is announced.
+ */
+
+const exchangeTableYears = { first: 2025, last: 2027 };
+
+const exchanges = {
+    NYSE: {
+        name: 'New York Stock Exchange',
+        zone: 'America/New_York',
+        sessions: {
+            pre: [['04:00', '09:30']],
+            regular: [['09:30', '16:00']],
+            after: [['16:00', '20:00']]
+        },
+        halfDayClose: '13:00',
+        holidays: [
+            '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26', '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+            '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19', '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+            '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18', '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24'
+        ],
+        halfDays: ['2025-07-03', '2025-11-28', '2025-12-24', '2026-11-27', '2026-12-24', '2027-11-26']
+    },
+    NASDAQ: {
+        name: 'Nasdaq',
+        zone: 'America/New_York',
+        sessions: {
+            pre: [['04:00', '09:30']],
+            regular: [['09:30', '16:00']],
+            after: [['16:00', '20:00']]
+        },
+        halfDayClose: '13:00',
+        holidays: [
+            '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26', '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+            '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19', '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+            '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18', '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24'
+        ],
+        halfDays: ['2025-07-03', '2025-11-28', '2025-12-24', '2026-11-27', '2026-12-24', '2027-11-26']
+    },
+    LSE: {
+        name: 'London Stock Exchange',
+        zone: 'Europe/London',
+        sessions: {
+            regular: [['08:00', '16:30']]
+        },
+        halfDayClose: '12:30',
+        holidays: [
+            '2025-01-01', '2025-04-18', '2025-04-21', '2025-05-05', '2025-05-26', '2025-08-25', '2025-12-25', '2025-12-26',
+            '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28',
+            '2027-01-01', '2027-03-26', '2027-03-29', '2027-05-03', '2027-05-31', '2027-08-30', '2027-12-27', '2027-12-28'
+        ],
+        halfDays: ['2025-12-24', '2025-12-31', '2026-12-24', '2026-12-31', '2027-12-24', '2027-12-31']
+    },
+    SGX: {
+        name: 'Singapore Exchange',
+        zone: 'Asia/Singapore',
+        sessions: {
+            pre: [['08:30', '09:00']],
+            regular: [['09:00', '17:00']]
+        },
+        halfDayClose: '12:00',
+        holidays: [
+            '2025-01-01', '2025-01-29', '2025-01-30', '2025-03-31', '2025-04-18', '2025-05-01', '2025-05-12', '2025-08-18', '2025-10-20', '2025-12-25',
+            '2026-01-01', '2026-02-17', '2026-02-18', '2026-04-03', '2026-05-01', '2026-05-27', '2026-06-01', '2026-08-10', '2026-11-09', '2026-12-25',
+            '2027-01-01', '2027-02-08', '2027-03-10', '2027-03-26', '2027-05-17', '2027-05-20', '2027-08-09', '2027-10-29'
+        ],
+        halfDays: ['2025-01-28', '2025-12-24', '2025-12-31', '2026-02-16', '2026-12-24', '2026-12-31', '2027-02-05', '2027-12-24', '2027-12-31']
+    },
+    HKEX: {
+        name: 'Hong Kong Exchanges',
+        zone: 'Asia/Hong_Kong',
+        sessions: {
+            pre: [['09:00', '09:30']],
+            regular: [['09:30', '12:00'], ['13:00', '16:00']],
+            after: [['16:00', '16:10']]
+        },
+        halfDayClose: '12:00',
+        holidays: [
+            '2025-01-01', '2025-01-29', '2025-01-30', '2025-01-31', '2025-04-04', '2025-04-18', '2025-04-21', '2025-05-01', '2025-05-05', '2025-07-01', '2025-10-01', '2025-10-07', '2025-10-29', '2025-12-25', '2025-12-26',
+            '2026-01-01', '2026-02-17', '2026-02-18', '2026-02-19', '2026-04-03', '2026-04-06', '2026-04-07', '2026-05-01', '2026-05-25', '2026-06-19', '2026-07-01', '2026-10-01', '2026-10-19', '2026-12-25',
+            '2027-01-01', '2027-02-08', '2027-02-09', '2027-03-26', '2027-03-29', '2027-04-05', '2027-05-13', '2027-06-09', '2027-07-01', '2027-09-16', '2027-10-01', '2027-10-08', '2027-12-27'
+        ],
+        halfDays: ['2025-01-28', '2025-12-24', '2025-12-31', '2026-02-16', '2026-12-24', '2026-12-31', '2027-02-05', '2027-12-24', '2027-12-31']
+    },
+    TSE: {
+        name: 'Tokyo Stock Exchange',
+        zone: 'Asia/Tokyo',
+        sessions: {
+            regular: [['09:00', '11:30'], ['12:30', '15:30']]
+        },
+        halfDayClose: null,
+        holidays: [
+            '2025-01-01', '2025-01-02', '2025-01-03', '2025-01-13', '2025-02-11', '2025-02-24', '2025-03-20', '2025-04-29', '2025-05-05', '2025-05-06', '2025-07-21', '2025-08-11', '2025-09-15', '2025-09-23', '2025-10-13', '2025-11-03', '2025-11-24', '2025-12-31',
+            '2026-01-01', '2026-01-02', '2026-01-12', '2026-02-11', '2026-02-23', '2026-03-20', '2026-04-29', '2026-05-04', '2026-05-05', '2026-05-06', '2026-07-20', '2026-08-11', '2026-09-21', '2026-09-22', '2026-09-23', '2026-10-12', '2026-11-03', '2026-11-23', '2026-12-31',
+            '2027-01-01', '2027-01-11', '2027-02-11', '2027-02-23', '2027-03-22', '2027-04-29', '2027-05-03', '2027-05-04', '2027-05-05', '2027-07-19', '2027-08-11', '2027-09-20', '2027-09-23', '2027-10-11', '2027-11-03', '2027-11-23', '2027-12-31'
+        ],
+        halfDays: []
+    }
+};
+
+/**
+ * Whether an exchange's holiday tables cover a year.
+ *
+ * @param {number} year
+ * @returns {boolean}
+ */
+function exchangeTablesCover(year) {
+    return year >= exchangeTableYears.first && year <= exchangeTableYears.last;
+}
+
+/**
+ * The sessions of an exchange on one of its own trading dates, as instants.
+ * Closed days (weekends and holidays) have none. On a half day the regular
+ * sessions end at the half-day close and the later sessions are dropped.
+ * Pre-market and after-hours sessions are only included when `extended` is
+ * set.
+ *
+ * @param {string} code - key of `exchanges`
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {boolean} [extended=false]
+ * @returns {Array<{exchange: string, type: string, start: Date, end: Date}>}
+ */
+function exchangeSessionsOn(code, year, month, day, extended = false) {
+    const exchange = exchanges[code];
+    if (!exchange) return [];
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    if (weekday === 0 || weekday === 6) return [];
+    const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (exchange.holidays.includes(key)) return [];
+    const halfDay = exchange.halfDays.includes(key) && exchange.halfDayClose;
+    const at = time => {
+        const [hour, minute] = time.split(':').map(Number);
+        return zonedTimeToUtc(year, month, day, hour, minute, exchange.zone);
+    };
+    const sessions = [];
+    ['pre', 'regular', 'after'].forEach(type => {
+        if (type !== 'regular' && !extended) return;
+        if (type === 'after' && halfDay) return;
+        (exchange.sessions[type] || []).forEach(([open, close]) => {
+            const end = halfDay && type === 'regular' && close > exchange.halfDayClose ? exchange.halfDayClose : close;
+            if (end <= open) return;
+            sessions.push({ exchange: code, type, start: at(open), end: at(end) });
+        });
+    });
+    return sessions;
+}
+
+/**
+ * All sessions of the given exchanges that overlap an interval. The
+ * exchanges' own dates from a day before to a day after the interval are
+ * checked, since their zones may be far from the user's.
+ *
+ * @param {string[]} codes
+ * @param {Date} from
+ * @param {Date} to
+ * @param {boolean} [extended=false]
+ * @returns {Array<{exchange: string, type: string, start: Date, end: Date}>} in order of opening
+ */
+function exchangeSessionsBetween(codes, from, to, extended = false) {
+    const sessions = [];
+    codes.forEach(code => {
+        const exchange = exchanges[code];
+        if (!exchange) return;
+        const first = getZonedParts(new Date(from.getTime() - 86400000), exchange.zone);
+        const cursor = new Date(Date.UTC(first.year, first.month - 1, first.day));
+        const last = getZonedParts(new Date(to.getTime() + 86400000), exchange.zone);
+        const lastKey = Date.UTC(last.year, last.month - 1, last.day);
+        for (; cursor.getTime() <= lastKey; cursor.setUTCDate(cursor.getUTCDate() + 1)) {
+            exchangeSessionsOn(code, cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, cursor.getUTCDate(), extended)
+                .filter(session => session.start < to && session.end > from)
+                .forEach(session => sessions.push(session));
+        }
+    });
+    return sessions.sort((a, b) => (a.start - b.start) || a.exchange.localeCompare(b.exchange));
+}
+
+/**
+ * Describe the open part of a slot, e.g. "NYSE 22:30–23:00, pre-market"
+ * in the browser's time and the current language, for each session the
+ * slot overlaps.
+ *
+ * @param {Array<{exchange: string, type: string, start: Date, end: Date}>} sessions - overlapping the slot
+ * @param {Date} slotStart
+ * @param {Date} slotEnd
+ * @returns {string}
+ */
+function describeSlotSessions(sessions, slotStart, slotEnd) {
+    const clock = d => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    return sessions.map(session => {
+        const from = session.start > slotStart ? session.start : slotStart;
+        const to = session.end < slotEnd ? session.end : slotEnd;
+        return t(`session.${session.type}`, { exchange: session.exchange, from: clock(from), to: clock(to) });
+    }).join(t('list.semicolon'));
+}
@@ -0,0 +1,336 @@
+/*
+ * Bundled offline gazetteer used to turn the "City, Country" birth location
+ * into coordinates and an IANA time zone. The list favours the places our
+ * users are most often born in; anything missing simply falls back to the
+ * uncorrected clock time.
+ */
+
+// [city, country, latitude, longitude, IANA zone]. Mainland China uses
+// Beijing time everywhere, so western cities keep Asia/Shanghai.
+const gazetteerRows = [
+    // Greater China
+    ['Beijing', 'China', 39.90, 116.41, 'Asia/Shanghai'],
+    ['Shanghai', 'China', 31.23, 121.47, 'Asia/Shanghai'],
+    ['Guangzhou', 'China', 23.13, 113.26, 'Asia/Shanghai'],
+    ['Shenzhen', 'China', 22.54, 114.06, 'Asia/Shanghai'],
+    ['Chengdu', 'China', 30.57, 104.07, 'Asia/Shanghai'],
+    ['Chongqing', 'China', 29.56, 106.55, 'Asia/Shanghai'],
+    ['Tianjin', 'China', 39.13, 117.20, 'Asia/Shanghai'],
+    ['Wuhan', 'China', 30.59, 114.31, 'Asia/Shanghai'],
+    ['Xi\'an', 'China', 34.34, 108.94, 'Asia/Shanghai'],
+    ['Hangzhou', 'China', 30.27, 120.16, 'Asia/Shanghai'],
+    ['Nanjing', 'China', 32.06, 118.80, 'Asia/Shanghai'],
+    ['Suzhou', 'China', 31.30, 120.59, 'Asia/Shanghai'],
+    ['Ningbo', 'China', 29.87, 121.54, 'Asia/Shanghai'],
+    ['Wenzhou', 'China', 28.00, 120.67, 'Asia/Shanghai'],
+    ['Xiamen', 'China', 24.48, 118.09, 'Asia/Shanghai'],
+    ['Fuzhou', 'China', 26.07, 119.30, 'Asia/Shanghai'],
+    ['Quanzhou', 'China', 24.87, 118.68, 'Asia/Shanghai'],
+    ['Shantou', 'China', 23.35, 116.68, 'Asia/Shanghai'],
+    ['Meizhou', 'China', 24.29, 116.12, 'Asia/Shanghai'],
+    ['Foshan', 'China', 23.02, 113.12, 'Asia/Shanghai'],
+    ['Dongguan', 'China', 23.02, 113.75, 'Asia/Shanghai'],
+    ['Zhuhai', 'China', 22.27, 113.58, 'Asia/Shanghai'],
+    ['Haikou', 'China', 20.04, 110.34, 'Asia/Shanghai'],
+    ['Nanning', 'China', 22.82, 108.37, 'Asia/Shanghai'],
+    ['Kunming', 'China', 25.04, 102.71, 'Asia/Shanghai'],
+    ['Guiyang', 'China', 26.65, 106.63, 'Asia/Shanghai'],
+    ['Changsha', 'China', 28.23, 112.94, 'Asia/Shanghai'],
+    ['Nanchang', 'China', 28.68, 115.86, 'Asia/Shanghai'],
+    ['Hefei', 'China', 31.82, 117.23, 'Asia/Shanghai'],
+    ['Zhengzhou', 'China', 34.75, 113.63, 'Asia/Shanghai'],
+    ['Jinan', 'China', 36.65, 117.12, 'Asia/Shanghai'],
+    ['Qingdao', 'China', 36.07, 120.38, 'Asia/Shanghai'],
+    ['Shijiazhuang', 'China', 38.04, 114.51, 'Asia/Shanghai'],
+    ['Taiyuan', 'China', 37.87, 112.55, 'Asia/Shanghai'],
+    ['Hohhot', 'China', 40.84, 111.75, 'Asia/Shanghai'],
+    ['Shenyang', 'China', 41.80, 123.43, 'Asia/Shanghai'],
+    ['Dalian', 'China', 38.91, 121.61, 'Asia/Shanghai'],
+    ['Changchun', 'China', 43.82, 125.32, 'Asia/Shanghai'],
+    ['Harbin', 'China', 45.80, 126.53, 'Asia/Shanghai'],
+    ['Lanzhou', 'China', 36.06, 103.83, 'Asia/Shanghai'],
+    ['Urumqi', 'China', 43.83, 87.62, 'Asia/Shanghai'],
+    ['Lhasa', 'China', 29.65, 91.17, 'Asia/Shanghai'],
+    ['Hong Kong', 'Hong Kong', 22.32, 114.17, 'Asia/Hong_Kong'],
+    ['Macau', 'Macau', 22.20, 113.54, 'Asia/Macau'],
+    ['Taipei', 'Taiwan', 25.03, 121.57, 'Asia/Taipei'],
+    ['Taichung', 'Taiwan', 24.15, 120.67, 'Asia/Taipei'],
+    ['Tainan', 'Taiwan', 22.99, 120.21, 'Asia/Taipei'],
+    ['Kaohsiung', 'Taiwan', 22.63, 120.30, 'Asia/Taipei'],
+    // South‑East Asia
+    ['Singapore', 'Singapore', 1.35, 103.82, 'Asia/Singapore'],
+    ['Kuala Lumpur', 'Malaysia', 3.14, 101.69, 'Asia/Kuala_Lumpur'],
+    ['Penang', 'Malaysia', 5.41, 100.33, 'Asia/Kuala_Lumpur'],
+    ['Ipoh', 'Malaysia', 4.60, 101.08, 'Asia/Kuala_Lumpur'],
+    ['Malacca', 'Malaysia', 2.19, 102.25, 'Asia/Kuala_Lumpur'],
+    ['Johor Bahru', 'Malaysia', 1.49, 103.74, 'Asia/Kuala_Lumpur'],
+    ['Kuching', 'Malaysia', 1.55, 110.34, 'Asia/Kuching'],
+    ['Kota Kinabalu', 'Malaysia', 5.98, 116.07, 'Asia/Kuching'],
+    ['Bandar Seri Begawan', 'Brunei', 4.90, 114.94, 'Asia/Brunei'],
+    ['Jakarta', 'Indonesia', -6.21, 106.85, 'Asia/Jakarta'],
+    ['Bandung', 'Indonesia', -6.92, 107.62, 'Asia/Jakarta'],
+    ['Surabaya', 'Indonesia', -7.25, 112.75, 'Asia/Jakarta'],
+    ['Medan', 'Indonesia', 3.60, 98.67, 'Asia/Jakarta'],
+    ['Denpasar', 'Indonesia', -8.65, 115.22, 'Asia/Makassar'],
+    ['Makassar', 'Indonesia', -5.15, 119.43, 'Asia/Makassar'],
+    ['Bangkok', 'Thailand', 13.76, 100.50, 'Asia/Bangkok'],
+    ['Chiang Mai', 'Thailand', 18.79, 98.98, 'Asia/Bangkok'],
+    ['Phuket', 'Thailand', 7.88, 98.39, 'Asia/Bangkok'],
+    ['Hanoi', 'Vietnam', 21.03, 105.85, 'Asia/Ho_Chi_Minh'],
+    ['Ho Chi Minh City', 'Vietnam', 10.82, 106.63, 'Asia/Ho_Chi_Minh'],
+    ['Phnom Penh', 'Cambodia', 11.56, 104.92, 'Asia/Phnom_Penh'],
+    ['Vientiane', 'Laos', 17.98, 102.63, 'Asia/Vientiane'],
+    ['Yangon', 'Myanmar', 16.87, 96.20, 'Asia/Yangon'],
+    ['Manila', 'Philippines', 14.60, 120.98, 'Asia/Manila'],
+    ['Cebu', 'Philippines', 10.32, 123.89, 'Asia/Manila'],
+    // East and South Asia
+    ['Tokyo', 'Japan', 35.68, 139.69, 'Asia/Tokyo'],
+    ['Yokohama', 'Japan', 35.44, 139.64, 'Asia/Tokyo'],
+    ['Osaka', 'Japan', 34.69, 135.50, 'Asia/Tokyo'],
+    ['Kyoto', 'Japan', 35.01, 135.77, 'Asia/Tokyo'],
+    ['Nagoya', 'Japan', 35.18, 136.91, 'Asia/Tokyo'],
+    ['Fukuoka', 'Japan', 33.59, 130.40, 'Asia/Tokyo'],
+    ['Sapporo', 'Japan', 43.06, 141.35, 'Asia/Tokyo'],
+    ['Seoul', 'South Korea', 37.57, 126.98, 'Asia/Seoul'],
+    ['Incheon', 'South Korea', 37.46, 126.71, 'Asia/Seoul'],
+    ['Busan', 'South Korea', 35.18, 129.08, 'Asia/Seoul'],
+    ['Pyongyang', 'North Korea', 39.04, 125.76, 'Asia/Pyongyang'],
+    ['Ulaanbaatar', 'Mongolia', 47.89, 106.91, 'Asia/Ulaanbaatar'],
+    ['New Delhi', 'India', 28.61, 77.21, 'Asia/Kolkata'],
+    ['Mumbai', 'India', 19.08, 72.88, 'Asia/Kolkata'],
+    ['Kolkata', 'India', 22.57, 88.36, 'Asia/Kolkata'],
+    ['Chennai', 'India', 13.08, 80.27, 'Asia/Kolkata'],
+    ['Bengaluru', 'India', 12.97, 77.59, 'Asia/Kolkata'],
+    ['Hyderabad', 'India', 17.39, 78.49, 'Asia/Kolkata'],
+    ['Karachi', 'Pakistan', 24.86, 67.01, 'Asia/Karachi'],
+    ['Lahore', 'Pakistan', 31.55, 74.34, 'Asia/Karachi'],
+    ['Dhaka', 'Bangladesh', 23.81, 90.41, 'Asia/Dhaka'],
+    ['Colombo', 'Sri Lanka', 6.93, 79.86, 'Asia/Colombo'],
+    ['Kathmandu', 'Nepal', 27.72, 85.32, 'Asia/Kathmandu'],
+    // Middle East and Africa
+    ['Dubai', 'United Arab Emirates', 25.20, 55.27, 'Asia/Dubai'],
+    ['Abu Dhabi', 'United Arab Emirates', 24.45, 54.38, 'Asia/Dubai'],
+    ['Doha', 'Qatar', 25.29, 51.53, 'Asia/Qatar'],
+    ['Riyadh', 'Saudi Arabia', 24.71, 46.68, 'Asia/Riyadh'],
+    ['Tehran', 'Iran', 35.69, 51.39, 'Asia/Tehran'],
+    ['Tel Aviv', 'Israel', 32.09, 34.78, 'Asia/Jerusalem'],
+    ['Istanbul', 'Turkey', 41.01, 28.98, 'Europe/Istanbul'],
+    ['Cairo', 'Egypt', 30.04, 31.24, 'Africa/Cairo'],
+    ['Casablanca', 'Morocco', 33.57, -7.59, 'Africa/Casablanca'],
+    ['Lagos', 'Nigeria', 6.52, 3.38, 'Africa/Lagos'],
+    ['Nairobi', 'Kenya', -1.29, 36.82, 'Africa/Nairobi'],
+    ['Johannesburg', 'South Africa', -26.20, 28.05, 'Africa/Johannesburg'],
+    ['Cape Town', 'South Africa', -33.92, 18.42, 'Africa/Johannesburg'],
+    ['Port Louis', 'Mauritius', -20.16, 57.50, 'Indian/Mauritius'],
+    // Oceania
+    ['Sydney', 'Australia', -33.87, 151.21, 'Australia/Sydney'],
+    ['Canberra', 'Australia', -35.28, 149.13, 'Australia/Sydney'],
+    ['Melbourne', 'Australia', -37.81, 144.96, 'Australia/Melbourne'],
+    ['Brisbane', 'Australia', -27.47, 153.03, 'Australia/Brisbane'],
+    ['Gold Coast', 'Australia', -28.02, 153.40, 'Australia/Brisbane'],
+    ['Adelaide', 'Australia', -34.93, 138.60, 'Australia/Adelaide'],
+    ['Perth', 'Australia', -31.95, 115.86, 'Australia/Perth'],
+    ['Hobart', 'Australia', -42.88, 147.33, 'Australia/Hobart'],
+    ['Darwin', 'Australia', -12.46, 130.84, 'Australia/Darwin'],
+    ['Auckland', 'New Zealand', -36.85, 174.76, 'Pacific/Auckland'],
+    ['Wellington', 'New Zealand', -41.29, 174.78, 'Pacific/Auckland'],
+    ['Christchurch', 'New Zealand', -43.53, 172.64, 'Pacific/Auckland'],
+    ['Suva', 'Fiji', -18.14, 178.44, 'Pacific/Fiji'],
+    // Europe
+    ['London', 'United Kingdom', 51.51, -0.13, 'Europe/London'],
+    ['Birmingham', 'United Kingdom', 52.49, -1.89, 'Europe/London'],
+    ['Manchester', 'United Kingdom', 53.48, -2.24, 'Europe/London'],
+    ['Liverpool', 'United Kingdom', 53.41, -2.98, 'Europe/London'],
+    ['Leeds', 'United Kingdom', 53.80, -1.55, 'Europe/London'],
+    ['Bristol', 'United Kingdom', 51.45, -2.59, 'Europe/London'],
+    ['Cardiff', 'United Kingdom', 51.48, -3.18, 'Europe/London'],
+    ['Edinburgh', 'United Kingdom', 55.95, -3.19, 'Europe/London'],
+    ['Glasgow', 'United Kingdom', 55.86, -4.25, 'Europe/London'],
+    ['Belfast', 'United Kingdom', 54.60, -5.93, 'Europe/London'],
+    ['Dublin', 'Ireland', 53.35, -6.26, 'Europe/Dublin'],
+    ['Paris', 'France', 48.86, 2.35, 'Europe/Paris'],
+    ['Lyon', 'France', 45.76, 4.84, 'Europe/Paris'],
+    ['Marseille', 'France', 43.30, 5.37, 'Europe/Paris'],
+    ['Brussels', 'Belgium', 50.85, 4.35, 'Europe/Brussels'],
+    ['Amsterdam', 'Netherlands', 52.37, 4.90, 'Europe/Amsterdam'],
+    ['Rotterdam', 'Netherlands', 51.92, 4.48, 'Europe/Amsterdam'],
+    ['Berlin', 'Germany', 52.52, 13.40, 'Europe/Berlin'],
+    ['Hamburg', 'Germany', 53.55, 9.99, 'Europe/Berlin'],
+    ['Frankfurt', 'Germany', 50.11, 8.68, 'Europe/Berlin'],
+    ['Munich', 'Germany', 48.14, 11.58, 'Europe/Berlin'],
+    ['Zurich', 'Switzerland', 47.38, 8.54, 'Europe/Zurich'],
+    ['Geneva', 'Switzerland', 46.20, 6.14, 'Europe/Zurich'],
+    ['Vienna', 'Austria', 48.21, 16.37, 'Europe/Vienna'],
+    ['Prague', 'Czech Republic', 50.08, 14.44, 'Europe/Prague'],
+    ['Warsaw', 'Poland', 52.23, 21.01, 'Europe/Warsaw'],
+    ['Budapest', 'Hungary', 47.50, 19.04, 'Europe/Budapest'],
+    ['Bucharest', 'Romania', 44.43, 26.10, 'Europe/Bucharest'],
+    ['Athens', 'Greece', 37.98, 23.73, 'Europe/Athens'],
+    ['Rome', 'Italy', 41.90, 12.50, 'Europe/Rome'],
+    ['Milan', 'Italy', 45.46, 9.19, 'Europe/Rome'],
+    ['Madrid', 'Spain', 40.42, -3.70, 'Europe/Madrid'],
+    ['Barcelona', 'Spain', 41.39, 2.17, 'Europe/Madrid'],
+    ['Lisbon', 'Portugal', 38.72, -9.14, 'Europe/Lisbon'],
+    ['Copenhagen', 'Denmark', 55.68, 12.57, 'Europe/Copenhagen'],
+    ['Oslo', 'Norway', 59.91, 10.75, 'Europe/Oslo'],
+    ['Stockholm', 'Sweden', 59.33, 18.07, 'Europe/Stockholm'],
+    ['Helsinki', 'Finland', 60.17, 24.94, 'Europe/Helsinki'],
+    ['Kyiv', 'Ukraine', 50.45, 30.52, 'Europe/Kiev'],
+    ['Moscow', 'Russia', 55.76, 37.62, 'Europe/Moscow'],
+    ['Saint Petersburg', 'Russia', 59.93, 30.36, 'Europe/Moscow'],
+    // Americas
+    ['New York', 'United States', 40.71, -74.01, 'America/New_York'],
+    ['Boston', 'United States', 42.36, -71.06, 'America/New_York'],
+    ['Philadelphia', 'United States', 39.95, -75.17, 'America/New_York'],
+    ['Washington', 'United States', 38.91, -77.04, 'America/New_York'],
+    ['Atlanta', 'United States', 33.75, -84.39, 'America/New_York'],
+    ['Miami', 'United States', 25.76, -80.19, 'America/New_York'],
+    ['Orlando', 'United States', 28.54, -81.38, 'America/New_York'],
+    ['Detroit', 'United States', 42.33, -83.05, 'America/Detroit'],
+    ['Chicago', 'United States', 41.88, -87.63, 'America/Chicago'],
+    ['Minneapolis', 'United States', 44.98, -93.27, 'America/Chicago'],
+    ['Houston', 'United States', 29.76, -95.37, 'America/Chicago'],
+    ['Dallas', 'United States', 32.78, -96.80, 'America/Chicago'],
+    ['Austin', 'United States', 30.27, -97.74, 'America/Chicago'],
+    ['Denver', 'United States', 39.74, -104.99, 'America/Denver'],
+    ['Phoenix', 'United States', 33.45, -112.07, 'America/Phoenix'],
+    ['Las Vegas', 'United States', 36.17, -115.14, 'America/Los_Angeles'],
+    ['Los Angeles', 'United States', 34.05, -118.24, 'America/Los_Angeles'],
+    ['San Diego', 'United States', 32.72, -117.16, 'America/Los_Angeles'],
+    ['San Francisco', 'United States', 37.77, -122.42, 'America/Los_Angeles'],
+    ['San Jose', 'United States', 37.34, -121.89, 'America/Los_Angeles'],
+    ['Sacramento', 'United States', 38.58, -121.49, 'America/Los_Angeles'],
+    ['Portland', 'United States', 45.52, -122.68, 'America/Los_Angeles'],
+    ['Seattle', 'United States', 47.61, -122.33, 'America/Los_Angeles'],
+    ['Anchorage', 'United States', 61.22, -149.90, 'America/Anchorage'],
+    ['Honolulu', 'United States', 21.31, -157.86, 'Pacific/Honolulu'],
+    ['Toronto', 'Canada', 43.65, -79.38, 'America/Toronto'],
+    ['Ottawa', 'Canada', 45.42, -75.70, 'America/Toronto'],
+    ['Montreal', 'Canada', 45.50, -73.57, 'America/Toronto'],
+    ['Halifax', 'Canada', 44.65, -63.57, 'America/Halifax'],
+    ['Winnipeg', 'Canada', 49.90, -97.14, 'America/Winnipeg'],
+    ['Calgary', 'Canada', 51.05, -114.07, 'America/Edmonton'],
+    ['Edmonton', 'Canada', 53.55, -113.49, 'America/Edmonton'],
+    ['Vancouver', 'Canada', 49.28, -123.12, 'America/Vancouver'],
+    ['Mexico City', 'Mexico', 19.43, -99.13, 'America/Mexico_City'],
+    ['Panama City', 'Panama', 8.98, -79.52, 'America/Panama'],
+    ['Bogotá', 'Colombia', 4.71, -74.07, 'America/Bogota'],
+    ['Lima', 'Peru', -12.05, -77.04, 'America/Lima'],
+    ['Santiago', 'Chile', -33.45, -70.67, 'America/Santiago'],
+    ['Buenos Aires', 'Argentina', -34.60, -58.38, 'America/Argentina/Buenos_Aires'],
+    ['São Paulo', 'Brazil', -23.55, -46.63, 'America/Sao_Paulo'],
+    ['Rio de Janeiro', 'Brazil', -22.91, -43.17, 'America/Sao_Paulo']
+];
+
+const gazetteerCities = gazetteerRows.map(([city, country, latitude, longitude, zone]) => ({
+    city, country, latitude, longitude, zone
+}));
+
+// Common alternative spellings, mapped to the names used above.
+const gazetteerCityAliases = {
+    'peking': 'beijing',
+    'canton': 'guangzhou',
+    'xian': 'xi\'an',
+    'hongkong': 'hong kong',
+    'macao': 'macau',
+    'kl': 'kuala lumpur',
+    'george town': 'penang',
+    'georgetown': 'penang',
+    'jb': 'johor bahru',
+    'melaka': 'malacca',
+    'saigon': 'ho chi minh city',
+    'rangoon': 'yangon',
+    'bombay': 'mumbai',
+    'calcutta': 'kolkata',
+    'madras': 'chennai',
+    'bangalore': 'bengaluru',
+    'delhi': 'new delhi',
+    'kiev': 'kyiv',
+    'st petersburg': 'saint petersburg',
+    'nyc': 'new york',
+    'new york city': 'new york',
+    'washington dc': 'washington',
+    'washington d.c.': 'washington',
+    'la': 'los angeles',
+    'sf': 'san francisco'
+};
+
+const gazetteerCountryAliases = {
+    'prc': 'china',
+    'mainland china': 'china',
+    'hk': 'hong kong',
+    'hksar': 'hong kong',
+    'roc': 'taiwan',
+    'macao': 'macau',
+    'sg': 'singapore',
+    'my': 'malaysia',
+    'korea': 'south korea',
+    'republic of korea': 'south korea',
+    'uae': 'united arab emirates',
+    'uk': 'united kingdom',
+    'great britain': 'united kingdom',
+    'britain': 'united kingdom',
+    'england': 'united kingdom',
+    'scotland': 'united kingdom',
+    'wales': 'united kingdom',
+    'northern ireland': 'united kingdom',
+    'us': 'united states',
+    'usa': 'united states',
+    'u.s.': 'united states',
+    'u.s.a.': 'united states',
+    'united states of america': 'united states',
+    'america': 'united states',
+    'czechia': 'czech republic',
+    'holland': 'netherlands',
+    'the netherlands': 'netherlands'
+};
+
+/**
+ * Lower‑case, strip accents and collapse whitespace so that "Bogota",
+ * "bogotá" and "  BOGOTÁ " all compare equal.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizePlaceName(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Label shown in the autocomplete list and accepted back by the lookup.
+ *
+ * @param {{city: string, country: string}} entry
+ * @returns {string}
+ */
+function gazetteerLabel(entry) {
+    return entry.city === entry.country ? entry.city : `${entry.city}, ${entry.country}`;
+}
+
+/**
+ * Find a gazetteer entry for a free‑text "City, Country" location. The
+ * country is optional; when given it must agree with the entry. Returns null
+ * when the place is not bundled.
+ *
+ * @param {string} location
+ * @returns {{city: string, country: string, latitude: number, longitude: number, zone: string}|null}
+ */
+function findGazetteerCity(location) {
+    const parts = (location || '').split(',');
+    let city = normalizePlaceName(parts[0]);
+    let country = normalizePlaceName(parts.slice(1).join(','));
+    city = gazetteerCityAliases[city] || city;
+    country = gazetteerCountryAliases[country] || country;
+    if (!city) {
+        return null;
+    }
+    const candidates = gazetteerCities.filter(entry => normalizePlaceName(entry.city) === city);
+    if (!country) {
+        return candidates[0] || null;
+    }
+    return candidates.find(entry => normalizePlaceName(entry.country) === country) || null;
+}
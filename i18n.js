@@ -0,0 +1,1247 @@
+/*
+ * Localisation. The page can be read in English, Simplified Chinese or
+ * Traditional Chinese. Terms (stems, branches, elements, doors, stars,
+ * deities and the rest) are kept in English throughout the code and the
+ * data files and only turned into characters when shown, by term(); the
+ * sentences of the explanations and the labels of the page are templates
+ * looked up by key with t(). English text that already lives elsewhere —
+ * the labels written in index.html and English labels kept as data next to
+ * their code, such as scorePartLabels — is passed to t() as its fallback
+ * instead of being repeated in the English catalogue.
+ *
+ * Pinyin can optionally be shown after the characters of each term. The
+ * chosen language and the pinyin setting are remembered in localStorage.
+ * This file has no DOM dependency beyond applyTranslations(), so the
+ * scoring worker loads it to write explanations in the page's language.
+ */
+
+const localePreferenceKey = 'baziLocale';
+
+// Languages offered by the switcher, each named in its own language
+const supportedLocales = {
+    en: 'English',
+    'zh-Hans': '简体中文',
+    'zh-Hant': '繁體中文'
+};
+
+// BCP 47 tags for date and number formatting; English keeps the browser's
+// own formatting
+const localeFormatTags = {
+    en: undefined,
+    'zh-Hans': 'zh-Hans-CN',
+    'zh-Hant': 'zh-Hant-TW'
+};
+
+let currentLocale = 'en';
+let showPinyin = false;
+
+// Chinese names of terms by kind and English name: [Traditional,
+// Simplified, pinyin]
+const chineseTerms = {
+    stem: {
+        Jia: ['甲', '甲', 'jiǎ'], Yi: ['乙', '乙', 'yǐ'], Bing: ['丙', '丙', 'bǐng'], Ding: ['丁', '丁', 'dīng'],
+        Wu: ['戊', '戊', 'wù'], Ji: ['己', '己', 'jǐ'], Geng: ['庚', '庚', 'gēng'], Xin: ['辛', '辛', 'xīn'],
+        Ren: ['壬', '壬', 'rén'], Gui: ['癸', '癸', 'guǐ']
+    },
+    branch: {
+        Zi: ['子', '子', 'zǐ'], Chou: ['丑', '丑', 'chǒu'], Yin: ['寅', '寅', 'yín'], Mao: ['卯', '卯', 'mǎo'],
+        Chen: ['辰', '辰', 'chén'], Si: ['巳', '巳', 'sì'], Wu: ['午', '午', 'wǔ'], Wei: ['未', '未', 'wèi'],
+        Shen: ['申', '申', 'shēn'], You: ['酉', '酉', 'yǒu'], Xu: ['戌', '戌', 'xū'], Hai: ['亥', '亥', 'hài']
+    },
+    element: {
+        Wood: ['木', '木', 'mù'], Fire: ['火', '火', 'huǒ'], Earth: ['土', '土', 'tǔ'],
+        Metal: ['金', '金', 'jīn'], Water: ['水', '水', 'shuǐ']
+    },
+    polarity: {
+        Yang: ['陽', '阳', 'yáng'], Yin: ['陰', '阴', 'yīn']
+    },
+    pillar: {
+        Year: ['年', '年', 'nián'], Month: ['月', '月', 'yuè'], Day: ['日', '日', 'rì'], Hour: ['時', '时', 'shí']
+    },
+    door: {
+        'Rest Door': ['休門', '休门', 'xiū mén'], 'Death Door': ['死門', '死门', 'sǐ mén'],
+        'Harm Door': ['傷門', '伤门', 'shāng mén'], 'Delusion Door': ['杜門', '杜门', 'dù mén'],
+        'Open Door': ['開門', '开门', 'kāi mén'], 'Fear Door': ['驚門', '惊门', 'jīng mén'],
+        'Life Door': ['生門', '生门', 'shēng mén'], 'Scene Door': ['景門', '景门', 'jǐng mén']
+    },
+    star: {
+        'Grass Star': ['天蓬', '天蓬', 'tiān péng'], 'Grain Star': ['天芮', '天芮', 'tiān ruì'],
+        'Impulse Star': ['天沖', '天冲', 'tiān chōng'], 'Assistant Star': ['天輔', '天辅', 'tiān fǔ'],
+        'Connect Star': ['天禽', '天禽', 'tiān qín'], 'Heart Star': ['天心', '天心', 'tiān xīn'],
+        'Pillar Star': ['天柱', '天柱', 'tiān zhù'], 'Ren Star': ['天任', '天任', 'tiān rèn'],
+        'Hero Star': ['天英', '天英', 'tiān yīng']
+    },
+    deity: {
+        'Chief Deity': ['值符', '值符', 'zhí fú'], 'Serpent Deity': ['螣蛇', '螣蛇', 'téng shé'],
+        'Moon Deity': ['太陰', '太阴', 'tài yīn'], 'Harmony Deity': ['六合', '六合', 'liù hé'],
+        'Tiger Deity': ['白虎', '白虎', 'bái hǔ'], 'Tortoise Deity': ['玄武', '玄武', 'xuán wǔ'],
+        'Nine Earth Deity': ['九地', '九地', 'jiǔ dì'], 'Nine Heaven Deity': ['九天', '九天', 'jiǔ tiān']
+    },
+    direction: {
+        North: ['北', '北', 'běi'], 'North-East': ['東北', '东北', 'dōng běi'], East: ['東', '东', 'dōng'],
+        'South-East': ['東南', '东南', 'dōng nán'], South: ['南', '南', 'nán'], 'South-West': ['西南', '西南', 'xī nán'],
+        West: ['西', '西', 'xī'], 'North-West': ['西北', '西北', 'xī běi'], Centre: ['中', '中', 'zhōng']
+    },
+    tenGod: {
+        Friend: ['比肩', '比肩', 'bǐ jiān'], 'Rob Wealth': ['劫財', '劫财', 'jié cái'],
+        'Eating God': ['食神', '食神', 'shí shén'], 'Hurting Officer': ['傷官', '伤官', 'shāng guān'],
+        'Indirect Wealth': ['偏財', '偏财', 'piān cái'], 'Direct Wealth': ['正財', '正财', 'zhèng cái'],
+        'Seven Killings': ['七殺', '七杀', 'qī shā'], 'Direct Officer': ['正官', '正官', 'zhèng guān'],
+        'Indirect Resource': ['偏印', '偏印', 'piān yìn'], 'Direct Resource': ['正印', '正印', 'zhèng yìn'],
+        'Day Master': ['日主', '日主', 'rì zhǔ']
+    },
+    relation: {
+        companion: ['比劫', '比劫', 'bǐ jié'], output: ['食傷', '食伤', 'shí shāng'], wealth: ['財', '财', 'cái'],
+        officer: ['官殺', '官杀', 'guān shā'], resource: ['印', '印', 'yìn']
+    },
+    role: {
+        useful: ['用神', '用神', 'yòng shén'], favourable: ['喜神', '喜神', 'xǐ shén'],
+        unfavourable: ['忌神', '忌神', 'jì shén'], neutral: ['閒神', '闲神', 'xián shén']
+    },
+    strength: {
+        strong: ['身強', '身强', 'shēn qiáng'], weak: ['身弱', '身弱', 'shēn ruò']
+    },
+    season: {
+        Prosperous: ['旺', '旺', 'wàng'], Strengthened: ['相', '相', 'xiàng'], Resting: ['休', '休', 'xiū'],
+        Trapped: ['囚', '囚', 'qiú'], Dead: ['死', '死', 'sǐ']
+    },
+    dun: {
+        Yang: ['陽遁', '阳遁', 'yáng dùn'], Yin: ['陰遁', '阴遁', 'yīn dùn']
+    },
+    yuan: {
+        Upper: ['上元', '上元', 'shàng yuán'], Middle: ['中元', '中元', 'zhōng yuán'], Lower: ['下元', '下元', 'xià yuán']
+    },
+    solarTerm: {
+        'Chun Fen': ['春分', '春分', 'chūn fēn'], 'Qing Ming': ['清明', '清明', 'qīng míng'], 'Gu Yu': ['穀雨', '谷雨', 'gǔ yǔ'],
+        'Li Xia': ['立夏', '立夏', 'lì xià'], 'Xiao Man': ['小滿', '小满', 'xiǎo mǎn'], 'Mang Zhong': ['芒種', '芒种', 'máng zhòng'],
+        'Xia Zhi': ['夏至', '夏至', 'xià zhì'], 'Xiao Shu': ['小暑', '小暑', 'xiǎo shǔ'], 'Da Shu': ['大暑', '大暑', 'dà shǔ'],
+        'Li Qiu': ['立秋', '立秋', 'lì qiū'], 'Chu Shu': ['處暑', '处暑', 'chǔ shǔ'], 'Bai Lu': ['白露', '白露', 'bái lù'],
+        'Qiu Fen': ['秋分', '秋分', 'qiū fēn'], 'Han Lu': ['寒露', '寒露', 'hán lù'], 'Shuang Jiang': ['霜降', '霜降', 'shuāng jiàng'],
+        'Li Dong': ['立冬', '立冬', 'lì dōng'], 'Xiao Xue': ['小雪', '小雪', 'xiǎo xuě'], 'Da Xue': ['大雪', '大雪', 'dà xuě'],
+        'Dong Zhi': ['冬至', '冬至', 'dōng zhì'], 'Xiao Han': ['小寒', '小寒', 'xiǎo hán'], 'Da Han': ['大寒', '大寒', 'dà hán'],
+        'Li Chun': ['立春', '立春', 'lì chūn'], 'Yu Shui': ['雨水', '雨水', 'yǔ shuǐ'], 'Jing Zhe': ['驚蟄', '惊蛰', 'jīng zhé']
+    },
+    officer: {
+        Establish: ['建', '建', 'jiàn'], Remove: ['除', '除', 'chú'], Full: ['滿', '满', 'mǎn'], Balance: ['平', '平', 'píng'],
+        Stable: ['定', '定', 'dìng'], Initiate: ['執', '执', 'zhí'], Destruction: ['破', '破', 'pò'], Danger: ['危', '危', 'wēi'],
+        Success: ['成', '成', 'chéng'], Receive: ['收', '收', 'shōu'], Open: ['開', '开', 'kāi'], Close: ['閉', '闭', 'bì']
+    },
+    mansion: {
+        Horn: ['角', '角', 'jiǎo'], Neck: ['亢', '亢', 'kàng'], Root: ['氐', '氐', 'dǐ'], Room: ['房', '房', 'fáng'],
+        Heart: ['心', '心', 'xīn'], Tail: ['尾', '尾', 'wěi'], 'Winnowing Basket': ['箕', '箕', 'jī'], Dipper: ['斗', '斗', 'dǒu'],
+        Ox: ['牛', '牛', 'niú'], Girl: ['女', '女', 'nǚ'], Emptiness: ['虛', '虚', 'xū'], Rooftop: ['危', '危', 'wēi'],
+        Encampment: ['室', '室', 'shì'], Wall: ['壁', '壁', 'bì'], Legs: ['奎', '奎', 'kuí'], Bond: ['婁', '娄', 'lóu'],
+        Stomach: ['胃', '胃', 'wèi'], 'Hairy Head': ['昴', '昴', 'mǎo'], Net: ['畢', '毕', 'bì'], 'Turtle Beak': ['觜', '觜', 'zī'],
+        'Three Stars': ['參', '参', 'shēn'], Well: ['井', '井', 'jǐng'], Ghost: ['鬼', '鬼', 'guǐ'], Willow: ['柳', '柳', 'liǔ'],
+        Star: ['星', '星', 'xīng'], 'Extended Net': ['張', '张', 'zhāng'], Wings: ['翼', '翼', 'yì'], Chariot: ['軫', '轸', 'zhěn']
+    },
+    conflict: {
+        Clash: ['沖', '冲', 'chōng'], Punishment: ['刑', '刑', 'xíng'], Harm: ['害', '害', 'hài'], Destruction: ['破', '破', 'pò'],
+        'Year Breaker': ['歲破', '岁破', 'suì pò'], 'Month Breaker': ['月破', '月破', 'yuè pò'], 'Three Killings': ['三煞', '三煞', 'sān shà']
+    },
+    lunarMonth: {
+        1: ['正月', '正月', 'zhēng yuè'], 2: ['二月', '二月', 'èr yuè'], 3: ['三月', '三月', 'sān yuè'], 4: ['四月', '四月', 'sì yuè'],
+        5: ['五月', '五月', 'wǔ yuè'], 6: ['六月', '六月', 'liù yuè'], 7: ['七月', '七月', 'qī yuè'], 8: ['八月', '八月', 'bā yuè'],
+        9: ['九月', '九月', 'jiǔ yuè'], 10: ['十月', '十月', 'shí yuè'], 11: ['冬月', '冬月', 'dōng yuè'], 12: ['臘月', '腊月', 'là yuè']
+    },
+    lunarDay: {
+        1: ['初一', '初一', 'chū yī'], 2: ['初二', '初二', 'chū èr'], 3: ['初三', '初三', 'chū sān'], 4: ['初四', '初四', 'chū sì'], 5: ['初五', '初五', 'chū wǔ'],
+        6: ['初六', '初六', 'chū liù'], 7: ['初七', '初七', 'chū qī'], 8: ['初八', '初八', 'chū bā'], 9: ['初九', '初九', 'chū jiǔ'], 10: ['初十', '初十', 'chū shí'],
+        11: ['十一', '十一', 'shí yī'], 12: ['十二', '十二', 'shí èr'], 13: ['十三', '十三', 'shí sān'], 14: ['十四', '十四', 'shí sì'], 15: ['十五', '十五', 'shí wǔ'],
+        16: ['十六', '十六', 'shí liù'], 17: ['十七', '十七', 'shí qī'], 18: ['十八', '十八', 'shí bā'], 19: ['十九', '十九', 'shí jiǔ'], 20: ['二十', '二十', 'èr shí'],
+        21: ['廿一', '廿一', 'niàn yī'], 22: ['廿二', '廿二', 'niàn èr'], 23: ['廿三', '廿三', 'niàn sān'], 24: ['廿四', '廿四', 'niàn sì'], 25: ['廿五', '廿五', 'niàn wǔ'],
+        26: ['廿六', '廿六', 'niàn liù'], 27: ['廿七', '廿七', 'niàn qī'], 28: ['廿八', '廿八', 'niàn bā'], 29: ['廿九', '廿九', 'niàn jiǔ'], 30: ['三十', '三十', 'sān shí']
+    },
+    festival: {
+        'Spring Festival': ['春節', '春节', 'chūn jié'], 'Lantern Festival': ['元宵節', '元宵节', 'yuán xiāo jié'],
+        'Dragon Boat Festival': ['端午節', '端午节', 'duān wǔ jié'], 'Qixi Festival': ['七夕', '七夕', 'qī xī'],
+        'Ghost Festival': ['中元節', '中元节', 'zhōng yuán jié'], 'Mid-Autumn Festival': ['中秋節', '中秋节', 'zhōng qiū jié'],
+        'Double Ninth Festival': ['重陽節', '重阳节', 'chóng yáng jié'], 'Laba Festival': ['臘八節', '腊八节', 'là bā jié'],
+        'New Year\'s Eve': ['除夕', '除夕', 'chú xī'], 'Qingming Festival': ['清明節', '清明节', 'qīng míng jié'],
+        'Winter Solstice Festival': ['冬至', '冬至', 'dōng zhì']
+    }
+};
+
+// Templates by key. The Chinese catalogues list every key; the English
+// one leaves out the keys whose English is passed as a fallback.
+const messageCatalogues = {
+    en: {
+        'list.separator': ', ',
+        'list.and': ' and ',
+        'list.semicolon': '; ',
+        'owner.you': 'your',
+        'owner.named': "{name}'s",
+        'participant.you': 'You',
+        'pillar.year': 'year',
+        'pillar.month': 'month',
+        'pillar.day': 'day',
+        'reason.chart': 'The chart is {dun} Dun Ju {ju} ({yuan} Yuan of {term}, {branch} day), read from the {direction} palace.',
+        'reason.yuan': 'This day falls in the {yuan} Yuan ({branch} branch).',
+        'reason.almanac': ' The almanac marks the day with the {officer} ({officerChinese}) Day Officer and the {mansion} ({mansionChinese}) mansion',
+        'reason.almanacEnd': '.',
+        'reason.almanacLists': ', {lists}.',
+        'reason.suitable': 'suitable for {activities}',
+        'reason.unsuitable': 'unsuitable for {activities}',
+        'reason.forbidden': 'forbidden for {activities}',
+        'reason.periods.both.positive': ' The {luck} luck pillar and the {annual} year support your chart.',
+        'reason.periods.both.neutral': ' The {luck} luck pillar and the {annual} year are neutral for your chart.',
+        'reason.periods.both.negative': ' The {luck} luck pillar and the {annual} year weigh on your chart.',
+        'reason.periods.year.positive': ' The {annual} year supports your chart.',
+        'reason.periods.year.neutral': ' The {annual} year is neutral for your chart.',
+        'reason.periods.year.negative': ' The {annual} year weighs on your chart.',
+        'reason.conflicts': ' Conflicts: {conflicts}.',
+        'reason.conflictItem': '{name} ({description})',
+        'reason.ruledOutItem': 'the {name} ({description})',
+        'reason.ruledOut': 'Unfavourable influences for {activities}. The day is ruled out by {conflicts}. ',
+        'reason.noHours': 'No double-hour of this day suits the chosen activities.',
+        'alert.searchFailed': 'The search could not be completed: {message}',
+        'reason.dayMaster': 'your {strength} {element} Day Master, whose Useful element is {useful}',
+        'reason.dayMasterPlain': 'your Day Master',
+        'reason.favourable': 'Auspicious influences for {activities} because the {door} ({doorElement}) door, accompanied by the {star} ({starElement}) star and {deity} ({deityElement}), harmonises with {dayMaster}. ',
+        'reason.unfavourable': 'Unfavourable influences for {activities}. The {door} ({doorElement}) door, together with the {star} ({starElement}) star and {deity} ({deityElement}), clashes with {dayMaster}. ',
+        'reason.jointFails': 'Does not suit everyone for {activities}: it fails for {names}.',
+        'reason.jointSuits': 'Suits everyone ({names}) for {activities}.',
+        'person.ruledOut': 'ruled out by {conflicts}',
+        'person.forbidden': 'the {officer} Day Officer rules out {activities}',
+        'person.missing': 'no hour suits everyone for {activities}',
+        'person.tooLow': 'the day scores too low',
+        'person.works': 'the day works',
+        'person.dayMaster': ' ({strength} {element} Day Master, Useful {useful})',
+        'person.luck': '{luck} luck pillar and ',
+        'person.text': '{name}{dayMaster}: {outcome}. Hours {hours}, almanac {almanac}, conflicts {conflicts}, {luck}{annual} year {periods}; total {total}.{conflictNote}',
+        'conflict.yearBreaker': 'the {day} day clashes with the {year} year',
+        'conflict.monthBreaker': 'the {day} day clashes with the {month} month',
+        'conflict.threeKillings': 'the {day} day is a Three Killings branch of the {month} month',
+        'conflict.natal': 'the {branch} {pillar} {verb} {owner} {natalPillar} branch {natalBranch}',
+        'explain.bad': 'On {date}, this is an unfavorable day: {reasons}',
+        'explain.good': 'On {date}, {reasons} Recommended times:',
+        'explain.hour': ' {activity} between {time};',
+        'results.none': 'No date in this range fits. Try a longer range, fewer activities or other exchanges.',
+        'results.score': 'Score {score}',
+        'results.breakdown': 'Score breakdown',
+        'results.total': 'Total: {score}',
+        'results.page': 'Page {page} of {pages} ({count} dates)',
+        'results.open': ' — open: {sessions}',
+        'session.regular': '{exchange} {from}–{to}',
+        'session.pre': '{exchange} {from}–{to}, pre-market',
+        'session.after': '{exchange} {from}–{to}, after-hours',
+        'ics.summary': '{activity}: {time}',
+        'ics.avoid': 'Avoid: {activities}',
+        'ics.reminder': '{activity} in {minutes} minutes',
+        'results.localeNotice': 'The explanations stay in the language the search ran in; search again to update them.',
+        'calendar.good': 'Favorable day',
+        'calendar.bad': 'Unfavorable day to avoid',
+        'calendar.more': 'Show more months (from {month})',
+        'calendar.scoreTitle': 'Score {score}{ruledOut}',
+        'calendar.ruledOut': ', ruled out',
+        'calendar.notEvaluated': 'Not evaluated',
+        'legend.ruledOut': 'Ruled out',
+        'legend.notEvaluated': 'Not evaluated',
+        'day.notInResults': 'This day is not among the results of the search.',
+        'day.notSaved': 'The hours of this day were not saved with these results.',
+        'day.recommended': 'recommended',
+        'day.facing': 'Facing {direction}',
+        'day.score': 'Score {score}',
+        'chart.pillar': 'Pillar',
+        'chart.stem': 'Heavenly Stem',
+        'chart.branch': 'Earthly Branch',
+        'chart.hidden': 'Hidden Stems',
+        'chart.elements': 'Elements: ',
+        'lunar.date': '{day} day of the {leap}{month} lunar month',
+        'lunar.leap': 'leap ',
+        'lunar.short': '{leap}{month}/{day}',
+        'lunar.shortFirst': '{leap}{month}/{day}',
+        'lunar.leapShort': 'L',
+        'lunar.dayPillar': '{pillar} day',
+        'lunar.gregorian': 'Gregorian date: {date}',
+        'lunar.noSuchDate': 'That lunar year has no such date.',
+        'lunar.outOfRange': 'Lunar dates can be entered for the years {first}–{last}.',
+        'quote': '"{text}"',
+        'sentence.end': '.',
+        'sentence.gap': ' ',
+        'alert.dates': 'Please ensure start and end dates are selected correctly.',
+        'alert.noActivity': 'Please select at least one activity.',
+        'alert.requiredFields': 'Please fill in all required fields and select at least one activity.',
+        'alert.endBeforeStart': 'End date must be after the start date.',
+        'alert.rangeTooLong': 'Please limit your date range to no more than 2 years.',
+        'alert.noRules': 'The activity rules could not be loaded. Please open GoodDates through a web server (see README).',
+        'alert.incompletePartners': 'Please complete the birth details of {names} before planning together.',
+        'alert.nothingToExport': 'There are no recommended dates to export yet.',
+        'alert.importFailed': 'Could not import {file}: {message}.',
+        'alert.copyFailed': 'Could not copy the link. It is selected so you can copy it yourself.',
+        'alert.permalinkFailed': 'This link could not be opened: {message}.',
+        'alert.backtestNeedsChart': 'Please find good dates first so the backtest can use your chart.',
+        'alert.fileUnreadable': 'This file could not be read: {message}.',
+        'error.resultSet.json': 'the file is not valid JSON',
+        'error.resultSet.format': 'the file is not a GoodDates result set',
+        'error.resultSet.version': 'the file was saved by a newer version (format version {version})',
+        'error.resultSet.noResults': 'the file has no results',
+        'error.resultSet.dateRange': 'the file has an invalid date range',
+        'error.resultSet.activities': 'the file has an invalid list of activities',
+        'error.resultSet.chart': 'the file has an invalid chart',
+        'error.resultSet.analysis': 'the file has an invalid chart analysis',
+        'error.resultSet.luck': 'the file has invalid luck pillars',
+        'error.resultSet.compatibility': 'the file has an invalid compatibility',
+        'error.resultSet.entry': 'the file has an invalid entry in result {index}',
+        'error.resultSet.date': 'the file has an invalid date in result {index}',
+        'error.resultSet.score': 'the file has an invalid score in result {index}',
+        'error.resultSet.explanation': 'the file has an invalid explanation in result {index}',
+        'error.resultSet.suggested': 'the file has an invalid suggestion flag in result {index}',
+        'error.resultSet.scoreParts': 'the file has an invalid score breakdown in result {index}',
+        'error.resultSet.activityScores': 'the file has invalid activity scores in result {index}',
+        'error.resultSet.hours': 'the file has an invalid list of hours in result {index}',
+        'error.resultSet.hour': 'the file has an invalid hour in result {index}',
+        'error.resultSet.timeline': 'the file has an invalid hourly timeline in result {index}',
+        'error.resultSet.breakdown': 'the file has an invalid breakdown by person in result {index}',
+        'error.permalink.version': 'the link uses format version {version}, which this page does not understand',
+        'error.permalink.dates': 'the dates in the link are not valid',
+        'error.permalink.birthTime': 'the birth time in the link is not valid',
+        'error.permalink.chart': 'the chart in the link is not valid',
+        'error.permalink.empty': 'the link has neither birth data nor a chart',
+        'error.prices.noRows': 'the file has no price rows',
+        'error.prices.header': 'the header needs date, open, high, low and close columns',
+        'error.prices.line': 'line {line} could not be read',
+        'profile.none': 'No saved profiles',
+        'profile.newName': 'Name of the new profile:',
+        'profile.rename': 'New name for this profile:',
+        'profile.confirmDelete': 'Delete the profile {name}?',
+        'profile.saved': 'Saved to the profile {name} for future visits.',
+        'profile.loaded': 'Loaded the profile {name}. You can update any field if needed.',
+        'profile.enterBirth': 'Enter the birth details for {name}; they are saved when you search.',
+        'profile.defaultName': 'My profile',
+        'profile.shared': 'Shared search',
+        'progress.start': 'Scoring…',
+        'progress.count': 'Scored {done} of {total} days',
+        'results.exchangeTables': 'The exchange holiday tables cover {first}–{last}; outside those years every weekday is treated as a trading day.',
+        'results.imported': 'Imported results, exported on {date}{zone}. They are shown as saved, not recalculated.',
+        'results.importedFor': 'Imported results for {name}, exported on {date}{zone}. They are shown as saved, not recalculated.',
+        'results.timeZone': ' ({zone})',
+        'compat.heading': 'Chart Compatibility',
+        'compat.none': 'no combinations or conflicts between the charts',
+        'compat.stemCombination': 'the {a} and {b} Day Masters combine into {element}',
+        'compat.sameElement': 'both Day Masters are {element}',
+        'compat.generates': '{owner} {element} Day Master generates {other} {otherElement}',
+        'compat.controls': '{owner} {element} Day Master controls {other} {otherElement}',
+        'compat.useful': '{owner} {element} Day Master is {other} Useful element',
+        'compat.branch': '{owner} {pillar} branch {branch} {verb} {other} {otherBranch}',
+        'analysis.dayMaster': 'Day Master:',
+        'analysis.dayMasterValue': '{stem} {element}, {strength}',
+        'analysis.useful': 'Useful:',
+        'analysis.favourable': 'Favourable:',
+        'analysis.unfavourable': 'Unfavourable:',
+        'analysis.season': '{stem} {element} Day Master born in a {branch} month is {season} ({seasonChinese}) in its season.',
+        'analysis.weights': 'Supporting characters weigh {support} (companions {companion}, resource {resource}); draining and controlling characters weigh {against} (output {output}, wealth {wealth}, officer {officer}).',
+        'analysis.strongResource': 'The Day Master is strong, mostly from its resource, so Wealth ({element}) is used to restrain the resource.',
+        'analysis.strongCompanions': 'The Day Master is strong, mostly from its companions, so Output ({element}) is used to drain it.',
+        'analysis.weakWealth': 'The Day Master is weak under heavy Wealth, so Companions ({element}) are used to share the load.',
+        'analysis.weakOfficers': 'The Day Master is weak under heavy Officers, so Resource ({element}) is used to support it.',
+        'analysis.weakOutput': 'The Day Master is weak under heavy Output, so Resource ({element}) is used to support it.',
+        'analysis.elements': 'Useful element: {useful}; favourable: {favourable}; unfavourable: {unfavourable}.',
+        'luck.heading': 'Luck pillars',
+        'luck.intro': 'run {direction} from the month pillar, counted to {jie} on {date}; the first starts at {age}.',
+        'luck.forward': 'forward',
+        'luck.backward': 'backward',
+        'luck.jie': '{name} ({english})',
+        'luck.age': 'Age',
+        'luck.years': 'Years',
+        'luck.pillar': 'Pillar',
+        'luck.ageYears': '{years} years',
+        'luck.ageYearsMonths': '{years} years {months} months',
+        'luck.annual': 'Annual pillar:',
+        'luck.annualFrom': '{pillar} from {date}',
+        'luck.annualLiChun': '{pillar} from Li Chun on {date}',
+        'luck.overridden': 'Luck pillars need the birth date and time, so they are not shown for an overridden chart.',
+        'luck.otherGender': 'Luck pillars run forward or backward depending on gender, so they are not shown for "Other".',
+        'solar.unknownPlace': '{location} is not in the built-in list of places, so the clock time {clock} was used without true solar time correction. Choose a suggested city to correct it.',
+        'solar.note': 'Born {clock} clock time in {place} ({offset}), which is {solar}{day} true solar time: daylight saving {daylightSaving}, longitude {longitude}, equation of time {equationOfTime}.',
+        'solar.onDay': ' on {date}',
+        'solar.none': 'none',
+        'solar.minutes': '{minutes} min',
+        'backtest.scoring': 'Scoring {from} to {to}…',
+        'backtest.summary': '{symbol}: {bars} {kind} bars from {from} to {to}; {days} rated days{unmatched}. Returns run from open to close; good and bad are the trading ratings for your chart.',
+        'backtest.intraday': 'intraday',
+        'backtest.daily': 'daily',
+        'backtest.unmatched': ', {count} days with prices but no rating (closed for the chosen exchanges)',
+        'backtest.count': 'Count',
+        'backtest.mean': 'Mean return',
+        'backtest.volatility': 'Volatility',
+        'backtest.hitRate': 'Hit rate',
+        'backtest.compounded': 'Compounded',
+        'backtest.days': 'Days',
+        'backtest.bars': 'Intraday bars',
+        'backtest.goodDays': 'Good days',
+        'backtest.badDays': 'Bad days',
+        'backtest.everyDay': 'Every day',
+        'backtest.inRecommended': 'In recommended hours',
+        'backtest.recommended': 'Recommended hours',
+        'backtest.otherHours': 'Other hours',
+        'backtest.chartLabel': 'Growth of 1 by group of days',
+        'backtest.legend': ' — growth of 1 traded only on those days.'
+    },
+    'zh-Hans': {
+        'list.separator': '、',
+        'list.and': '和',
+        'list.semicolon': '；',
+        'owner.you': '你的',
+        'owner.named': '{name}的',
+        'participant.you': '你',
+        'pillar.year': '年',
+        'pillar.month': '月',
+        'pillar.day': '日',
+        'reason.chart': '此为{dun}{ju}局（{term}{yuan}，{branch}日），取{direction}宫。',
+        'reason.yuan': '此日属{yuan}（{branch}日）。',
+        'reason.almanac': '黄历记此日为{officer}日、{mansion}宿',
+        'reason.almanacEnd': '。',
+        'reason.almanacLists': '，{lists}。',
+        'reason.suitable': '宜{activities}',
+        'reason.unsuitable': '不宜{activities}',
+        'reason.forbidden': '忌{activities}',
+        'reason.periods.both.positive': '{luck}大运与{annual}流年扶助命局。',
+        'reason.periods.both.neutral': '{luck}大运与{annual}流年对命局影响平平。',
+        'reason.periods.both.negative': '{luck}大运与{annual}流年不利命局。',
+        'reason.periods.year.positive': '{annual}流年扶助命局。',
+        'reason.periods.year.neutral': '{annual}流年对命局影响平平。',
+        'reason.periods.year.negative': '{annual}流年不利命局。',
+        'reason.conflicts': '冲犯：{conflicts}。',
+        'reason.conflictItem': '{name}（{description}）',
+        'reason.ruledOutItem': '{name}（{description}）',
+        'reason.ruledOut': '{activities}不利。此日因{conflicts}而不可用。',
+        'reason.noHours': '此日没有适合所选事项的时辰。',
+        'alert.searchFailed': '搜索未能完成：{message}',
+        'reason.dayMaster': '你的{element}日主（{strength}，用神{useful}）',
+        'reason.dayMasterPlain': '你的日主',
+        'reason.favourable': '{activities}吉：{door}（{doorElement}）配{star}（{starElement}）与{deity}（{deityElement}），与{dayMaster}相合。',
+        'reason.unfavourable': '{activities}不利：{door}（{doorElement}）与{star}（{starElement}）、{deity}（{deityElement}）冲克{dayMaster}。',
+        'reason.jointFails': '{activities}并非人人皆宜：不适合{names}。',
+        'reason.jointSuits': '{activities}人人皆宜（{names}）。',
+        'person.ruledOut': '因{conflicts}而不可用',
+        'person.forbidden': '{officer}日忌{activities}',
+        'person.missing': '{activities}没有人人皆宜的时辰',
+        'person.tooLow': '此日得分过低',
+        'person.works': '此日可用',
+        'person.dayMaster': '（{element}日主，{strength}，用神{useful}）',
+        'person.luck': '{luck}大运、',
+        'person.text': '{name}{dayMaster}：{outcome}。时辰{hours}，黄历{almanac}，冲犯{conflicts}，{luck}{annual}流年{periods}；合计{total}。{conflictNote}',
+        'conflict.yearBreaker': '{day}日冲{year}年',
+        'conflict.monthBreaker': '{day}日冲{month}月',
+        'conflict.threeKillings': '{day}日为{month}月三煞',
+        'conflict.natal': '{branch}{pillar}{verb}{owner}{natalPillar}支{natalBranch}',
+        'conflict.verb.Clash': '冲',
+        'conflict.verb.Punishment': '刑',
+        'conflict.verb.Harm': '害',
+        'conflict.verb.Destruction': '破',
+        'explain.bad': '{date}：此日不宜。{reasons}',
+        'explain.good': '{date}：{reasons}推荐时辰：',
+        'explain.hour': '{activity} {time}；',
+        'results.none': '此范围内没有合适的日期。请延长范围、减少事项或更换交易所。',
+        'results.score': '得分 {score}',
+        'results.breakdown': '得分明细',
+        'results.total': '合计：{score}',
+        'results.page': '第 {page}/{pages} 页（共 {count} 天）',
+        'results.open': ' — 开市：{sessions}',
+        'session.regular': '{exchange} {from}–{to}',
+        'session.pre': '{exchange} {from}–{to}（盘前）',
+        'session.after': '{exchange} {from}–{to}（盘后）',
+        'ics.summary': '{activity}：{time}',
+        'ics.avoid': '忌：{activities}',
+        'ics.reminder': '{activity}将于 {minutes} 分钟后开始',
+        'results.localeNotice': '解释保留搜索时所用的语言；重新搜索即可更新。',
+        'scorePart.door': '八门',
+        'scorePart.star': '九星',
+        'scorePart.deity': '八神',
+        'scorePart.preferences': '事项宜忌',
+        'scorePart.tenGods': '时辰十神',
+        'scorePart.almanac': '建除与星宿',
+        'scorePart.conflicts': '与命局冲犯',
+        'scorePart.periods': '大运与流年',
+        'calendar.good': '吉日',
+        'calendar.bad': '凶日，宜避开',
+        'calendar.more': '显示更多月份（自{month}起）',
+        'calendar.scoreTitle': '得分 {score}{ruledOut}',
+        'calendar.ruledOut': '，不可用',
+        'calendar.notEvaluated': '未评分',
+        'legend.ruledOut': '不可用',
+        'legend.notEvaluated': '未评分',
+        'day.notInResults': '此日不在本次搜索结果之中。',
+        'day.notSaved': '这组结果没有保存此日的时辰。',
+        'day.recommended': '推荐',
+        'day.facing': '面向{direction}',
+        'day.score': '得分 {score}',
+        'chart.pillar': '柱',
+        'chart.stem': '天干',
+        'chart.branch': '地支',
+        'chart.hidden': '藏干',
+        'chart.elements': '五行：',
+        'lunar.date': '农历{leap}{month}{day}',
+        'lunar.leap': '闰',
+        'lunar.short': '{day}',
+        'lunar.shortFirst': '{leap}{month}',
+        'lunar.leapShort': '闰',
+        'lunar.dayPillar': '{pillar}日',
+        'lunar.gregorian': '公历：{date}',
+        'lunar.noSuchDate': '该农历年没有这一天。',
+        'lunar.outOfRange': '农历日期可输入 {first}–{last} 年。',
+        'quote': '“{text}”',
+        'sentence.end': '。',
+        'sentence.gap': '',
+        'alert.dates': '请正确选择开始与结束日期。',
+        'alert.noActivity': '请至少选择一项事项。',
+        'alert.requiredFields': '请填写所有必填项，并至少选择一项事项。',
+        'alert.endBeforeStart': '结束日期必须晚于开始日期。',
+        'alert.rangeTooLong': '日期范围请勿超过两年。',
+        'alert.noRules': '无法载入事项规则。请通过网页服务器打开 GoodDates（见 README）。',
+        'alert.incompletePartners': '请先填写{names}的出生资料，再一同择日。',
+        'alert.nothingToExport': '还没有可导出的推荐日期。',
+        'alert.importFailed': '无法导入 {file}：{message}。',
+        'alert.copyFailed': '无法复制链接。链接已选中，请自行复制。',
+        'alert.permalinkFailed': '无法打开此链接：{message}。',
+        'alert.backtestNeedsChart': '请先查找吉日，回测才能使用你的命盘。',
+        'alert.fileUnreadable': '无法读取此文件：{message}。',
+        'error.resultSet.json': '文件不是有效的 JSON',
+        'error.resultSet.format': '文件不是 GoodDates 结果集',
+        'error.resultSet.version': '文件由较新的版本保存（格式版本 {version}）',
+        'error.resultSet.noResults': '文件中没有结果',
+        'error.resultSet.dateRange': '文件的日期范围无效',
+        'error.resultSet.activities': '文件的事项列表无效',
+        'error.resultSet.chart': '文件的命盘无效',
+        'error.resultSet.analysis': '文件的命盘分析无效',
+        'error.resultSet.luck': '文件的大运无效',
+        'error.resultSet.compatibility': '文件的命盘相合无效',
+        'error.resultSet.entry': '文件第 {index} 条结果无效',
+        'error.resultSet.date': '文件第 {index} 条结果的日期无效',
+        'error.resultSet.score': '文件第 {index} 条结果的得分无效',
+        'error.resultSet.explanation': '文件第 {index} 条结果的解释无效',
+        'error.resultSet.suggested': '文件第 {index} 条结果的推荐标记无效',
+        'error.resultSet.scoreParts': '文件第 {index} 条结果的得分明细无效',
+        'error.resultSet.activityScores': '文件第 {index} 条结果的各事项得分无效',
+        'error.resultSet.hours': '文件第 {index} 条结果的时辰列表无效',
+        'error.resultSet.hour': '文件第 {index} 条结果的时辰无效',
+        'error.resultSet.timeline': '文件第 {index} 条结果的逐时评分无效',
+        'error.resultSet.breakdown': '文件第 {index} 条结果的各人明细无效',
+        'error.permalink.version': '链接使用格式版本 {version}，本页面无法识别',
+        'error.permalink.dates': '链接中的日期无效',
+        'error.permalink.birthTime': '链接中的出生时间无效',
+        'error.permalink.chart': '链接中的命盘无效',
+        'error.permalink.empty': '链接既无出生资料也无命盘',
+        'error.prices.noRows': '文件中没有价格数据行',
+        'error.prices.header': '表头须包含 date、open、high、low 和 close 列',
+        'error.prices.line': '第 {line} 行无法读取',
+        'profile.none': '没有已存档案',
+        'profile.newName': '新档案的名称：',
+        'profile.rename': '此档案的新名称：',
+        'profile.confirmDelete': '删除档案{name}？',
+        'profile.saved': '已保存到档案{name}，下次可直接使用。',
+        'profile.loaded': '已载入档案{name}。如有需要，可修改任何栏位。',
+        'profile.enterBirth': '请填写{name}的出生资料；搜索时会一并保存。',
+        'profile.defaultName': '我的档案',
+        'profile.shared': '分享的搜索',
+        'progress.start': '评分中…',
+        'progress.count': '已评分 {done}/{total} 天',
+        'results.exchangeTables': '交易所假期表涵盖 {first}–{last} 年；此范围以外，每个工作日均视为交易日。',
+        'results.imported': '已导入结果，导出于 {date}{zone}。按保存时的内容显示，未重新计算。',
+        'results.importedFor': '已导入{name}的结果，导出于 {date}{zone}。按保存时的内容显示，未重新计算。',
+        'results.timeZone': '（{zone}）',
+        'compat.heading': '命盘相合',
+        'compat.none': '两盘之间没有相合或冲犯',
+        'compat.stemCombination': '{a}、{b}日主合化{element}',
+        'compat.sameElement': '两人日主同为{element}',
+        'compat.generates': '{owner}{element}日主生{other}{otherElement}',
+        'compat.controls': '{owner}{element}日主克{other}{otherElement}',
+        'compat.useful': '{owner}{element}日主为{other}用神',
+        'compat.branch': '{owner}{pillar}支{branch}{verb}{other}{otherBranch}',
+        'compat.verb.Six Combination': '六合',
+        'compat.verb.Three Harmony': '三合',
+        'analysis.dayMaster': '日主：',
+        'analysis.dayMasterValue': '{stem}{element}，{strength}',
+        'analysis.useful': '用神：',
+        'analysis.favourable': '喜神：',
+        'analysis.unfavourable': '忌神：',
+        'analysis.season': '{stem}{element}日主生于{branch}月，得令为{season}。',
+        'analysis.weights': '生扶之字共 {support}（比劫 {companion}，印 {resource}）；泄耗克制之字共 {against}（食伤 {output}，财 {wealth}，官杀 {officer}）。',
+        'analysis.strongResource': '日主身强，主要得印生扶，故取财（{element}）制印。',
+        'analysis.strongCompanions': '日主身强，主要得比劫帮扶，故取食伤（{element}）泄秀。',
+        'analysis.weakWealth': '日主身弱而财重，故取比劫（{element}）分财。',
+        'analysis.weakOfficers': '日主身弱而官杀重，故取印（{element}）生身。',
+        'analysis.weakOutput': '日主身弱而食伤重，故取印（{element}）生身。',
+        'analysis.elements': '用神：{useful}；喜神：{favourable}；忌神：{unfavourable}。',
+        'luck.heading': '大运',
+        'luck.intro': '自月柱{direction}排，起运计至{date}{jie}；首运起于{age}。',
+        'luck.forward': '顺',
+        'luck.backward': '逆',
+        'luck.jie': '{name}',
+        'luck.age': '起运年龄',
+        'luck.years': '年份',
+        'luck.pillar': '大运',
+        'luck.ageYears': '{years} 岁',
+        'luck.ageYearsMonths': '{years} 岁 {months} 个月',
+        'luck.annual': '流年：',
+        'luck.annualFrom': '{date}起为{pillar}',
+        'luck.annualLiChun': '{date}立春起为{pillar}',
+        'luck.overridden': '大运需要出生日期与时间，手动修改的命盘不显示大运。',
+        'luck.otherGender': '大运顺逆取决于性别，性别为“其他”时不显示大运。',
+        'solar.unknownPlace': '{location}不在内置地点列表中，因此直接采用钟表时间 {clock}，未作真太阳时校正。请选择建议的城市以便校正。',
+        'solar.note': '出生于{place}（{offset}），钟表时间 {clock}，即真太阳时 {solar}{day}：夏令时 {daylightSaving}，经度 {longitude}，时差 {equationOfTime}。',
+        'solar.onDay': '（{date}）',
+        'solar.none': '无',
+        'solar.minutes': '{minutes} 分钟',
+        'backtest.scoring': '正在评分 {from} 至 {to}…',
+        'backtest.summary': '{symbol}：{from} 至 {to} 共 {bars} 根{kind}K线，{days} 个已评级的日子{unmatched}。收益按开盘至收盘计算；吉凶为你的命盘对交易的评级。',
+        'backtest.intraday': '日内',
+        'backtest.daily': '日',
+        'backtest.unmatched': '，另有 {count} 天有价格但无评级（所选交易所休市）',
+        'backtest.count': '数量',
+        'backtest.mean': '平均收益',
+        'backtest.volatility': '波动率',
+        'backtest.hitRate': '胜率',
+        'backtest.compounded': '复利收益',
+        'backtest.days': '按日',
+        'backtest.bars': '日内K线',
+        'backtest.goodDays': '吉日',
+        'backtest.badDays': '凶日',
+        'backtest.everyDay': '每日',
+        'backtest.inRecommended': '推荐时辰内',
+        'backtest.recommended': '推荐时辰',
+        'backtest.otherHours': '其他时辰',
+        'backtest.chartLabel': '各组日子中 1 的增长',
+        'backtest.legend': ' — 只在这些日子交易时 1 的增长。',
+        'ui.language': '语言：',
+        'ui.pinyin': '显示拼音',
+        'ui.title': '择日择时工具',
+        'ui.subtitle': '依八字与奇门遁甲推算个人吉日吉时',
+        'ui.details': '填写个人资料',
+        'ui.profile': '档案：',
+        'ui.newProfile': '新建',
+        'ui.renameProfile': '重命名',
+        'ui.duplicateProfile': '复制',
+        'ui.deleteProfile': '删除',
+        'ui.profileHelp': '每人各存一份档案。搜索时会把下列资料保存到所选档案。',
+        'ui.dob': '出生日期：',
+        'ui.lunarBirth': '以农历输入出生日期',
+        'ui.lunarDob': '农历出生日期：',
+        'ui.lunarLeap': '闰月',
+        'ui.birthTime': '出生时间：',
+        'ui.lateZi': '以 23:00 为一日之始（晚子时）',
+        'ui.lateZiHelp': '有些流派把 23:00 至午夜出生算作次日。勾选即按此法。',
+        'ui.gender': '性别：',
+        'ui.genderSelect': '请选择',
+        'ui.male': '男',
+        'ui.female': '女',
+        'ui.other': '其他',
+        'ui.location': '出生地点：',
+        'ui.locationPlaceholder': '城市，国家',
+        'ui.locationHelp': '请选择建议的城市，以便时柱按真太阳时计算。',
+        'ui.activities': '选择事项：',
+        'ui.activitiesHelp': '按住 Ctrl（Windows）或 Command（Mac）可多选。',
+        'ui.tradeOn': '交易所：',
+        'ui.extendedHours': '包括盘前与盘后时段',
+        'ui.marketHelp': '可选。选定交易所后，交易只取其开市之日，并只推荐与其交易时段重叠的时辰，以你的时区显示。',
+        'ui.partners': '与他人同择：',
+        'ui.partnersHelp': '可选。选择伴侣等人已保存的档案，例如婚嫁或合伙；只显示人人皆宜的日期与时辰。',
+        'ui.startDate': '开始日期：',
+        'ui.endDate': '结束日期：',
+        'ui.submit': '查找吉日',
+        'ui.openResults': '打开已存结果',
+        'ui.chart': '你的八字命盘',
+        'ui.override': '手动修改八字',
+        'ui.overrideHelp': '可手动指定每柱的天干地支。',
+        'ui.year': '年：',
+        'ui.month': '月：',
+        'ui.day': '日：',
+        'ui.hour': '时：',
+        'ui.recalculate': '重新计算吉日',
+        'ui.results': '推荐日期与时辰',
+        'ui.exportIcs': '导出到日历',
+        'ui.exportAvoid': '包括宜避开的日子',
+        'ui.saveJson': '保存结果（JSON）',
+        'ui.exportCsv': '导出 CSV',
+        'ui.permalink': '本次搜索的链接：',
+        'ui.copyLink': '复制链接',
+        'ui.stripPersonal': '去除个人资料（链接只带命盘，不带出生资料）',
+        'ui.filterActivity': '事项：',
+        'ui.allActivities': '全部事项',
+        'ui.filterDay': '星期：',
+        'ui.anyDay': '不限',
+        'ui.weekdays': '工作日',
+        'ui.weekends': '周末',
+        'ui.mondays': '星期一',
+        'ui.tuesdays': '星期二',
+        'ui.wednesdays': '星期三',
+        'ui.thursdays': '星期四',
+        'ui.fridays': '星期五',
+        'ui.saturdays': '星期六',
+        'ui.sundays': '星期日',
+        'ui.minScore': '最低得分：',
+        'ui.sortBy': '排序：',
+        'ui.sortDate': '日期',
+        'ui.sortScore': '得分',
+        'ui.show': '显示：',
+        'ui.allDates': '全部日期',
+        'ui.best3': '最佳 3 天',
+        'ui.best5': '最佳 5 天',
+        'ui.best10': '最佳 10 天',
+        'ui.best20': '最佳 20 天',
+        'ui.previous': '上一页',
+        'ui.next': '下一页',
+        'ui.calendar': '日历',
+        'ui.calendarHelp': '点击某日，或选中后按 Enter，即可查看当日各时辰详情。',
+        'ui.colourBy': '着色：',
+        'ui.verdict': '吉凶',
+        'ui.heatmap': '得分热图',
+        'ui.layer': '图层：',
+        'ui.drawerHelp': '用左右方向键切换日期，按 Esc 关闭。',
+        'ui.backtest': '回测交易日',
+        'ui.symbol': '代码：',
+        'ui.symbolPlaceholder': '例如 SPY',
+        'ui.runBacktest': '导入价格并回测',
+        'ui.cancel': '取消',
+        'ui.disclaimer': '免责声明：本工具依传统术数提供一般参考，不构成专业意见。重要决定请自行判断并咨询专业人士。'
+    },
+    'zh-Hant': {
+        'list.separator': '、',
+        'list.and': '和',
+        'list.semicolon': '；',
+        'owner.you': '你的',
+        'owner.named': '{name}的',
+        'participant.you': '你',
+        'pillar.year': '年',
+        'pillar.month': '月',
+        'pillar.day': '日',
+        'reason.chart': '此為{dun}{ju}局（{term}{yuan}，{branch}日），取{direction}宮。',
+        'reason.yuan': '此日屬{yuan}（{branch}日）。',
+        'reason.almanac': '黃曆記此日為{officer}日、{mansion}宿',
+        'reason.almanacEnd': '。',
+        'reason.almanacLists': '，{lists}。',
+        'reason.suitable': '宜{activities}',
+        'reason.unsuitable': '不宜{activities}',
+        'reason.forbidden': '忌{activities}',
+        'reason.periods.both.positive': '{luck}大運與{annual}流年扶助命局。',
+        'reason.periods.both.neutral': '{luck}大運與{annual}流年對命局影響平平。',
+        'reason.periods.both.negative': '{luck}大運與{annual}流年不利命局。',
+        'reason.periods.year.positive': '{annual}流年扶助命局。',
+        'reason.periods.year.neutral': '{annual}流年對命局影響平平。',
+        'reason.periods.year.negative': '{annual}流年不利命局。',
+        'reason.conflicts': '沖犯：{conflicts}。',
+        'reason.conflictItem': '{name}（{description}）',
+        'reason.ruledOutItem': '{name}（{description}）',
+        'reason.ruledOut': '{activities}不利。此日因{conflicts}而不可用。',
+        'reason.noHours': '此日沒有適合所選事項的時辰。',
+        'alert.searchFailed': '搜尋未能完成：{message}',
+        'reason.dayMaster': '你的{element}日主（{strength}，用神{useful}）',
+        'reason.dayMasterPlain': '你的日主',
+        'reason.favourable': '{activities}吉：{door}（{doorElement}）配{star}（{starElement}）與{deity}（{deityElement}），與{dayMaster}相合。',
+        'reason.unfavourable': '{activities}不利：{door}（{doorElement}）與{star}（{starElement}）、{deity}（{deityElement}）沖剋{dayMaster}。',
+        'reason.jointFails': '{activities}並非人人皆宜：不適合{names}。',
+        'reason.jointSuits': '{activities}人人皆宜（{names}）。',
+        'person.ruledOut': '因{conflicts}而不可用',
+        'person.forbidden': '{officer}日忌{activities}',
+        'person.missing': '{activities}沒有人人皆宜的時辰',
+        'person.tooLow': '此日得分過低',
+        'person.works': '此日可用',
+        'person.dayMaster': '（{element}日主，{strength}，用神{useful}）',
+        'person.luck': '{luck}大運、',
+        'person.text': '{name}{dayMaster}：{outcome}。時辰{hours}，黃曆{almanac}，沖犯{conflicts}，{luck}{annual}流年{periods}；合計{total}。{conflictNote}',
+        'conflict.yearBreaker': '{day}日沖{year}年',
+        'conflict.monthBreaker': '{day}日沖{month}月',
+        'conflict.threeKillings': '{day}日為{month}月三煞',
+        'conflict.natal': '{branch}{pillar}{verb}{owner}{natalPillar}支{natalBranch}',
+        'conflict.verb.Clash': '沖',
+        'conflict.verb.Punishment': '刑',
+        'conflict.verb.Harm': '害',
+        'conflict.verb.Destruction': '破',
+        'explain.bad': '{date}：此日不宜。{reasons}',
+        'explain.good': '{date}：{reasons}推薦時辰：',
+        'explain.hour': '{activity} {time}；',
+        'results.none': '此範圍內沒有合適的日期。請延長範圍、減少事項或更換交易所。',
+        'results.score': '得分 {score}',
+        'results.breakdown': '得分明細',
+        'results.total': '合計：{score}',
+        'results.page': '第 {page}/{pages} 頁（共 {count} 天）',
+        'results.open': ' — 開市：{sessions}',
+        'session.regular': '{exchange} {from}–{to}',
+        'session.pre': '{exchange} {from}–{to}（盤前）',
+        'session.after': '{exchange} {from}–{to}（盤後）',
+        'ics.summary': '{activity}：{time}',
+        'ics.avoid': '忌：{activities}',
+        'ics.reminder': '{activity}將於 {minutes} 分鐘後開始',
+        'results.localeNotice': '解釋保留搜尋時所用的語言；重新搜尋即可更新。',
+        'scorePart.door': '八門',
+        'scorePart.star': '九星',
+        'scorePart.deity': '八神',
+        'scorePart.preferences': '事項宜忌',
+        'scorePart.tenGods': '時辰十神',
+        'scorePart.almanac': '建除與星宿',
+        'scorePart.conflicts': '與命局沖犯',
+        'scorePart.periods': '大運與流年',
+        'calendar.good': '吉日',
+        'calendar.bad': '凶日，宜避開',
+        'calendar.more': '顯示更多月份（自{month}起）',
+        'calendar.scoreTitle': '得分 {score}{ruledOut}',
+        'calendar.ruledOut': '，不可用',
+        'calendar.notEvaluated': '未評分',
+        'legend.ruledOut': '不可用',
+        'legend.notEvaluated': '未評分',
+        'day.notInResults': '此日不在本次搜尋結果之中。',
+        'day.notSaved': '這組結果沒有儲存此日的時辰。',
+        'day.recommended': '推薦',
+        'day.facing': '面向{direction}',
+        'day.score': '得分 {score}',
+        'chart.pillar': '柱',
+        'chart.stem': '天干',
+        'chart.branch': '地支',
+        'chart.hidden': '藏干',
+        'chart.elements': '五行：',
+        'lunar.date': '農曆{leap}{month}{day}',
+        'lunar.leap': '閏',
+        'lunar.short': '{day}',
+        'lunar.shortFirst': '{leap}{month}',
+        'lunar.leapShort': '閏',
+        'lunar.dayPillar': '{pillar}日',
+        'lunar.gregorian': '公曆：{date}',
+        'lunar.noSuchDate': '該農曆年沒有這一天。',
+        'lunar.outOfRange': '農曆日期可輸入 {first}–{last} 年。',
+        'quote': '「{text}」',
+        'sentence.end': '。',
+        'sentence.gap': '',
+        'alert.dates': '請正確選擇開始與結束日期。',
+        'alert.noActivity': '請至少選擇一項事項。',
+        'alert.requiredFields': '請填寫所有必填欄位，並至少選擇一項事項。',
+        'alert.endBeforeStart': '結束日期必須晚於開始日期。',
+        'alert.rangeTooLong': '日期範圍請勿超過兩年。',
+        'alert.noRules': '無法載入事項規則。請透過網頁伺服器開啟 GoodDates（見 README）。',
+        'alert.incompletePartners': '請先填寫{names}的出生資料，再一同擇日。',
+        'alert.nothingToExport': '還沒有可匯出的推薦日期。',
+        'alert.importFailed': '無法匯入 {file}：{message}。',
+        'alert.copyFailed': '無法複製連結。連結已選取，請自行複製。',
+        'alert.permalinkFailed': '無法開啟此連結：{message}。',
+        'alert.backtestNeedsChart': '請先查找吉日，回測才能使用你的命盤。',
+        'alert.fileUnreadable': '無法讀取此檔案：{message}。',
+        'error.resultSet.json': '檔案不是有效的 JSON',
+        'error.resultSet.format': '檔案不是 GoodDates 結果集',
+        'error.resultSet.version': '檔案由較新的版本儲存（格式版本 {version}）',
+        'error.resultSet.noResults': '檔案中沒有結果',
+        'error.resultSet.dateRange': '檔案的日期範圍無效',
+        'error.resultSet.activities': '檔案的事項列表無效',
+        'error.resultSet.chart': '檔案的命盤無效',
+        'error.resultSet.analysis': '檔案的命盤分析無效',
+        'error.resultSet.luck': '檔案的大運無效',
+        'error.resultSet.compatibility': '檔案的命盤相合無效',
+        'error.resultSet.entry': '檔案第 {index} 筆結果無效',
+        'error.resultSet.date': '檔案第 {index} 筆結果的日期無效',
+        'error.resultSet.score': '檔案第 {index} 筆結果的得分無效',
+        'error.resultSet.explanation': '檔案第 {index} 筆結果的解釋無效',
+        'error.resultSet.suggested': '檔案第 {index} 筆結果的推薦標記無效',
+        'error.resultSet.scoreParts': '檔案第 {index} 筆結果的得分明細無效',
+        'error.resultSet.activityScores': '檔案第 {index} 筆結果的各事項得分無效',
+        'error.resultSet.hours': '檔案第 {index} 筆結果的時辰列表無效',
+        'error.resultSet.hour': '檔案第 {index} 筆結果的時辰無效',
+        'error.resultSet.timeline': '檔案第 {index} 筆結果的逐時評分無效',
+        'error.resultSet.breakdown': '檔案第 {index} 筆結果的各人明細無效',
+        'error.permalink.version': '連結使用格式版本 {version}，本頁面無法識別',
+        'error.permalink.dates': '連結中的日期無效',
+        'error.permalink.birthTime': '連結中的出生時間無效',
+        'error.permalink.chart': '連結中的命盤無效',
+        'error.permalink.empty': '連結既無出生資料也無命盤',
+        'error.prices.noRows': '檔案中沒有價格資料列',
+        'error.prices.header': '表頭須包含 date、open、high、low 和 close 欄',
+        'error.prices.line': '第 {line} 行無法讀取',
+        'profile.none': '沒有已存檔案',
+        'profile.newName': '新檔案的名稱：',
+        'profile.rename': '此檔案的新名稱：',
+        'profile.confirmDelete': '刪除檔案{name}？',
+        'profile.saved': '已儲存到檔案{name}，下次可直接使用。',
+        'profile.loaded': '已載入檔案{name}。如有需要，可修改任何欄位。',
+        'profile.enterBirth': '請填寫{name}的出生資料；搜尋時會一併儲存。',
+        'profile.defaultName': '我的檔案',
+        'profile.shared': '分享的搜尋',
+        'progress.start': '評分中…',
+        'progress.count': '已評分 {done}/{total} 天',
+        'results.exchangeTables': '交易所假期表涵蓋 {first}–{last} 年；此範圍以外，每個工作日均視為交易日。',
+        'results.imported': '已匯入結果，匯出於 {date}{zone}。按儲存時的內容顯示，未重新計算。',
+        'results.importedFor': '已匯入{name}的結果，匯出於 {date}{zone}。按儲存時的內容顯示，未重新計算。',
+        'results.timeZone': '（{zone}）',
+        'compat.heading': '命盤相合',
+        'compat.none': '兩盤之間沒有相合或沖犯',
+        'compat.stemCombination': '{a}、{b}日主合化{element}',
+        'compat.sameElement': '兩人日主同為{element}',
+        'compat.generates': '{owner}{element}日主生{other}{otherElement}',
+        'compat.controls': '{owner}{element}日主剋{other}{otherElement}',
+        'compat.useful': '{owner}{element}日主為{other}用神',
+        'compat.branch': '{owner}{pillar}支{branch}{verb}{other}{otherBranch}',
+        'compat.verb.Six Combination': '六合',
+        'compat.verb.Three Harmony': '三合',
+        'analysis.dayMaster': '日主：',
+        'analysis.dayMasterValue': '{stem}{element}，{strength}',
+        'analysis.useful': '用神：',
+        'analysis.favourable': '喜神：',
+        'analysis.unfavourable': '忌神：',
+        'analysis.season': '{stem}{element}日主生於{branch}月，得令為{season}。',
+        'analysis.weights': '生扶之字共 {support}（比劫 {companion}，印 {resource}）；洩耗剋制之字共 {against}（食傷 {output}，財 {wealth}，官殺 {officer}）。',
+        'analysis.strongResource': '日主身強，主要得印生扶，故取財（{element}）制印。',
+        'analysis.strongCompanions': '日主身強，主要得比劫幫扶，故取食傷（{element}）洩秀。',
+        'analysis.weakWealth': '日主身弱而財重，故取比劫（{element}）分財。',
+        'analysis.weakOfficers': '日主身弱而官殺重，故取印（{element}）生身。',
+        'analysis.weakOutput': '日主身弱而食傷重，故取印（{element}）生身。',
+        'analysis.elements': '用神：{useful}；喜神：{favourable}；忌神：{unfavourable}。',
+        'luck.heading': '大運',
+        'luck.intro': '自月柱{direction}排，起運計至{date}{jie}；首運起於{age}。',
+        'luck.forward': '順',
+        'luck.backward': '逆',
+        'luck.jie': '{name}',
+        'luck.age': '起運年齡',
+        'luck.years': '年份',
+        'luck.pillar': '大運',
+        'luck.ageYears': '{years} 歲',
+        'luck.ageYearsMonths': '{years} 歲 {months} 個月',
+        'luck.annual': '流年：',
+        'luck.annualFrom': '{date}起為{pillar}',
+        'luck.annualLiChun': '{date}立春起為{pillar}',
+        'luck.overridden': '大運需要出生日期與時間，手動修改的命盤不顯示大運。',
+        'luck.otherGender': '大運順逆取決於性別，性別為「其他」時不顯示大運。',
+        'solar.unknownPlace': '{location}不在內建地點列表中，因此直接採用鐘錶時間 {clock}，未作真太陽時校正。請選擇建議的城市以便校正。',
+        'solar.note': '出生於{place}（{offset}），鐘錶時間 {clock}，即真太陽時 {solar}{day}：夏令時 {daylightSaving}，經度 {longitude}，均時差 {equationOfTime}。',
+        'solar.onDay': '（{date}）',
+        'solar.none': '無',
+        'solar.minutes': '{minutes} 分鐘',
+        'backtest.scoring': '正在評分 {from} 至 {to}…',
+        'backtest.summary': '{symbol}：{from} 至 {to} 共 {bars} 根{kind}K線，{days} 個已評級的日子{unmatched}。收益按開盤至收盤計算；吉凶為你的命盤對交易的評級。',
+        'backtest.intraday': '日內',
+        'backtest.daily': '日',
+        'backtest.unmatched': '，另有 {count} 天有價格但無評級（所選交易所休市）',
+        'backtest.count': '數量',
+        'backtest.mean': '平均收益',
+        'backtest.volatility': '波動率',
+        'backtest.hitRate': '勝率',
+        'backtest.compounded': '複利收益',
+        'backtest.days': '按日',
+        'backtest.bars': '日內K線',
+        'backtest.goodDays': '吉日',
+        'backtest.badDays': '凶日',
+        'backtest.everyDay': '每日',
+        'backtest.inRecommended': '推薦時辰內',
+        'backtest.recommended': '推薦時辰',
+        'backtest.otherHours': '其他時辰',
+        'backtest.chartLabel': '各組日子中 1 的增長',
+        'backtest.legend': ' — 只在這些日子交易時 1 的增長。',
+        'ui.language': '語言：',
+        'ui.pinyin': '顯示拼音',
+        'ui.title': '擇日擇時工具',
+        'ui.subtitle': '依八字與奇門遁甲推算個人吉日吉時',
+        'ui.details': '填寫個人資料',
+        'ui.profile': '檔案：',
+        'ui.newProfile': '新建',
+        'ui.renameProfile': '重新命名',
+        'ui.duplicateProfile': '複製',
+        'ui.deleteProfile': '刪除',
+        'ui.profileHelp': '每人各存一份檔案。搜尋時會把下列資料儲存到所選檔案。',
+        'ui.dob': '出生日期：',
+        'ui.lunarBirth': '以農曆輸入出生日期',
+        'ui.lunarDob': '農曆出生日期：',
+        'ui.lunarLeap': '閏月',
+        'ui.birthTime': '出生時間：',
+        'ui.lateZi': '以 23:00 為一日之始（晚子時）',
+        'ui.lateZiHelp': '有些流派把 23:00 至午夜出生算作次日。勾選即按此法。',
+        'ui.gender': '性別：',
+        'ui.genderSelect': '請選擇',
+        'ui.male': '男',
+        'ui.female': '女',
+        'ui.other': '其他',
+        'ui.location': '出生地點：',
+        'ui.locationPlaceholder': '城市，國家',
+        'ui.locationHelp': '請選擇建議的城市，以便時柱按真太陽時計算。',
+        'ui.activities': '選擇事項：',
+        'ui.activitiesHelp': '按住 Ctrl（Windows）或 Command（Mac）可多選。',
+        'ui.tradeOn': '交易所：',
+        'ui.extendedHours': '包括盤前與盤後時段',
+        'ui.marketHelp': '可選。選定交易所後，交易只取其開市之日，並只推薦與其交易時段重疊的時辰，以你的時區顯示。',
+        'ui.partners': '與他人同擇：',
+        'ui.partnersHelp': '可選。選擇伴侶等人已儲存的檔案，例如婚嫁或合夥；只顯示人人皆宜的日期與時辰。',
+        'ui.startDate': '開始日期：',
+        'ui.endDate': '結束日期：',
+        'ui.submit': '查找吉日',
+        'ui.openResults': '開啟已存結果',
+        'ui.chart': '你的八字命盤',
+        'ui.override': '手動修改八字',
+        'ui.overrideHelp': '可手動指定每柱的天干地支。',
+        'ui.year': '年：',
+        'ui.month': '月：',
+        'ui.day': '日：',
+        'ui.hour': '時：',
+        'ui.recalculate': '重新計算吉日',
+        'ui.results': '推薦日期與時辰',
+        'ui.exportIcs': '匯出到日曆',
+        'ui.exportAvoid': '包括宜避開的日子',
+        'ui.saveJson': '儲存結果（JSON）',
+        'ui.exportCsv': '匯出 CSV',
+        'ui.permalink': '本次搜尋的連結：',
+        'ui.copyLink': '複製連結',
+        'ui.stripPersonal': '去除個人資料（連結只帶命盤，不帶出生資料）',
+        'ui.filterActivity': '事項：',
+        'ui.allActivities': '全部事項',
+        'ui.filterDay': '星期：',
+        'ui.anyDay': '不限',
+        'ui.weekdays': '工作日',
+        'ui.weekends': '週末',
+        'ui.mondays': '星期一',
+        'ui.tuesdays': '星期二',
+        'ui.wednesdays': '星期三',
+        'ui.thursdays': '星期四',
+        'ui.fridays': '星期五',
+        'ui.saturdays': '星期六',
+        'ui.sundays': '星期日',
+        'ui.minScore': '最低得分：',
+        'ui.sortBy': '排序：',
+        'ui.sortDate': '日期',
+        'ui.sortScore': '得分',
+        'ui.show': '顯示：',
+        'ui.allDates': '全部日期',
+        'ui.best3': '最佳 3 天',
+        'ui.best5': '最佳 5 天',
+        'ui.best10': '最佳 10 天',
+        'ui.best20': '最佳 20 天',
+        'ui.previous': '上一頁',
+        'ui.next': '下一頁',
+        'ui.calendar': '日曆',
+        'ui.calendarHelp': '點擊某日，或選中後按 Enter，即可查看當日各時辰詳情。',
+        'ui.colourBy': '著色：',
+        'ui.verdict': '吉凶',
+        'ui.heatmap': '得分熱圖',
+        'ui.layer': '圖層：',
+        'ui.drawerHelp': '用左右方向鍵切換日期，按 Esc 關閉。',
+        'ui.backtest': '回測交易日',
+        'ui.symbol': '代碼：',
+        'ui.symbolPlaceholder': '例如 SPY',
+        'ui.runBacktest': '匯入價格並回測',
+        'ui.cancel': '取消',
+        'ui.disclaimer': '免責聲明：本工具依傳統術數提供一般參考，不構成專業意見。重要決定請自行判斷並諮詢專業人士。'
+    }
+};
+
+/**
+ * Switch the language of term(), t() and the formatting functions. An
+ * unknown code falls back to English.
+ *
+ * @param {string} code - key of supportedLocales
+ * @param {boolean} [pinyin] - show pinyin after Chinese terms; unchanged when left out
+ */
+function setLocale(code, pinyin) {
+    currentLocale = code in supportedLocales ? code : 'en';
+    if (typeof pinyin === 'boolean') showPinyin = pinyin;
+}
+
+/**
+ * Read the saved language and pinyin setting, falling back to English, or
+ * to Chinese when the browser prefers it and nothing was saved.
+ *
+ * @returns {{locale: string, pinyin: boolean}}
+ */
+function loadLocalePreference() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(localePreferenceKey) || 'null');
+        if (saved && saved.locale in supportedLocales) return { locale: saved.locale, pinyin: !!saved.pinyin };
+    } catch (e) {
+        console.warn('Could not read the saved language', e);
+    }
+    const browser = (typeof navigator !== 'undefined' && navigator.language) || '';
+    let locale = 'en';
+    if (/^zh-(TW|HK|MO|Hant)/i.test(browser)) locale = 'zh-Hant';
+    else if (/^zh/i.test(browser)) locale = 'zh-Hans';
+    return { locale, pinyin: false };
+}
+
+/**
+ * Remember the current language and pinyin setting for the next visit.
+ */
+function saveLocalePreference() {
+    try {
+        localStorage.setItem(localePreferenceKey, JSON.stringify({ locale: currentLocale, pinyin: showPinyin }));
+    } catch (e) {
+        console.warn('Could not save the language', e);
+    }
+}
+
+/**
+ * Fill a template's {placeholders} from `params`.
+ *
+ * @param {string} template
+ * @param {Object<string, *>} params
+ * @returns {string}
+ */
+function fillTemplate(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * The template for a key in the current language, filled from `params`.
+ * Missing keys fall back to the English catalogue and then to `fallback`.
+ *
+ * @param {string} key
+ * @param {Object<string, *>} [params]
+ * @param {string} [fallback] - English text written next to the caller, e.g. in index.html
+ * @returns {string}
+ */
+function t(key, params = {}, fallback = key) {
+    const catalogue = messageCatalogues[currentLocale] || {};
+    const template = key in catalogue ? catalogue[key] : (key in messageCatalogues.en ? messageCatalogues.en[key] : fallback);
+    return fillTemplate(template, params);
+}
+
+/**
+ * An Error for a failure the user is told about, carrying its message key
+ * and parameters so errorText() can show it in the page language. The
+ * message itself is the English text, for the console.
+ *
+ * @param {string} key
+ * @param {Object<string, *>} [params]
+ * @returns {Error}
+ */
+function localisedError(key, params = {}) {
+    const error = new Error(fillTemplate(messageCatalogues.en[key] || key, params));
+    error.key = key;
+    error.params = params;
+    return error;
+}
+
+/**
+ * The text of an error in the current language: the message of an error
+ * from localisedError(), or the plain message of any other.
+ *
+ * @param {Error} error
+ * @returns {string}
+ */
+function errorText(error) {
+    return error.key ? t(error.key, error.params) : error.message;
+}
+
+/**
+ * A term in the current language: the English name itself, or its
+ * characters with the pinyin after them when pinyin is shown. Names
+ * without an entry are returned unchanged.
+ *
+ * @param {string} kind - key of chineseTerms, e.g. 'stem' or 'door'
+ * @param {string} name - English name, as used in the code
+ * @returns {string}
+ */
+function term(kind, name) {
+    if (currentLocale === 'en') return name;
+    const entry = (chineseTerms[kind] || {})[name];
+    if (!entry) return name;
+    const chars = currentLocale === 'zh-Hans' ? entry[1] : entry[0];
+    return showPinyin ? `${chars} (${entry[2]})` : chars;
+}
+
+/**
+ * A stem-branch pair in the current language, e.g. "Jia-Zi", "甲子" or
+ * "甲子 (jiǎ zǐ)".
+ *
+ * @param {string} stem
+ * @param {string} branch
+ * @returns {string}
+ */
+function pillarTerm(stem, branch) {
+    if (currentLocale === 'en') return `${stem}-${branch}`;
+    const stemEntry = chineseTerms.stem[stem];
+    const branchEntry = chineseTerms.branch[branch];
+    if (!stemEntry || !branchEntry) return `${stem}-${branch}`;
+    const chars = stemEntry[0] + branchEntry[0];
+    return showPinyin ? `${chars} (${stemEntry[2]} ${branchEntry[2]})` : chars;
+}
+
+/**
+ * Join the items of a list with the separator of the current language,
+ * e.g. "a, b, c" or "a、b、c".
+ *
+ * @param {string[]} items
+ * @returns {string}
+ */
+function joinList(items) {
+    return items.join(t('list.separator'));
+}
+
+/**
+ * Format a date in the current language.
+ *
+ * @param {Date} date
+ * @param {Intl.DateTimeFormatOptions} options
+ * @returns {string}
+ */
+function formatLocaleDate(date, options) {
+    return date.toLocaleDateString(localeFormatTags[currentLocale], options);
+}
+
+/**
+ * English ordinal of a number: 1st, 2nd, 3rd, 4th, … 11th, 21st.
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+function englishOrdinal(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const teen = Math.floor(n / 10) % 10 === 1;
+    return `${n}${(!teen && suffixes[n % 10]) || 'th'}`;
+}
+
+/**
+ * A lunar date in the current language, e.g. "8th day of the 2nd lunar
+ * month" or 农历二月初八. The short form for calendar cells gives month and
+ * day in English, and in Chinese the day, or the month on its first day.
+ *
+ * @param {{month: number, day: number, leap: boolean}} lunar - from lunarDateOf()
+ * @param {boolean} [short=false]
+ * @returns {string}
+ */
+function formatLunarDate(lunar, short = false) {
+    const english = currentLocale === 'en';
+    const params = {
+        leap: lunar.leap ? t(short ? 'lunar.leapShort' : 'lunar.leap') : '',
+        month: english ? (short ? lunar.month : englishOrdinal(lunar.month)) : term('lunarMonth', lunar.month),
+        day: english ? (short ? lunar.day : englishOrdinal(lunar.day)) : term('lunarDay', lunar.day)
+    };
+    if (!short) return t('lunar.date', params);
+    return t(lunar.day === 1 ? 'lunar.shortFirst' : 'lunar.short', params);
+}
+
+/**
+ * Short weekday names from Sunday to Saturday in the current language.
+ *
+ * @returns {string[]}
+ */
+function shortWeekdayNames() {
+    if (currentLocale === 'en') {
+        return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    }
+    // 1 January 2023 was a Sunday
+    return Array.from({ length: 7 }, (_, i) => formatLocaleDate(new Date(2023, 0, 1 + i), { weekday: 'short' }));
+}
+
+/**
+ * Format a number with a fixed number of decimals in the current language.
+ *
+ * @param {number} value
+ * @param {number} [digits=1]
+ * @returns {string}
+ */
+function formatLocaleNumber(value, digits = 1) {
+    return value.toLocaleString(localeFormatTags[currentLocale] || 'en', {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+        useGrouping: false
+    });
+}
+
+/**
+ * Translate the page: every element with `data-i18n` gets the template of
+ * that key as its text, and `data-i18n-placeholder` sets the placeholder.
+ * The English written in the page is kept on first use as the fallback.
+ *
+ * @param {ParentNode} root
+ */
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        if (el.dataset.i18nText === undefined) el.dataset.i18nText = el.textContent;
+        el.textContent = t(el.dataset.i18n, {}, el.dataset.i18nText);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        if (el.dataset.i18nPlaceholderText === undefined) el.dataset.i18nPlaceholderText = el.placeholder;
+        el.placeholder = t(el.dataset.i18nPlaceholder, {}, el.dataset.i18nPlaceholderText);
+    });
+}
@@ -0,0 +1,237 @@
+/*
+ * iCalendar (RFC 5545) export of the recommended dates and hours. Every
+ * recommended hour of a good day becomes a timed event in the browser's
+ * zone with a reminder; bad days can be added as all-day "avoid" events.
+ * The zone is described by a VTIMEZONE built from the offsets the browser
+ * reports (see timezone.js), so calendars that do not know the zone id still
+ * place the events correctly.
+ */
+
+const icsProductId = '-//GoodDates//Auspicious Date Finder//EN';
+
+// Minutes before a recommended hour at which its reminder fires
+const icsReminderMinutes = 30;
+
+/**
+ * Escape text for a TEXT property value.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, continuation lines
+ * starting with a space. Multi-byte characters are never split.
+ *
+ * @param {string} line
+ * @returns {string} folded line(s) joined by CRLF
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of line) {
+        const size = encoder.encode(ch).length;
+        const limit = lines.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            lines.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += ch;
+        octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+}
+
+/**
+ * Format wall-clock fields as an iCalendar local DATE-TIME, e.g.
+ * "20261107T070000".
+ *
+ * @param {{year: number, month: number, day: number, hour: number, minute: number, second?: number}} p
+ * @returns {string}
+ */
+function formatIcsLocal(p) {
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(p.year, 4)}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second || 0)}`;
+}
+
+/**
+ * Format a local calendar date as an iCalendar DATE, e.g. "20261107".
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatIcsDate(date) {
+    return formatIcsLocal({ year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hour: 0, minute: 0 }).slice(0, 8);
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME, e.g. "20261107T010000Z".
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatIcsUtc(date) {
+    return `${date.toISOString().replace(/[-:]/g, '').split('.')[0]}Z`;
+}
+
+/**
+ * Format an offset in minutes as a UTC-OFFSET value, e.g. "+0800".
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatIcsOffset(minutes) {
+    const abs = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Instants at which the offset of a zone changes between two instants, to
+ * the minute. Offsets are sampled daily and each change is narrowed down by
+ * bisection.
+ *
+ * @param {string} zone
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<{at: Date, offsetFrom: number, offsetTo: number}>}
+ */
+function findZoneTransitions(zone, from, to) {
+    const transitions = [];
+    const day = 86400000;
+    let prev = from.getTime();
+    let prevOffset = getTimeZoneOffsetMinutes(zone, from);
+    for (let t = prev + day; t <= to.getTime() + day; t += day) {
+        const offset = getTimeZoneOffsetMinutes(zone, new Date(t));
+        if (offset !== prevOffset) {
+            let lo = prev;
+            let hi = t;
+            while (hi - lo > 60000) {
+                const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+                if (getTimeZoneOffsetMinutes(zone, new Date(mid)) === prevOffset) lo = mid;
+                else hi = mid;
+            }
+            transitions.push({ at: new Date(hi), offsetFrom: prevOffset, offsetTo: offset });
+        }
+        prev = t;
+        prevOffset = offset;
+    }
+    return transitions;
+}
+
+/**
+ * Build a VTIMEZONE for a zone covering whole years. The first component
+ * gives the offset in force at the start of the first year; each offset
+ * change after it becomes a STANDARD or DAYLIGHT component, DAYLIGHT when
+ * the new offset is ahead of the standard offset of its year.
+ *
+ * @param {string} zone
+ * @param {number} firstYear
+ * @param {number} lastYear
+ * @returns {string[]} content lines
+ */
+function buildVTimezone(zone, firstYear, lastYear) {
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+    const component = (at, offsetFrom, offsetTo) => {
+        const kind = offsetTo > getStandardOffsetMinutes(zone, getZonedParts(at, zone).year) ? 'DAYLIGHT' : 'STANDARD';
+        // DTSTART is the wall-clock time the change happens at, read in the
+        // offset in force before it
+        const local = new Date(at.getTime() + offsetFrom * 60000);
+        lines.push(
+            `BEGIN:${kind}`,
+            `DTSTART:${formatIcsUtc(local).slice(0, 15)}`,
+            `TZOFFSETFROM:${formatIcsOffset(offsetFrom)}`,
+            `TZOFFSETTO:${formatIcsOffset(offsetTo)}`,
+            `END:${kind}`
+        );
+    };
+    const start = zonedTimeToUtc(firstYear, 1, 1, 0, 0, zone);
+    const end = zonedTimeToUtc(lastYear + 1, 1, 1, 0, 0, zone);
+    const initial = getTimeZoneOffsetMinutes(zone, start);
+    component(start, initial, initial);
+    findZoneTransitions(zone, start, end).forEach(t => component(t.at, t.offsetFrom, t.offsetTo));
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * Build an .ics calendar from the output of generateGoodDates(). Each hour
+ * of a good day becomes a timed event in `zone` named after its activity,
+ * with the day's explanation as its description and a display reminder.
+ * With `includeAvoidDays`, each bad day becomes an all-day event instead.
+ *
+ * @param {Array<{date: Date, reasons: string, bad: boolean,
+ *     hours: Array<{activity: string, time: string, start: Date, end: Date}>,
+ *     breakdown?: Array<{text: string}>}>} goodDates
+ * @param {{includeAvoidDays?: boolean, zone?: string, now?: Date}} [options]
+ * @returns {string} calendar text with CRLF line endings
+ */
+function buildIcsCalendar(goodDates, options = {}) {
+    const zone = options.zone || getLocalTimeZone();
+    const stamp = formatIcsUtc(options.now || new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${icsProductId}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    const events = [];
+    goodDates.forEach(item => {
+        const description = [item.reasons, ...(item.breakdown || []).map(person => person.text)].join('\n');
+        if (item.bad) {
+            if (!options.includeAvoidDays) return;
+            const next = new Date(item.date.getFullYear(), item.date.getMonth(), item.date.getDate() + 1);
+            const activities = [...new Set(item.hours.map(hr => activityLabel(hr.activity)))];
+            events.push([
+                'BEGIN:VEVENT',
+                `UID:gooddates-${formatIcsDate(item.date)}-avoid`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${formatIcsDate(item.date)}`,
+                `DTEND;VALUE=DATE:${formatIcsDate(next)}`,
+                `SUMMARY:${escapeIcsText(t('ics.avoid', { activities: joinList(activities) }))}`,
+                `DESCRIPTION:${escapeIcsText(description)}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            ]);
+            return;
+        }
+        item.hours.forEach(hr => {
+            const start = getZonedParts(hr.start, zone);
+            const end = getZonedParts(hr.end, zone);
+            events.push([
+                'BEGIN:VEVENT',
+                `UID:gooddates-${formatIcsLocal(start)}-${hr.activity}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;TZID=${zone}:${formatIcsLocal(start)}`,
+                `DTEND;TZID=${zone}:${formatIcsLocal(end)}`,
+                `SUMMARY:${escapeIcsText(t('ics.summary', { activity: activityLabel(hr.activity), time: hr.time }))}`,
+                `DESCRIPTION:${escapeIcsText(description)}`,
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeIcsText(t('ics.reminder', { activity: activityLabel(hr.activity), minutes: icsReminderMinutes }))}`,
+                `TRIGGER:-PT${icsReminderMinutes}M`,
+                'END:VALARM',
+                'END:VEVENT'
+            ]);
+        });
+    });
+    const timedStarts = goodDates.filter(item => !item.bad).flatMap(item => item.hours.map(hr => hr.start));
+    if (timedStarts.length) {
+        const years = timedStarts.map(d => getZonedParts(d, zone).year);
+        lines.push(...buildVTimezone(zone, Math.min(...years), Math.max(...years)));
+    }
+    events.forEach(event => lines.push(...event));
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,93 @@
+/*
+ * Luck pillars (大運) and annual pillars (流年). Luck pillars step through
+ * the sexagenary cycle from the month pillar, ten years each: forward for a
+ * man born in a Yang year or a woman born in a Yin year, backward
+ * otherwise. The first one starts after the days between the birth and
+ * the nearest Jie term in that direction divided by three (three days
+ * count as one year). The annual pillar is the Year pillar of the date.
+ */
+
+// How many luck pillars to list, and the years each one lasts
+const luckPillarCount = 8;
+const luckPillarYears = 10;
+
+/**
+ * Compute the luck pillars for a birth instant and gender. Returns null
+ * when the gender is neither male nor female, since the direction of the
+ * pillars depends on it.
+ *
+ * @param {Date} birthInstant
+ * @param {string} gender - 'male', 'female' or 'other'
+ * @returns {{forward: boolean, startAge: number, jie: Object,
+ *     pillars: Array<{stem: string, branch: string, index: number, startAge: number, start: Date, end: Date}>}|null}
+ */
+function computeLuckPillars(birthInstant, gender) {
+    if (gender !== 'male' && gender !== 'female') return null;
+    const yearPillar = yearPillarAt(birthInstant);
+    const monthPillar = monthPillarAt(birthInstant);
+    const yangYear = yearPillar.index % 2 === 0;
+    const forward = (gender === 'male') === yangYear;
+    const jie = forward ? getNextJie(birthInstant) : getPreviousJie(birthInstant);
+    const days = Math.abs(jie.date - birthInstant) / 86400000;
+    const startAge = days / 3;
+    const yearMs = meanTropicalYear * 86400000;
+    const pillars = [];
+    for (let i = 1; i <= luckPillarCount; i++) {
+        const index = positiveMod(monthPillar.index + (forward ? i : -i), 60);
+        const age = startAge + (i - 1) * luckPillarYears;
+        pillars.push({
+            ...sexagenaryPair(index),
+            index,
+            startAge: age,
+            start: new Date(birthInstant.getTime() + age * yearMs),
+            end: new Date(birthInstant.getTime() + (age + luckPillarYears) * yearMs)
+        });
+    }
+    return { forward, startAge, jie, pillars };
+}
+
+/**
+ * The luck pillar in effect on a date, or null before the first one starts
+ * or after the last one ends.
+ *
+ * @param {{pillars: Array<{start: Date, end: Date}>}|null} luck - from computeLuckPillars()
+ * @param {Date} date
+ * @returns {Object|null}
+ */
+function luckPillarAt(luck, date) {
+    if (!luck) return null;
+    return luck.pillars.find(p => p.start <= date && date < p.end) || null;
+}
+
+/**
+ * Score a luck or annual pillar by the elements of its stem and branch
+ * against the chart analysis: +1 for the Useful element, +0.5 for a
+ * Favourable one and −0.5 for an Unfavourable one.
+ *
+ * @param {{stem: string, branch: string}} pillar
+ * @param {Object|null} analysis - from analyseDayMaster()
+ * @returns {number}
+ */
+function scorePeriodPillar(pillar, analysis) {
+    if (!pillar || !analysis) return 0;
+    return [stemElements[pillar.stem], branchElements[pillar.branch]].reduce((score, el) => {
+        if (el === analysis.usefulElement) return score + 1;
+        if (analysis.favourableElements.includes(el)) return score + 0.5;
+        if (analysis.unfavourableElements.includes(el)) return score - 0.5;
+        return score;
+    }, 0);
+}
+
+/**
+ * Format an age in years as years and months in the current language,
+ * e.g. "7 years 4 months".
+ *
+ * @param {number} age
+ * @returns {string}
+ */
+function formatLuckAge(age) {
+    const totalMonths = Math.round(age * 12);
+    const years = Math.floor(totalMonths / 12);
+    const months = totalMonths % 12;
+    return months ? t('luck.ageYearsMonths', { years, months }) : t('luck.ageYears', { years });
+}
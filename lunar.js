@@ -0,0 +1,243 @@
+/*
+ * Offline Chinese lunisolar calendar (農曆).
+ *
+ * New moons are computed with the series of Jean Meeus, "Astronomical
+ * Algorithms" (2nd ed., chapter 49), and the solar terms come from
+ * solarterms.js. The months follow the modern rules: a month begins on the
+ * day of its new moon, counted in China Standard Time (UTC+8); the month
+ * containing the winter solstice (Dong Zhi) is the eleventh; and when
+ * thirteen months fall between two eleventh months, the first of them
+ * without a principal (Qi) term is the leap month and repeats the number
+ * of the month before it. The conversion is meant for 1900–2100; the same
+ * rules run for other years, where the historical calendars did not always
+ * follow them.
+ *
+ * Public API (plain global functions, like the rest of the app):
+ *   newMoonInstant(k)                 Date of the k-th new moon after January 2000
+ *   lunarDateOf(date)                 lunar year, month and day of a calendar date
+ *   lunarToGregorian(year, month, day, leap)
+ *                                     calendar date of a lunar date, or null
+ *   lunarFestivalsOn(date)            the festivals falling on a calendar date
+ */
+
+const lunarCalendarYears = { first: 1900, last: 2100 };
+
+const synodicMonth = 29.530588861;
+
+// Periodic terms of the new moon (Meeus table 49.A): coefficient, power of
+// the eccentricity factor E and the multiples of M, M', F and Ω in the
+// argument
+const newMoonTerms = [
+    [-0.40720, 0, 0, 1, 0, 0], [0.17241, 1, 1, 0, 0, 0], [0.01608, 0, 0, 2, 0, 0],
+    [0.01039, 0, 0, 0, 2, 0], [0.00739, 1, -1, 1, 0, 0], [-0.00514, 1, 1, 1, 0, 0],
+    [0.00208, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+    [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+    [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+    [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+    [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+    [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+    [0.00002, 0, 0, 4, 0, 0]
+];
+
+// Planetary corrections (Meeus, after table 49.A): coefficient, and the
+// argument in degrees as a constant plus a multiple of k
+const newMoonPlanetaryTerms = [
+    [0.000325, 299.77, 0.107408], [0.000165, 251.88, 0.016321], [0.000164, 251.83, 26.651886],
+    [0.000126, 349.42, 36.412478], [0.000110, 84.66, 18.206239], [0.000062, 141.74, 53.303771],
+    [0.000060, 207.14, 2.453732], [0.000056, 154.84, 7.306860], [0.000047, 34.52, 27.261239],
+    [0.000042, 207.19, 0.121824], [0.000040, 291.34, 1.844379], [0.000037, 161.72, 24.198154],
+    [0.000035, 239.56, 25.513099], [0.000023, 331.55, 3.592518]
+];
+
+// Festivals fixed in the lunar calendar, by month and day. New Year's Eve,
+// the last day of the twelfth month, is added by lunarFestivalsOn().
+const lunarFestivals = [
+    { month: 1, day: 1, name: 'Spring Festival' },
+    { month: 1, day: 15, name: 'Lantern Festival' },
+    { month: 5, day: 5, name: 'Dragon Boat Festival' },
+    { month: 7, day: 7, name: 'Qixi Festival' },
+    { month: 7, day: 15, name: 'Ghost Festival' },
+    { month: 8, day: 15, name: 'Mid-Autumn Festival' },
+    { month: 9, day: 9, name: 'Double Ninth Festival' },
+    { month: 12, day: 8, name: 'Laba Festival' }
+];
+
+// Festivals kept on the day of a solar term, by term index
+const solarTermFestivals = {
+    1: 'Qingming Festival',
+    18: 'Winter Solstice Festival'
+};
+
+/**
+ * Instant of a new moon, following Meeus chapter 49. k = 0 is the new moon
+ * of 6 January 2000 and each step of k is one lunation.
+ *
+ * @param {number} k - integer lunation number
+ * @returns {Date}
+ */
+function newMoonInstant(k) {
+    const t = k / 1236.85;
+    let jde = 2451550.09766 + synodicMonth * k + 0.00015437 * t ** 2
+        - 0.00000015 * t ** 3 + 0.00000000073 * t ** 4;
+    const e = 1 - 0.002516 * t - 0.0000074 * t ** 2;
+    const sunAnomaly = (2.5534 + 29.1053567 * k - 0.0000014 * t ** 2 - 0.00000011 * t ** 3) * degToRad;
+    const moonAnomaly = (201.5643 + 385.81693528 * k + 0.0107582 * t ** 2 + 0.00001238 * t ** 3
+        - 0.000000058 * t ** 4) * degToRad;
+    const latitude = (160.7108 + 390.67050284 * k - 0.0016118 * t ** 2 - 0.00000227 * t ** 3
+        + 0.000000011 * t ** 4) * degToRad;
+    const node = (124.7746 - 1.56375588 * k + 0.0020672 * t ** 2 + 0.00000215 * t ** 3) * degToRad;
+    newMoonTerms.forEach(([coefficient, ePower, m, mPrime, f, omega]) => {
+        jde += coefficient * e ** ePower
+            * Math.sin(m * sunAnomaly + mPrime * moonAnomaly + f * latitude + omega * node);
+    });
+    newMoonPlanetaryTerms.forEach(([coefficient, constant, rate], i) => {
+        const extra = i === 0 ? -0.009173 * t ** 2 : 0;
+        jde += coefficient * Math.sin((constant + rate * k + extra) * degToRad);
+    });
+    // Terrestrial Time back to Universal Time
+    const decimalYear = 2000 + (jde - 2451545) / 365.25;
+    const jd = jde - deltaTSeconds(decimalYear) / 86400;
+    return new Date(Math.round((jd - 2440587.5) * 86400) * 1000);
+}
+
+/**
+ * Day number (Julian Day Number) of the date an instant falls on in China
+ * Standard Time, the clock that decides on which day a month begins.
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+function chinaDayNumber(date) {
+    const shifted = new Date(date.getTime() + 8 * 3600000);
+    return julianDayNumber(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate());
+}
+
+/**
+ * Lunation number of the month that contains the winter solstice of a
+ * Gregorian year, i.e. of its eleventh lunar month.
+ *
+ * @param {number} year
+ * @returns {number}
+ */
+function eleventhMonthLunation(year) {
+    const solstice = getSolarTermsForYear(year).find(term => term.index === 18).date;
+    const solsticeDay = chinaDayNumber(solstice);
+    let k = Math.floor((solstice.getTime() / 86400000 + 2440587.5 - 2451550.09766) / synodicMonth);
+    while (chinaDayNumber(newMoonInstant(k)) > solsticeDay) k -= 1;
+    while (chinaDayNumber(newMoonInstant(k + 1)) <= solsticeDay) k += 1;
+    return k;
+}
+
+const lunarYearCache = {};
+
+/**
+ * The lunar months from the eleventh month before the winter solstice of
+ * `year - 1` up to the one before the solstice of `year`, numbered and
+ * with the leap month marked. Results are cached per year.
+ *
+ * @param {number} year - Gregorian year of the closing solstice
+ * @returns {Array<{year: number, month: number, leap: boolean, start: number, length: number}>}
+ *     `start` is the day number of the first day of the month
+ */
+function lunarMonthsBetweenSolstices(year) {
+    if (!lunarYearCache[year]) {
+        const first = eleventhMonthLunation(year - 1);
+        const last = eleventhMonthLunation(year);
+        const starts = [];
+        for (let k = first; k <= last; k++) {
+            starts.push(chinaDayNumber(newMoonInstant(k)));
+        }
+        const principalTermDays = [...getSolarTermsForYear(year - 1), ...getSolarTermsForYear(year)]
+            .filter(term => !term.jie)
+            .map(term => chinaDayNumber(term.date));
+        let leapPending = last - first === 13;
+        let month = 11;
+        let lunarYear = year - 1;
+        const months = [];
+        for (let i = 0; i < starts.length - 1; i++) {
+            const start = starts[i];
+            const end = starts[i + 1];
+            let leap = false;
+            if (i > 0) {
+                if (leapPending && !principalTermDays.some(day => day >= start && day < end)) {
+                    leap = true;
+                    leapPending = false;
+                } else {
+                    month = month % 12 + 1;
+                    if (month === 1) lunarYear = year;
+                }
+            }
+            months.push({ year: lunarYear, month, leap, start, length: end - start });
+        }
+        lunarYearCache[year] = months;
+    }
+    return lunarYearCache[year];
+}
+
+/**
+ * Lunar date of a calendar date. The local calendar date of `date` is
+ * read as a date of the Chinese calendar, whatever the time zone.
+ *
+ * @param {Date} date
+ * @returns {{year: number, month: number, day: number, leap: boolean, monthLength: number,
+ *     yearStem: string, yearBranch: string}}
+ */
+function lunarDateOf(date) {
+    const year = date.getFullYear();
+    const dayNumber = julianDayNumber(year, date.getMonth() + 1, date.getDate());
+    let months = lunarMonthsBetweenSolstices(year);
+    const next = lunarMonthsBetweenSolstices(year + 1);
+    if (dayNumber >= next[0].start) months = next;
+    const month = months.filter(m => m.start <= dayNumber).pop();
+    const pair = sexagenaryPair(month.year - 4);
+    return {
+        year: month.year,
+        month: month.month,
+        day: dayNumber - month.start + 1,
+        leap: month.leap,
+        monthLength: month.length,
+        yearStem: pair.stem,
+        yearBranch: pair.branch
+    };
+}
+
+/**
+ * Calendar date of a lunar date.
+ *
+ * @param {number} year - lunar year, named after the Gregorian year in which it begins
+ * @param {number} month - 1‑12
+ * @param {number} day - 1‑30
+ * @param {boolean} [leap=false] - the leap month repeating `month`
+ * @returns {Date|null} local midnight, or null when the year has no such month or day
+ */
+function lunarToGregorian(year, month, day, leap = false) {
+    const found = [...lunarMonthsBetweenSolstices(year), ...lunarMonthsBetweenSolstices(year + 1)]
+        .find(m => m.year === year && m.month === month && m.leap === leap);
+    if (!found || day < 1 || day > found.length) return null;
+    // A day number is the noon (UTC) of its date
+    const date = new Date((found.start + day - 1 - 2440587.5) * 86400000);
+    return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Festivals of a calendar date: those of the lunar calendar and those kept
+ * on a solar term, in English (see term('festival', …) for display).
+ *
+ * @param {Date} date
+ * @param {Object} [lunar] - lunarDateOf(date), when already known
+ * @returns {string[]}
+ */
+function lunarFestivalsOn(date, lunar = lunarDateOf(date)) {
+    const names = [];
+    if (!lunar.leap) {
+        lunarFestivals
+            .filter(festival => festival.month === lunar.month && festival.day === lunar.day)
+            .forEach(festival => names.push(festival.name));
+        if (lunar.month === 12 && lunar.day === lunar.monthLength) names.push('New Year\'s Eve');
+    }
+    const dayNumber = julianDayNumber(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    getSolarTermsForYear(date.getFullYear())
+        .filter(term => term.index in solarTermFestivals && chinaDayNumber(term.date) === dayNumber)
+        .forEach(term => names.push(solarTermFestivals[term.index]));
+    return names;
+}
@@ -0,0 +1,124 @@
+/*
+ * Permalinks. A search is written into the URL fragment as short query
+ * parameters, e.g. "#v=1&s=20261101&e=20261120&a=marriage.trading&c=11861b9b",
+ * so it can be bookmarked or sent and run again on opening. Birth data is
+ * optional: a link without it carries the chart instead, which reruns the
+ * search as a chart override. A trading search on chosen exchanges also
+ * carries them, e.g. "x=NYSE.HKEX&h=1". `v` is the format version.
+ */
+
+const permalinkVersion = 1;
+
+// Single-letter codes for the gender field
+const permalinkGenders = { male: 'm', female: 'f', other: 'o' };
+
+/**
+ * Encode a chart as eight characters: for each pillar the stem index (0-9)
+ * and the branch index in base 12 (0-9, a, b).
+ *
+ * @param {Array<{pillar: string, stem: string, branch: string}>} chart - Year, Month, Day, Hour
+ * @returns {string}
+ */
+function encodeChartCode(chart) {
+    return ['Year', 'Month', 'Day', 'Hour'].map(name => {
+        const p = chart.find(item => item.pillar === name);
+        return heavenlyStems.indexOf(p.stem).toString() + earthlyBranches.indexOf(p.branch).toString(12);
+    }).join('');
+}
+
+/**
+ * Decode a chart written by encodeChartCode().
+ *
+ * @param {string} code
+ * @returns {Array<{pillar: string, stem: string, branch: string}>}
+ */
+function decodeChartCode(code) {
+    if (!/^([0-9][0-9ab]){4}$/.test(code)) {
+        throw localisedError('error.permalink.chart');
+    }
+    return ['Year', 'Month', 'Day', 'Hour'].map((pillar, i) => ({
+        pillar,
+        stem: heavenlyStems[Number(code[i * 2])],
+        branch: earthlyBranches[parseInt(code[i * 2 + 1], 12)]
+    }));
+}
+
+/**
+ * Build the URL fragment (without "#") for a search.
+ *
+ * @param {{startDate: string, endDate: string, activities: string[],
+ *     market?: {exchanges: string[], extended: boolean}|null,
+ *     birth: {dob: string, time: string, gender: string, location: string, lateZi: boolean}|null,
+ *     chart: Array<Object>|null}} query - dates as YYYY-MM-DD
+ * @returns {string}
+ */
+function encodePermalink(query) {
+    const params = new URLSearchParams();
+    params.set('v', permalinkVersion);
+    params.set('s', query.startDate.replace(/-/g, ''));
+    params.set('e', query.endDate.replace(/-/g, ''));
+    params.set('a', query.activities.join('.'));
+    if (query.market) {
+        params.set('x', query.market.exchanges.join('.'));
+        if (query.market.extended) params.set('h', '1');
+    }
+    if (query.birth) {
+        params.set('d', query.birth.dob.replace(/-/g, ''));
+        params.set('t', query.birth.time.replace(':', ''));
+        if (permalinkGenders[query.birth.gender]) params.set('g', permalinkGenders[query.birth.gender]);
+        params.set('l', query.birth.location);
+        if (query.birth.lateZi) params.set('z', '1');
+    }
+    if (query.chart) params.set('c', encodeChartCode(query.chart));
+    return params.toString();
+}
+
+/**
+ * Read a search from a URL fragment. Returns null when the fragment holds
+ * no permalink; throws an error from localisedError() when it holds one
+ * that cannot be read.
+ *
+ * @param {string} hash - location.hash, with or without the leading "#"
+ * @returns {{startDate: string, endDate: string, activities: string[], market: Object|null,
+ *     birth: Object|null, chart: Array<Object>|null}|null} see encodePermalink()
+ */
+function decodePermalink(hash) {
+    const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+    if (!params.has('v')) return null;
+    const version = Number(params.get('v'));
+    if (version !== permalinkVersion) {
+        throw localisedError('error.permalink.version', { version: params.get('v') });
+    }
+    const date = key => {
+        const value = params.get(key) || '';
+        if (!/^\d{8}$/.test(value)) throw localisedError('error.permalink.dates');
+        return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6)}`;
+    };
+    const query = {
+        startDate: date('s'),
+        endDate: date('e'),
+        activities: (params.get('a') || '').split('.').filter(Boolean),
+        market: null,
+        birth: null,
+        chart: params.has('c') ? decodeChartCode(params.get('c')) : null
+    };
+    if (params.has('x')) {
+        const codes = params.get('x').split('.').filter(code => exchanges[code]);
+        if (codes.length) query.market = { exchanges: codes, extended: params.get('h') === '1' };
+    }
+    if (params.has('d')) {
+        const time = params.get('t') || '';
+        if (!/^\d{4}$/.test(time)) throw localisedError('error.permalink.birthTime');
+        query.birth = {
+            dob: date('d'),
+            time: `${time.slice(0, 2)}:${time.slice(2)}`,
+            gender: Object.keys(permalinkGenders).find(g => permalinkGenders[g] === params.get('g')) || '',
+            location: params.get('l') || '',
+            lateZi: params.get('z') === '1'
+        };
+    }
+    if (!query.birth && !query.chart) {
+        throw localisedError('error.permalink.empty');
+    }
+    return query;
+}
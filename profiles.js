@@ -0,0 +1,197 @@
+/*
+ * Saved profiles. Every profile holds one person's birth data, an optional
+ * chart override and the activities last searched for, under a name chosen
+ * by the user. All profiles live in one localStorage entry together with the
+ * id of the active one. Earlier versions kept a single profile under
+ * `baziProfile` and `baziOverride`; those keys are moved into the store the
+ * first time it is read.
+ */
+
+const profileStoreKey = 'baziProfiles';
+const legacyProfileKey = 'baziProfile';
+const legacyOverrideKey = 'baziOverride';
+
+/**
+ * Name given to a profile migrated from the old keys or created implicitly,
+ * in the current language.
+ *
+ * @returns {string}
+ */
+function defaultProfileName() {
+    return t('profile.defaultName');
+}
+
+/**
+ * A new, empty store.
+ *
+ * @returns {{activeId: string|null, profiles: Array<Object>}}
+ */
+function emptyProfileStore() {
+    return { activeId: null, profiles: [] };
+}
+
+/**
+ * A profile with blank birth data.
+ *
+ * @param {string} id
+ * @param {string} name
+ * @param {Object} [data] - fields to fill in
+ * @returns {{id: string, name: string, dob: string, time: string, gender: string,
+ *     location: string, lateZi: boolean, activities: string[], override: Array<Object>|null}}
+ */
+function blankProfile(id, name, data = {}) {
+    return {
+        id,
+        name,
+        dob: '',
+        time: '',
+        gender: '',
+        location: '',
+        lateZi: false,
+        activities: [],
+        override: null,
+        ...data
+    };
+}
+
+/**
+ * An id not used by any profile in the store.
+ *
+ * @param {{profiles: Array<{id: string}>}} store
+ * @returns {string}
+ */
+function nextProfileId(store) {
+    const used = store.profiles.map(p => parseInt(String(p.id).replace(/^profile-/, ''), 10) || 0);
+    return `profile-${Math.max(0, ...used) + 1}`;
+}
+
+/**
+ * Build a store from the single-profile keys of earlier versions, or null
+ * when neither key is present.
+ *
+ * @returns {{activeId: string, profiles: Array<Object>}|null}
+ */
+function migrateLegacyProfile() {
+    const data = localStorage.getItem(legacyProfileKey);
+    const override = localStorage.getItem(legacyOverrideKey);
+    if (!data && !override) return null;
+    const store = emptyProfileStore();
+    const legacy = data ? JSON.parse(data) : {};
+    const profile = blankProfile(nextProfileId(store), defaultProfileName(), {
+        dob: legacy.dob || '',
+        time: legacy.time || '',
+        gender: legacy.gender || '',
+        location: legacy.location || '',
+        lateZi: !!legacy.lateZi,
+        override: override ? JSON.parse(override) : null
+    });
+    store.profiles.push(profile);
+    store.activeId = profile.id;
+    return store;
+}
+
+/**
+ * Read the profile store from localStorage, migrating the old keys if the
+ * store does not exist yet. The old keys are only removed once the store
+ * has been written.
+ *
+ * @returns {{activeId: string|null, profiles: Array<Object>}}
+ */
+function readProfileStore() {
+    const saved = localStorage.getItem(profileStoreKey);
+    if (saved) {
+        const store = JSON.parse(saved);
+        return {
+            activeId: store.activeId || null,
+            profiles: (store.profiles || []).map(p => blankProfile(p.id, p.name, p))
+        };
+    }
+    const migrated = migrateLegacyProfile();
+    if (!migrated) return emptyProfileStore();
+    writeProfileStore(migrated);
+    localStorage.removeItem(legacyProfileKey);
+    localStorage.removeItem(legacyOverrideKey);
+    return migrated;
+}
+
+/**
+ * Write the profile store to localStorage.
+ *
+ * @param {{activeId: string|null, profiles: Array<Object>}} store
+ */
+function writeProfileStore(store) {
+    localStorage.setItem(profileStoreKey, JSON.stringify(store));
+}
+
+/**
+ * The active profile, or null when the store is empty.
+ *
+ * @param {{activeId: string|null, profiles: Array<Object>}} store
+ * @returns {Object|null}
+ */
+function getActiveProfile(store) {
+    return store.profiles.find(p => p.id === store.activeId) || null;
+}
+
+/**
+ * Add a profile to the store and make it active.
+ *
+ * @param {Object} store
+ * @param {string} name
+ * @param {Object} [data] - birth data, override and activities
+ * @returns {Object} the new profile
+ */
+function createProfile(store, name, data = {}) {
+    const profile = blankProfile(nextProfileId(store), name, data);
+    store.profiles.push(profile);
+    store.activeId = profile.id;
+    return profile;
+}
+
+/**
+ * Rename a profile.
+ *
+ * @param {Object} store
+ * @param {string} id
+ * @param {string} name
+ * @returns {Object|null} the profile, or null if there is none with that id
+ */
+function renameProfile(store, id, name) {
+    const profile = store.profiles.find(p => p.id === id);
+    if (!profile) return null;
+    profile.name = name;
+    return profile;
+}
+
+/**
+ * Copy a profile under a new name and make the copy active.
+ *
+ * @param {Object} store
+ * @param {string} id
+ * @param {string} [name] - defaults to the original name with "(copy)"
+ * @returns {Object|null} the copy, or null if there is no profile with that id
+ */
+function duplicateProfile(store, id, name) {
+    const original = store.profiles.find(p => p.id === id);
+    if (!original) return null;
+    const { id: _id, name: originalName, ...data } = JSON.parse(JSON.stringify(original));
+    return createProfile(store, name || `${originalName} (copy)`, data);
+}
+
+/**
+ * Remove a profile. When it was active, the first remaining profile becomes
+ * active.
+ *
+ * @param {Object} store
+ * @param {string} id
+ * @returns {boolean} whether a profile was removed
+ */
+function deleteProfile(store, id) {
+    const index = store.profiles.findIndex(p => p.id === id);
+    if (index < 0) return false;
+    store.profiles.splice(index, 1);
+    if (store.activeId === id) {
+        store.activeId = store.profiles.length ? store.profiles[0].id : null;
+    }
+    return true;
+}
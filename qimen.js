@@ -0,0 +1,280 @@
+/*
+ * Qi Men Dun Jia hour charts (時家奇門, rotating‑plate method with Chai Bu
+ * Yuan selection).
+ *
+ * For each double‑hour the solar term and the Yuan of the day fix the Dun
+ * (Yin or Yang) and the Ju number. The Ju places the Earth plate stems over
+ * the nine palaces; the hour pillar then turns the Heaven plate, moves the
+ * lead door and lays out the eight deities. computeQiMenChart() returns the
+ * complete nine‑palace layout used by the scoring in script.js.
+ */
+
+// Eight doors, nine stars and eight deities with their traditional meanings.
+const qiMenDoors = [
+    'Rest Door',      // 休門 – promotes relaxation and recuperation
+    'Death Door',     // 死門 – connected to endings or closures
+    'Harm Door',      // 傷門 – associated with minor obstacles
+    'Delusion Door',  // 杜門 – may cause confusion or delays
+    'Open Door',      // 開門 – brings opportunities and successful ventures
+    'Fear Door',      // 驚門 – denotes shocks or disruptions
+    'Life Door',      // 生門 – favors growth and prosperity
+    'Scene Door'      // 景門 – tied to fame and visibility
+];
+const qiMenStars = [
+    'Grass Star',     // 天蓬 – daring, risk and hidden dealings
+    'Grain Star',     // 天芮 – problems, illness, learning
+    'Impulse Star',   // 天沖 – swift action and courage
+    'Assistant Star', // 天輔 – culture, teaching and support
+    'Connect Star',   // 天禽 – balance, lodged with the Grain Star
+    'Heart Star',     // 天心 – healing, planning and leadership
+    'Pillar Star',    // 天柱 – criticism, speech and breakage
+    'Ren Star',       // 天任 – steady responsibility and property
+    'Hero Star'       // 天英 – recognition, brilliance and fame
+];
+const qiMenDeities = [
+    'Chief Deity',       // 值符 – order and authority
+    'Serpent Deity',     // 螣蛇 – surprise and unpredictability
+    'Moon Deity',        // 太陰 – introspection and secrets
+    'Harmony Deity',     // 六合 – partnerships and agreements
+    'Tiger Deity',       // 白虎 – aggression and caution
+    'Tortoise Deity',    // 玄武 – deception and loss
+    'Nine Earth Deity',  // 九地 – long term projects and patience
+    'Nine Heaven Deity'  // 九天 – ambition and vision
+];
+
+// Five Elements of each door, star and deity. Doors and stars take the
+// element of the palace they belong to.
+const doorElementMap = {
+    'Rest Door': 'Water',
+    'Death Door': 'Earth',
+    'Harm Door': 'Wood',
+    'Delusion Door': 'Wood',
+    'Open Door': 'Metal',
+    'Fear Door': 'Metal',
+    'Life Door': 'Earth',
+    'Scene Door': 'Fire'
+};
+const starElementMap = {
+    'Grass Star': 'Water',
+    'Grain Star': 'Earth',
+    'Impulse Star': 'Wood',
+    'Assistant Star': 'Wood',
+    'Connect Star': 'Earth',
+    'Heart Star': 'Metal',
+    'Pillar Star': 'Metal',
+    'Ren Star': 'Earth',
+    'Hero Star': 'Fire'
+};
+const deityElementMap = {
+    'Chief Deity': 'Wood',
+    'Serpent Deity': 'Fire',
+    'Moon Deity': 'Metal',
+    'Harmony Deity': 'Wood',
+    'Tiger Deity': 'Metal',
+    'Tortoise Deity': 'Water',
+    'Nine Earth Deity': 'Earth',
+    'Nine Heaven Deity': 'Metal'
+};
+
+// The nine palaces in Lo Shu numbering with their trigram and direction.
+const qiMenPalaces = {
+    1: { trigram: 'Kan', direction: 'North', star: 'Grass Star', door: 'Rest Door' },
+    2: { trigram: 'Kun', direction: 'South-West', star: 'Grain Star', door: 'Death Door' },
+    3: { trigram: 'Zhen', direction: 'East', star: 'Impulse Star', door: 'Harm Door' },
+    4: { trigram: 'Xun', direction: 'South-East', star: 'Assistant Star', door: 'Delusion Door' },
+    5: { trigram: 'Centre', direction: 'Centre', star: 'Connect Star', door: null },
+    6: { trigram: 'Qian', direction: 'North-West', star: 'Heart Star', door: 'Open Door' },
+    7: { trigram: 'Dui', direction: 'West', star: 'Pillar Star', door: 'Fear Door' },
+    8: { trigram: 'Gen', direction: 'North-East', star: 'Ren Star', door: 'Life Door' },
+    9: { trigram: 'Li', direction: 'South', star: 'Hero Star', door: 'Scene Door' }
+};
+
+// Outer palaces in clockwise order (N, NE, E, SE, S, SW, W, NW). Stars,
+// doors and deities turn around this ring; the centre lodges in Kun (2).
+const qiMenRing = [1, 8, 3, 4, 9, 2, 7, 6];
+
+// The three Wonders and six Instruments in the order they are laid on the
+// Earth plate, starting from the Ju palace.
+const qiMenEarthOrder = ['Wu', 'Ji', 'Geng', 'Xin', 'Ren', 'Gui', 'Ding', 'Bing', 'Yi'];
+
+// The Instrument under which each Jia hides, by decade of the 60 cycle:
+// Jia‑Zi Wu, Jia‑Xu Ji, Jia‑Shen Geng, Jia‑Wu Xin, Jia‑Chen Ren, Jia‑Yin Gui.
+const qiMenXunInstruments = ['Wu', 'Ji', 'Geng', 'Xin', 'Ren', 'Gui'];
+
+// Ju numbers for the Upper, Middle and Lower Yuan of each solar term,
+// indexed like solarTermNames (longitude / 15).
+const qiMenJuTable = {
+    0: [3, 9, 6],   // Chun Fen
+    1: [4, 1, 7],   // Qing Ming
+    2: [5, 2, 8],   // Gu Yu
+    3: [4, 1, 7],   // Li Xia
+    4: [5, 2, 8],   // Xiao Man
+    5: [6, 3, 9],   // Mang Zhong
+    6: [9, 3, 6],   // Xia Zhi
+    7: [8, 2, 5],   // Xiao Shu
+    8: [7, 1, 4],   // Da Shu
+    9: [2, 5, 8],   // Li Qiu
+    10: [1, 4, 7],  // Chu Shu
+    11: [9, 3, 6],  // Bai Lu
+    12: [7, 1, 4],  // Qiu Fen
+    13: [6, 9, 3],  // Han Lu
+    14: [5, 8, 2],  // Shuang Jiang
+    15: [6, 9, 3],  // Li Dong
+    16: [5, 8, 2],  // Xiao Xue
+    17: [4, 7, 1],  // Da Xue
+    18: [1, 7, 4],  // Dong Zhi
+    19: [2, 8, 5],  // Xiao Han
+    20: [3, 9, 6],  // Da Han
+    21: [8, 5, 2],  // Li Chun
+    22: [9, 6, 3],  // Yu Shui
+    23: [1, 7, 4]   // Jing Zhe
+};
+
+/**
+ * Classify the Yuan (cycle) based on a branch according to the Chai Bu
+ * system. Upper Yuan for Zi, Wu, Mao, You; Middle Yuan for Yin, Shen, Si,
+ * Hai; Lower Yuan for Chen, Xu, Chou, Wei. Pass the branch of the Fu Tou
+ * (the Jia or Ji day that heads the current five‑day block).
+ *
+ * @param {string} branch
+ * @returns {string}
+ */
+function classifyYuan(branch) {
+    const upper = ['Zi','Wu','Mao','You'];
+    const middle = ['Yin','Shen','Si','Hai'];
+    const lower = ['Chen','Xu','Chou','Wei'];
+    if (upper.includes(branch)) return 'Upper';
+    if (middle.includes(branch)) return 'Middle';
+    return 'Lower';
+}
+
+/**
+ * Yang Dun runs from the winter solstice to the summer solstice, Yin Dun for
+ * the other half of the year.
+ *
+ * @param {number} termIndex - solar term index (longitude / 15)
+ * @returns {boolean}
+ */
+function isYangDunTerm(termIndex) {
+    return termIndex >= 18 || termIndex < 6;
+}
+
+/**
+ * Move a palace number along the Lo Shu sequence 1…9 (forward in Yang Dun,
+ * backward in Yin Dun).
+ *
+ * @param {number} palace
+ * @param {number} steps
+ * @param {boolean} yang
+ * @returns {number}
+ */
+function stepLoShu(palace, steps, yang) {
+    return positiveMod(palace - 1 + (yang ? steps : -steps), 9) + 1;
+}
+
+/**
+ * The outer palace that stands in for a palace number; the centre lodges in
+ * Kun.
+ *
+ * @param {number} palace
+ * @returns {number}
+ */
+function outerPalace(palace) {
+    return palace === 5 ? 2 : palace;
+}
+
+/**
+ * Cast the Qi Men Dun Jia chart for the double‑hour containing a moment.
+ * The day changes at 23:00, so the Zi hour belongs to the following day.
+ *
+ * @param {Date} moment - any local time within the double‑hour
+ * @returns {{dun: string, ju: number, yuan: string, term: string,
+ *     dayPillar: {stem: string, branch: string}, hourPillar: {stem: string, branch: string},
+ *     leadStar: string, leadDoor: string,
+ *     palaces: Object<number, {palace: number, trigram: string, direction: string,
+ *         earthStem: string, heavenStems: string[], star: string|null, door: string|null, deity: string|null}>}}
+ */
+function computeQiMenChart(moment) {
+    const day = computeDayStemBranch(moment, { lateZiRollover: true });
+    const hourBranchIndex = hourBranchIndexFor(moment.getHours());
+    const hour = hourPillarFor(day.index % 10, hourBranchIndex);
+    const term = getSolarTermAt(moment);
+
+    // Chai Bu: the Yuan comes from the Fu Tou, the Jia or Ji day heading the
+    // five‑day block the day belongs to.
+    const fuTou = sexagenaryPair(day.index - (day.index % 5));
+    const yuan = classifyYuan(fuTou.branch);
+    const yang = isYangDunTerm(term.index);
+    const ju = qiMenJuTable[term.index][['Upper', 'Middle', 'Lower'].indexOf(yuan)];
+
+    // Earth plate: Wu at the Ju palace, the rest following the Lo Shu order
+    const earth = {};
+    qiMenEarthOrder.forEach((stem, i) => {
+        earth[stepLoShu(ju, i, yang)] = stem;
+    });
+    const palaceOfEarthStem = stem => Number(Object.keys(earth).find(p => earth[p] === stem));
+
+    // The hour's decade decides which Instrument (and so which palace) leads
+    const xunHead = hour.index - (hour.index % 10);
+    const instrument = qiMenXunInstruments[xunHead / 10];
+    const leadPalace = palaceOfEarthStem(instrument);
+    const leadHome = outerPalace(leadPalace);
+    const leadStar = qiMenPalaces[leadHome].star;
+    const leadDoor = qiMenPalaces[leadHome].door;
+
+    // Heaven plate: the lead star flies to the hour stem on the Earth plate
+    // (a Jia hour uses its hidden Instrument) and the other stars keep their
+    // places around the ring.
+    const hourStem = hour.stem === 'Jia' ? instrument : hour.stem;
+    const starTarget = outerPalace(palaceOfEarthStem(hourStem));
+    const starShift = qiMenRing.indexOf(starTarget) - qiMenRing.indexOf(leadHome);
+
+    // Lead door: count the hours since the decade began through the palaces
+    const doorTarget = outerPalace(stepLoShu(leadPalace, hour.index - xunHead, yang));
+    const doorShift = qiMenRing.indexOf(doorTarget) - qiMenRing.indexOf(leadHome);
+
+    const palaces = {};
+    Object.keys(qiMenPalaces).forEach(key => {
+        const p = Number(key);
+        palaces[p] = {
+            palace: p,
+            trigram: qiMenPalaces[p].trigram,
+            direction: qiMenPalaces[p].direction,
+            earthStem: earth[p],
+            heavenStems: [],
+            star: null,
+            door: null,
+            deity: null
+        };
+    });
+    qiMenRing.forEach((home, i) => {
+        const starPalace = qiMenRing[positiveMod(i + starShift, 8)];
+        palaces[starPalace].star = qiMenPalaces[home].star;
+        palaces[starPalace].heavenStems.push(earth[home]);
+        if (home === 2) {
+            // The Connect Star of the centre travels with the Grain Star
+            palaces[starPalace].heavenStems.push(earth[5]);
+        }
+        const doorPalace = qiMenRing[positiveMod(i + doorShift, 8)];
+        palaces[doorPalace].door = qiMenPalaces[home].door;
+    });
+
+    // Deities start with the Chief on the lead star and run clockwise in
+    // Yang Dun, anticlockwise in Yin Dun.
+    const deityStart = qiMenRing.indexOf(starTarget);
+    qiMenDeities.forEach((deity, i) => {
+        palaces[qiMenRing[positiveMod(deityStart + (yang ? i : -i), 8)]].deity = deity;
+    });
+
+    return {
+        dun: yang ? 'Yang' : 'Yin',
+        ju,
+        yuan,
+        term: term.name,
+        dayPillar: { stem: day.stem, branch: day.branch },
+        hourPillar: { stem: hour.stem, branch: hour.branch },
+        leadStar,
+        leadDoor,
+        palaces
+    };
+}
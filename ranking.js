@@ -0,0 +1,114 @@
+/*
+ * Ranking and filtering results for display. Every result keeps its day
+ * score, the parts it is made of and a score per activity (see
+ * generateGoodDates()); the list can be sorted by score, narrowed to one
+ * activity, to weekdays or to a minimum score, or cut to the best N dates.
+ * For one activity the dates are chosen again from every scored day.
+ */
+
+// How each part of a score reads in a breakdown
+const scorePartLabels = {
+    door: 'Door synergy',
+    star: 'Star synergy',
+    deity: 'Deity synergy',
+    preferences: 'Activity preferences',
+    tenGods: 'Ten Gods of the hour',
+    almanac: 'Day Officer and mansion',
+    conflicts: 'Conflicts with the chart',
+    periods: 'Luck pillar and year'
+};
+
+// Weekday filters: the days of the week (0 = Sunday) each one keeps
+const weekdayFilters = {
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6],
+    0: [0],
+    1: [1],
+    2: [2],
+    3: [3],
+    4: [4],
+    5: [5],
+    6: [6]
+};
+
+/**
+ * How a part of a score reads in the current language.
+ *
+ * @param {string} key - key of scorePartLabels
+ * @returns {string}
+ */
+function scorePartLabel(key) {
+    return t(`scorePart.${key}`, {}, scorePartLabels[key] || key);
+}
+
+/**
+ * Format a score with its sign and one decimal, e.g. "+2.5" or "−1.0".
+ *
+ * @param {number} score
+ * @returns {string}
+ */
+function formatScore(score) {
+    return `${score < 0 ? '−' : '+'}${formatLocaleNumber(Math.abs(score), 1)}`;
+}
+
+/**
+ * The score a result ranks by: the score of one activity when given and
+ * known, otherwise the day score.
+ *
+ * @param {{score: number, activityScores?: Object<string, number>}} item
+ * @param {string} [activity]
+ * @returns {number}
+ */
+function resultScore(item, activity = '') {
+    if (activity && item.activityScores && activity in item.activityScores) {
+        return item.activityScores[activity];
+    }
+    return item.score;
+}
+
+/**
+ * The dates a list starts from. Without an activity these are the
+ * suggested dates; with one, as many dates again, chosen from every scored
+ * day by that activity's score, so a day that suits it but missed the cut
+ * on the combined score is listed. Days ruled out are only chosen when
+ * they were suggested.
+ *
+ * @param {Array<Object>} goodDates - the suggested dates
+ * @param {Array<Object>} scoredDays - every scored day, the suggested ones among them
+ * @param {string} activity
+ * @returns {Array<Object>}
+ */
+function candidateResults(goodDates, scoredDays, activity) {
+    if (!activity) return goodDates;
+    const suggested = new Set(goodDates);
+    return scoredDays
+        .filter(item => suggested.has(item) || !item.bad)
+        .sort((a, b) => (resultScore(b, activity) - resultScore(a, activity)) || (a.date - b.date))
+        .slice(0, goodDates.length);
+}
+
+/**
+ * Filter and order results for the list. With an activity, the dates are
+ * chosen by that activity's score (see candidateResults()), each keeps only
+ * that activity's hours and ranks by that activity's score. `top` keeps
+ * the best N dates that are not marked bad, highest score first.
+ *
+ * @param {Array<Object>} goodDates - from generateGoodDates() or an imported result set
+ * @param {Array<Object>} scoredDays - every scored day of the same search
+ * @param {{activity?: string, weekday?: string, minScore?: number|null, sort?: string, top?: number}} [options]
+ *     `weekday` is a key of weekdayFilters or empty; `sort` is "date" or "score"
+ * @returns {Array<Object>} results, each with only the hours shown
+ */
+function rankResults(goodDates, scoredDays, options = {}) {
+    const { activity = '', weekday = '', minScore = null, sort = 'date', top = 0 } = options;
+    const days = weekdayFilters[weekday] || null;
+    const items = candidateResults(goodDates, scoredDays, activity)
+        .filter(item => !days || days.includes(item.date.getDay()))
+        .filter(item => minScore === null || resultScore(item, activity) >= minScore)
+        .map(item => (activity ? { ...item, hours: item.hours.filter(hr => hr.activity === activity) } : item));
+    const byScore = (a, b) => (resultScore(b, activity) - resultScore(a, activity)) || (a.date - b.date);
+    if (top > 0) {
+        return items.filter(item => !item.bad).sort(byScore).slice(0, top);
+    }
+    return sort === 'score' ? items.sort(byScore) : items.sort((a, b) => a.date - b.date);
+}
@@ -0,0 +1,269 @@
+/*
+ * Saving and loading result sets. A search is written as a versioned JSON
+ * document holding the profile, the natal chart and its analysis, the luck
+ * pillars, the inputs and every scored day with its hours, scores and
+ * reasons, the days that were not suggested marked as such, so a saved file
+ * can be shown again exactly as it was without recomputing anything. A flat
+ * CSV with one row per recommended hour is offered for spreadsheets; it
+ * cannot be imported.
+ */
+
+const resultSetFormat = 'gooddates-results';
+const resultSetVersion = 2;
+
+const resultCsvColumns = ['date', 'score', 'verdict', 'activity', 'hour', 'ten_god', 'hour_score', 'start', 'end', 'reasons'];
+
+/**
+ * Format a local calendar date as YYYY-MM-DD.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatLocalDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse YYYY-MM-DD as a local calendar date.
+ *
+ * @param {string} text
+ * @returns {Date}
+ */
+function parseLocalDate(text) {
+    const [year, month, day] = String(text).split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * The JSON document for a finished search.
+ *
+ * @param {{profile: Object|null, chart: Array<Object>|null, analysis: Object|null, luck: Object|null,
+ *     startDate: Date, endDate: Date, activities: string[], market?: Object|null, compatibility: Array<Object>|null,
+ *     goodDates: Array<Object>, days: Array<Object>}} search
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+function serialiseResultSet(search, now = new Date()) {
+    const suggested = new Set(search.goodDates);
+    return {
+        format: resultSetFormat,
+        version: resultSetVersion,
+        exportedAt: now.toISOString(),
+        timeZone: getLocalTimeZone(),
+        profile: search.profile,
+        chart: search.chart,
+        analysis: search.analysis,
+        luck: search.luck,
+        inputs: {
+            startDate: formatLocalDate(search.startDate),
+            endDate: formatLocalDate(search.endDate),
+            activities: search.activities,
+            ...(search.market ? { market: search.market } : {})
+        },
+        compatibility: search.compatibility,
+        results: search.days.map(item => ({
+            date: formatLocalDate(item.date),
+            ...(suggested.has(item) ? {} : { suggested: false }),
+            score: item.score,
+            ...(item.scoreParts ? { scoreParts: item.scoreParts, activityScores: item.activityScores } : {}),
+            bad: item.bad,
+            reasons: item.reasons,
+            hours: item.hours.map(hr => ({
+                activity: hr.activity,
+                time: hr.time,
+                tenGod: hr.tenGod,
+                ...(hr.scoreParts ? { score: hr.score, scoreParts: hr.scoreParts } : {}),
+                start: hr.start.toISOString(),
+                end: hr.end.toISOString(),
+                ...(hr.session ? { session: hr.session } : {})
+            })),
+            ...(item.timeline ? {
+                timeline: item.timeline.map(slot => ({ ...slot, start: slot.start.toISOString(), end: slot.end.toISOString() }))
+            } : {}),
+            ...(item.breakdown ? { breakdown: item.breakdown } : {})
+        }))
+    };
+}
+
+const isText = value => typeof value === 'string';
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isLocalDateText = value => isText(value) && /^\d{4}-\d{2}-\d{2}$/.test(value);
+const isInstantText = value => isText(value) && !Number.isNaN(Date.parse(value));
+const isScoreMap = value => isObject(value) && Object.values(value).every(isFiniteNumber);
+const isTextList = value => Array.isArray(value) && value.every(isText);
+
+/**
+ * Throw the error of an imported result set that fails a check.
+ *
+ * @param {boolean} ok
+ * @param {string} field - names the message, `error.resultSet.<field>`
+ * @param {number} [index] - 1-based number of the result the field is in
+ */
+function checkResultSetField(ok, field, index) {
+    if (!ok) throw localisedError(`error.resultSet.${field}`, { index });
+}
+
+/**
+ * Check the types of the fields of a result set that the page shows or
+ * computes with, so a damaged or hand-edited file is refused on import
+ * rather than failing later.
+ *
+ * @param {Object} data - parsed JSON document
+ */
+function checkResultSetFields(data) {
+    const { inputs } = data;
+    checkResultSetField(isLocalDateText(inputs.startDate) && isLocalDateText(inputs.endDate), 'dateRange');
+    checkResultSetField(inputs.activities === undefined || isTextList(inputs.activities), 'activities');
+    if (data.chart) {
+        checkResultSetField(Array.isArray(data.chart) && data.chart.every(p => isObject(p)
+            && ['Year', 'Month', 'Day', 'Hour'].includes(p.pillar)
+            && heavenlyStems.includes(p.stem) && earthlyBranches.includes(p.branch)), 'chart');
+    }
+    if (data.analysis) {
+        const a = data.analysis;
+        checkResultSetField(isObject(a) && [a.dayMaster, a.element, a.strength, a.usefulElement].every(isText)
+            && [a.favourableElements, a.unfavourableElements, a.reasoning].every(isTextList), 'analysis');
+    }
+    if (data.luck) {
+        const l = data.luck;
+        checkResultSetField(isObject(l) && isObject(l.jie) && isText(l.jie.name) && isText(l.jie.english)
+            && isInstantText(l.jie.date) && isFiniteNumber(l.startAge) && Array.isArray(l.pillars)
+            && l.pillars.every(p => isObject(p) && isText(p.stem) && isText(p.branch) && isFiniteNumber(p.startAge)
+                && isInstantText(p.start) && isInstantText(p.end)), 'luck');
+    }
+    if (data.compatibility) {
+        checkResultSetField(Array.isArray(data.compatibility) && data.compatibility.every(pair => isObject(pair)
+            && isTextList(pair.names) && isFiniteNumber(pair.score) && Array.isArray(pair.notes)
+            && pair.notes.every(note => isObject(note) && isText(note.description) && isFiniteNumber(note.score))), 'compatibility');
+    }
+    data.results.forEach((item, i) => {
+        checkResultSetField(isObject(item), 'entry', i + 1);
+        checkResultSetField(isLocalDateText(item.date), 'date', i + 1);
+        checkResultSetField(isFiniteNumber(item.score), 'score', i + 1);
+        checkResultSetField(isText(item.reasons), 'explanation', i + 1);
+        checkResultSetField(item.suggested === undefined || typeof item.suggested === 'boolean', 'suggested', i + 1);
+        checkResultSetField(item.scoreParts === undefined || isScoreMap(item.scoreParts), 'scoreParts', i + 1);
+        checkResultSetField(item.activityScores === undefined || isScoreMap(item.activityScores), 'activityScores', i + 1);
+        checkResultSetField(item.hours === undefined || Array.isArray(item.hours), 'hours', i + 1);
+        (item.hours || []).forEach(hr => {
+            checkResultSetField(isObject(hr) && isText(hr.activity) && isText(hr.time)
+                && isInstantText(hr.start) && isInstantText(hr.end)
+                && (hr.tenGod === undefined || hr.tenGod === null || isText(hr.tenGod))
+                && (hr.score === undefined || isFiniteNumber(hr.score))
+                && (hr.scoreParts === undefined || isScoreMap(hr.scoreParts))
+                && (hr.session === undefined || isText(hr.session)), 'hour', i + 1);
+        });
+        if (item.timeline !== undefined) {
+            checkResultSetField(Array.isArray(item.timeline) && item.timeline.every(slot => isObject(slot)
+                && isText(slot.time) && isInstantText(slot.start) && isInstantText(slot.end) && isFiniteNumber(slot.score)
+                && isObject(slot.hourPillar) && isText(slot.hourPillar.stem) && isText(slot.hourPillar.branch)
+                && Array.isArray(slot.influences) && slot.influences.every(inf => isObject(inf) && isText(inf.kind) && (inf.name === undefined || isText(inf.name)))
+                && (slot.direction === undefined || slot.direction === null || isText(slot.direction))), 'timeline', i + 1);
+        }
+        if (item.breakdown !== undefined) {
+            checkResultSetField(Array.isArray(item.breakdown) && item.breakdown.every(person => isObject(person)
+                && isText(person.name) && isText(person.text)), 'breakdown', i + 1);
+        }
+    });
+}
+
+/**
+ * Read a JSON result set back into the shape of a search, with its dates
+ * restored. Throws an error from localisedError() when the text is not a
+ * result set this version understands. Files of version 1 hold only the
+ * suggested dates, so their `days` are the same.
+ *
+ * @param {string} text
+ * @returns {Object} search, see serialiseResultSet(), plus `exportedAt` and `timeZone`
+ */
+function parseResultSet(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw localisedError('error.resultSet.json');
+    }
+    if (!data || data.format !== resultSetFormat) {
+        throw localisedError('error.resultSet.format');
+    }
+    if (typeof data.version !== 'number' || data.version > resultSetVersion) {
+        throw localisedError('error.resultSet.version', { version: data.version });
+    }
+    if (!Array.isArray(data.results) || !isObject(data.inputs)) {
+        throw localisedError('error.resultSet.noResults');
+    }
+    checkResultSetFields(data);
+    let luck = null;
+    if (data.luck) {
+        luck = {
+            ...data.luck,
+            jie: { ...data.luck.jie, date: new Date(data.luck.jie.date) },
+            pillars: data.luck.pillars.map(p => ({ ...p, start: new Date(p.start), end: new Date(p.end) }))
+        };
+    }
+    const days = data.results.map(item => ({
+        date: parseLocalDate(item.date),
+        score: item.score,
+        ...(item.scoreParts ? { scoreParts: item.scoreParts, activityScores: item.activityScores || {} } : {}),
+        bad: !!item.bad,
+        reasons: item.reasons,
+        hours: (item.hours || []).map(hr => ({ ...hr, start: new Date(hr.start), end: new Date(hr.end) })),
+        ...(item.timeline ? {
+            timeline: item.timeline.map(slot => ({ ...slot, start: new Date(slot.start), end: new Date(slot.end) }))
+        } : {}),
+        ...(item.breakdown ? { breakdown: item.breakdown } : {})
+    }));
+    return {
+        exportedAt: new Date(data.exportedAt),
+        timeZone: data.timeZone || '',
+        profile: data.profile || null,
+        chart: data.chart || null,
+        analysis: data.analysis || null,
+        luck,
+        startDate: parseLocalDate(data.inputs.startDate),
+        endDate: parseLocalDate(data.inputs.endDate),
+        activities: data.inputs.activities || [],
+        market: data.inputs.market || null,
+        compatibility: data.compatibility || null,
+        goodDates: days.filter((item, i) => data.results[i].suggested !== false),
+        days
+    };
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A flat CSV of a search: one row per recommended hour, or one row for a
+ * day without hours. Starts with a byte order mark so spreadsheet apps read
+ * it as UTF‑8.
+ *
+ * @param {{goodDates: Array<Object>}} search
+ * @returns {string}
+ */
+function resultSetToCsv(search) {
+    const rows = [resultCsvColumns];
+    search.goodDates.forEach(item => {
+        const reasons = [item.reasons, ...(item.breakdown || []).map(person => person.text)].join(' ');
+        const day = [formatLocalDate(item.date), Number(item.score.toFixed(2)), item.bad ? 'avoid' : 'good'];
+        if (item.hours.length === 0) {
+            rows.push([...day, '', '', '', '', '', '', reasons]);
+            return;
+        }
+        item.hours.forEach(hr => {
+            const hourScore = typeof hr.score === 'number' ? Number(hr.score.toFixed(2)) : '';
+            rows.push([...day, activityLabel(hr.activity), hr.time, hr.tenGod, hourScore, hr.start.toISOString(), hr.end.toISOString(), reasons]);
+        });
+    });
+    return '\ufeff' + rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,128 @@
+/*
+ * Activity rule profiles. Each activity is described by a JSON file in
+ * rules/ (listed in rules/index.json) giving its display labels, the Qi Men
+ * doors, stars and deities it prefers or avoids, the weight of each
+ * influence in the element score, the Ten Gods it favours in an hour, and
+ * the Day Officers and Lunar Mansions the almanac lists as suitable,
+ * unsuitable, required or forbidden. The files are fetched once on page
+ * load. Browsers block those requests for a page opened from disk, which
+ * then uses the copy of the rules in rules/bundled.js (see README).
+ */
+
+// Loaded rules keyed by activity id, and the order to list them in
+const activityRules = {};
+const activityRuleOrder = [];
+
+// Defaults for a rule file that leaves a section out
+const defaultActivityRule = {
+    labels: {},
+    preferred: { doors: [], stars: [], deities: [] },
+    avoided: { doors: [], stars: [], deities: [] },
+    elementWeights: { door: 1, star: 1, deity: 1 },
+    tenGods: { preferred: [], avoided: [] },
+    officers: { required: [], forbidden: [], suitable: [], unsuitable: [] },
+    mansions: { suitable: [], unsuitable: [] }
+};
+
+/**
+ * Fill the sections a rule file leaves out with the defaults.
+ *
+ * @param {Object} rule - parsed rule file
+ * @returns {Object}
+ */
+function normaliseActivityRule(rule) {
+    const merged = { ...rule };
+    Object.keys(defaultActivityRule).forEach(key => {
+        const fallback = defaultActivityRule[key];
+        merged[key] = Array.isArray(fallback) ? (rule[key] || fallback) : { ...fallback, ...(rule[key] || {}) };
+    });
+    return merged;
+}
+
+/**
+ * The bundled copy of an activity's rules (rules/bundled.js), if the page
+ * has it.
+ *
+ * @param {string} id
+ * @returns {Object|null} normalised rule profile
+ */
+function bundledActivityRule(id) {
+    const rules = typeof bundledActivityRules === 'undefined' ? [] : bundledActivityRules;
+    const rule = rules.find(entry => entry.id === id);
+    return rule ? normaliseActivityRule(rule) : null;
+}
+
+/**
+ * Fetch rules/index.json and every rule file it lists. When the index
+ * cannot be fetched, e.g. on a page opened from disk, the bundled rules are
+ * used instead; a rule file that fails to load falls back to its bundled
+ * copy, or is skipped with a warning.
+ *
+ * @param {string} [baseUrl='rules/']
+ * @returns {Promise<string[]>} ids of the activities that loaded
+ */
+async function loadActivityRules(baseUrl = 'rules/') {
+    let index;
+    try {
+        const response = await fetch(`${baseUrl}index.json`);
+        if (!response.ok) throw new Error(`status ${response.status}`);
+        index = await response.json();
+    } catch (e) {
+        console.warn(`Could not load ${baseUrl}index.json; using the bundled rules`, e);
+        const bundled = typeof bundledActivityRules === 'undefined' ? [] : bundledActivityRules;
+        installActivityRules(bundled.map(rule => normaliseActivityRule(rule)));
+        return activityRuleOrder.slice();
+    }
+    const loaded = await Promise.all(index.activities.map(async id => {
+        try {
+            const res = await fetch(`${baseUrl}${id}.json`);
+            if (!res.ok) throw new Error(`status ${res.status}`);
+            return normaliseActivityRule({ id, ...(await res.json()) });
+        } catch (e) {
+            console.warn(`Could not load rules for ${id}`, e);
+            return bundledActivityRule(id);
+        }
+    }));
+    installActivityRules(loaded.filter(Boolean));
+    return activityRuleOrder.slice();
+}
+
+/**
+ * Replace the loaded rules, e.g. with rules passed to the scoring worker.
+ *
+ * @param {Object[]} rules - normalised rule profiles, in the order to list them
+ */
+function installActivityRules(rules) {
+    activityRuleOrder.length = 0;
+    rules.forEach(rule => {
+        activityRules[rule.id] = rule;
+        activityRuleOrder.push(rule.id);
+    });
+}
+
+/**
+ * The rule profile of an activity. Unknown activities get the defaults, so
+ * they are scored on elements alone.
+ *
+ * @param {string} code
+ * @returns {Object}
+ */
+function getActivityRule(code) {
+    return activityRules[code] || normaliseActivityRule({ id: code });
+}
+
+/**
+ * Display label of an activity from its rule file. `name` is the title used
+ * in lists ("Signing Contract"), `phrase` the form used inside sentences
+ * ("signing a contract"). Falls back to English and then to the code.
+ *
+ * @param {string} code
+ * @param {string} [field='name'] - 'name' or 'phrase'
+ * @param {string} [lang] - locale code, the current language by default (see i18n.js)
+ * @returns {string}
+ */
+function activityLabel(code, field = 'name', lang = currentLocale) {
+    const labels = getActivityRule(code).labels;
+    const entry = labels[lang] || labels.en;
+    return (entry && entry[field]) || code;
+}
@@ -0,0 +1,60 @@
+/*
+ * Writes rules/bundled.js from the activity rule files listed in
+ * rules/index.json. Run it with Node after changing a rule file:
+ *
+ *     node rules/build-bundled.js
+ *
+ * With --check it writes nothing and exits with status 1 when bundled.js
+ * differs from what the rule files would give, e.g. in a pre-commit hook.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const rulesDir = __dirname;
+const bundledPath = path.join(rulesDir, 'bundled.js');
+
+const header = `/*
+ * Generated by rules/build-bundled.js from the activity rule files
+ * (rules/*.json), in the order of rules/index.json, for a page opened
+ * straight from disk: browsers block fetch() for file:// pages, and
+ * loadActivityRules() falls back to these. Do not edit; change the JSON
+ * files and run the script again.
+ */
+`;
+
+/**
+ * Read a JSON file of the rules directory.
+ *
+ * @param {string} name
+ * @returns {Object}
+ */
+function readRuleFile(name) {
+    return JSON.parse(fs.readFileSync(path.join(rulesDir, name), 'utf8'));
+}
+
+/**
+ * The text of bundled.js for the current rule files.
+ *
+ * @returns {string}
+ */
+function buildBundledRules() {
+    const { activities } = readRuleFile('index.json');
+    const rules = activities.map(id => {
+        const text = fs.readFileSync(path.join(rulesDir, `${id}.json`), 'utf8').trim();
+        JSON.parse(text); // refuse a broken rule file rather than bundle it
+        return text.split('\n').map(line => `    ${line}`.trimEnd()).join('\n');
+    });
+    return `${header}\nconst bundledActivityRules = [\n${rules.join(',\n')}\n];\n`;
+}
+
+const text = buildBundledRules();
+if (process.argv.includes('--check')) {
+    const current = fs.existsSync(bundledPath) ? fs.readFileSync(bundledPath, 'utf8') : '';
+    if (current !== text) {
+        console.error('rules/bundled.js is out of date; run node rules/build-bundled.js');
+        process.exit(1);
+    }
+} else {
+    fs.writeFileSync(bundledPath, text);
+}
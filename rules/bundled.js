@@ -0,0 +1,241 @@
+/*
+ * Generated by rules/build-bundled.js from the activity rule files
+ * (rules/*.json), in the order of rules/index.json, for a page opened
+ * straight from disk: browsers block fetch() for file:// pages, and
+ * loadActivityRules() falls back to these. Do not edit; change the JSON
+ * files and run the script again.
+ */
+
+const bundledActivityRules = [
+    {
+        "id": "marriage",
+        "labels": {
+            "en": { "name": "Marriage", "phrase": "marriage" },
+            "zh-Hans": { "name": "嫁娶", "phrase": "嫁娶" },
+            "zh-Hant": { "name": "嫁娶", "phrase": "嫁娶" }
+        },
+        "preferred": {
+            "doors": ["Open Door", "Life Door", "Rest Door"],
+            "stars": ["Heart Star", "Assistant Star", "Ren Star"],
+            "deities": ["Harmony Deity", "Chief Deity", "Moon Deity"]
+        },
+        "avoided": {
+            "doors": ["Death Door", "Fear Door", "Harm Door"],
+            "stars": ["Grain Star", "Grass Star"],
+            "deities": ["Tiger Deity", "Tortoise Deity"]
+        },
+        "elementWeights": { "door": 1, "star": 1, "deity": 1.5 },
+        "tenGods": {
+            "preferred": ["Direct Officer", "Direct Wealth"],
+            "avoided": ["Seven Killings", "Hurting Officer", "Rob Wealth"]
+        },
+        "officers": {
+            "required": [],
+            "forbidden": ["Destruction", "Close"],
+            "suitable": ["Stable", "Success", "Open"],
+            "unsuitable": ["Danger", "Establish"]
+        },
+        "mansions": {
+            "suitable": ["Horn", "Room", "Tail", "Encampment", "Wall", "Bond", "Stomach", "Net", "Extended Net"],
+            "unsuitable": ["Neck", "Ox", "Girl", "Emptiness", "Hairy Head", "Ghost", "Three Stars", "Wings"]
+        }
+    },
+    {
+        "id": "travel",
+        "labels": {
+            "en": { "name": "Travel", "phrase": "travel" },
+            "zh-Hans": { "name": "出行", "phrase": "出行" },
+            "zh-Hant": { "name": "出行", "phrase": "出行" }
+        },
+        "preferred": {
+            "doors": ["Open Door", "Rest Door", "Life Door"],
+            "stars": ["Impulse Star", "Assistant Star", "Heart Star"],
+            "deities": ["Nine Heaven Deity", "Moon Deity", "Chief Deity"]
+        },
+        "avoided": {
+            "doors": ["Death Door", "Fear Door", "Delusion Door"],
+            "stars": ["Grain Star", "Pillar Star"],
+            "deities": ["Tiger Deity", "Tortoise Deity", "Serpent Deity"]
+        },
+        "elementWeights": { "door": 1.5, "star": 1, "deity": 1 },
+        "tenGods": {
+            "preferred": ["Eating God", "Indirect Wealth"],
+            "avoided": ["Seven Killings"]
+        },
+        "officers": {
+            "required": [],
+            "forbidden": ["Destruction"],
+            "suitable": ["Establish", "Success", "Open", "Remove"],
+            "unsuitable": ["Danger", "Receive", "Close", "Initiate"]
+        },
+        "mansions": {
+            "suitable": ["Dipper", "Wall", "Legs", "Three Stars", "Chariot"],
+            "unsuitable": ["Root", "Rooftop", "Hairy Head", "Ghost", "Star"]
+        }
+    },
+    {
+        "id": "move",
+        "labels": {
+            "en": { "name": "Move House/Office", "phrase": "moving house/office" },
+            "zh-Hans": { "name": "搬家入宅", "phrase": "搬家入宅" },
+            "zh-Hant": { "name": "搬家入宅", "phrase": "搬家入宅" }
+        },
+        "preferred": {
+            "doors": ["Life Door", "Open Door", "Rest Door"],
+            "stars": ["Ren Star", "Heart Star", "Assistant Star"],
+            "deities": ["Nine Earth Deity", "Chief Deity", "Moon Deity"]
+        },
+        "avoided": {
+            "doors": ["Death Door", "Fear Door", "Harm Door"],
+            "stars": ["Grain Star", "Pillar Star"],
+            "deities": ["Tiger Deity", "Tortoise Deity"]
+        },
+        "elementWeights": { "door": 1, "star": 1.5, "deity": 1 },
+        "tenGods": {
+            "preferred": ["Direct Resource", "Indirect Resource"],
+            "avoided": ["Seven Killings", "Rob Wealth"]
+        },
+        "officers": {
+            "required": [],
+            "forbidden": ["Destruction"],
+            "suitable": ["Stable", "Success", "Open", "Remove"],
+            "unsuitable": ["Initiate", "Establish", "Close"]
+        },
+        "mansions": {
+            "suitable": ["Room", "Encampment", "Wall", "Bond", "Stomach", "Net", "Well"],
+            "unsuitable": ["Neck", "Heart", "Emptiness", "Rooftop", "Ghost", "Willow"]
+        }
+    },
+    {
+        "id": "contract",
+        "labels": {
+            "en": { "name": "Signing Contract", "phrase": "signing a contract" },
+            "zh-Hans": { "name": "签约", "phrase": "签约" },
+            "zh-Hant": { "name": "簽約", "phrase": "簽約" }
+        },
+        "preferred": {
+            "doors": ["Open Door", "Life Door", "Scene Door"],
+            "stars": ["Assistant Star", "Heart Star"],
+            "deities": ["Harmony Deity", "Chief Deity"]
+        },
+        "avoided": {
+            "doors": ["Delusion Door", "Death Door", "Fear Door"],
+            "stars": ["Pillar Star", "Grass Star"],
+            "deities": ["Tortoise Deity", "Serpent Deity"]
+        },
+        "elementWeights": { "door": 1.5, "star": 1, "deity": 1 },
+        "tenGods": {
+            "preferred": ["Direct Officer", "Direct Resource"],
+            "avoided": ["Hurting Officer", "Rob Wealth"]
+        },
+        "officers": {
+            "required": [],
+            "forbidden": ["Destruction"],
+            "suitable": ["Stable", "Success", "Initiate", "Receive"],
+            "unsuitable": ["Danger", "Close"]
+        },
+        "mansions": {
+            "suitable": ["Horn", "Room", "Dipper", "Bond", "Stomach", "Extended Net", "Chariot"],
+            "unsuitable": ["Root", "Heart", "Girl", "Turtle Beak", "Willow"]
+        }
+    },
+    {
+        "id": "business",
+        "labels": {
+            "en": { "name": "Launching New Business", "phrase": "launching a new business" },
+            "zh-Hans": { "name": "开业", "phrase": "开业" },
+            "zh-Hant": { "name": "開業", "phrase": "開業" }
+        },
+        "preferred": {
+            "doors": ["Life Door", "Open Door", "Scene Door"],
+            "stars": ["Heart Star", "Ren Star", "Hero Star"],
+            "deities": ["Chief Deity", "Nine Heaven Deity", "Harmony Deity"]
+        },
+        "avoided": {
+            "doors": ["Death Door", "Delusion Door", "Fear Door"],
+            "stars": ["Grain Star", "Pillar Star"],
+            "deities": ["Tortoise Deity", "Tiger Deity"]
+        },
+        "elementWeights": { "door": 1.5, "star": 1, "deity": 1 },
+        "tenGods": {
+            "preferred": ["Eating God", "Direct Wealth", "Indirect Wealth"],
+            "avoided": ["Rob Wealth", "Seven Killings"]
+        },
+        "officers": {
+            "required": [],
+            "forbidden": ["Destruction", "Close"],
+            "suitable": ["Full", "Success", "Open", "Stable"],
+            "unsuitable": ["Danger"]
+        },
+        "mansions": {
+            "suitable": ["Horn", "Room", "Winnowing Basket", "Bond", "Stomach", "Net", "Well", "Extended Net", "Chariot"],
+            "unsuitable": ["Neck", "Heart", "Emptiness", "Ghost", "Willow", "Wings"]
+        }
+    },
+    {
+        "id": "trading",
+        "labels": {
+            "en": { "name": "Trading/Investment", "phrase": "trading or investment" },
+            "zh-Hans": { "name": "交易投资", "phrase": "交易投资" },
+            "zh-Hant": { "name": "交易投資", "phrase": "交易投資" }
+        },
+        "preferred": {
+            "doors": ["Life Door", "Open Door"],
+            "stars": ["Heart Star", "Ren Star"],
+            "deities": ["Chief Deity", "Nine Heaven Deity"]
+        },
+        "avoided": {
+            "doors": ["Death Door", "Fear Door", "Harm Door"],
+            "stars": ["Grain Star"],
+            "deities": ["Tortoise Deity", "Serpent Deity"]
+        },
+        "elementWeights": { "door": 1.5, "star": 1, "deity": 0.5 },
+        "tenGods": {
+            "preferred": ["Direct Wealth", "Indirect Wealth"],
+            "avoided": ["Rob Wealth"]
+        },
+        "officers": {
+            "required": [],
+            "forbidden": ["Destruction"],
+            "suitable": ["Full", "Success", "Open", "Receive"],
+            "unsuitable": ["Close"]
+        },
+        "mansions": {
+            "suitable": ["Horn", "Winnowing Basket", "Bond", "Stomach", "Well", "Chariot"],
+            "unsuitable": ["Emptiness", "Ghost", "Willow"]
+        }
+    },
+    {
+        "id": "health",
+        "labels": {
+            "en": { "name": "Health & Medical", "phrase": "health matters" },
+            "zh-Hans": { "name": "求医疗病", "phrase": "求医疗病" },
+            "zh-Hant": { "name": "求醫療病", "phrase": "求醫療病" }
+        },
+        "preferred": {
+            "doors": ["Life Door", "Rest Door"],
+            "stars": ["Heart Star", "Assistant Star"],
+            "deities": ["Moon Deity", "Nine Earth Deity", "Chief Deity"]
+        },
+        "avoided": {
+            "doors": ["Death Door", "Harm Door"],
+            "stars": ["Grain Star"],
+            "deities": ["Tiger Deity", "Serpent Deity"]
+        },
+        "elementWeights": { "door": 1, "star": 1.5, "deity": 1 },
+        "tenGods": {
+            "preferred": ["Direct Resource", "Eating God"],
+            "avoided": ["Seven Killings", "Hurting Officer"]
+        },
+        "officers": {
+            "required": [],
+            "forbidden": [],
+            "suitable": ["Remove", "Destruction", "Balance"],
+            "unsuitable": ["Full", "Close", "Establish"]
+        },
+        "mansions": {
+            "suitable": ["Heart", "Tail", "Net", "Three Stars"],
+            "unsuitable": ["Neck", "Girl", "Emptiness", "Ghost"]
+        }
+    }
+];
@@ -1,10 +1,10 @@
 /*
- * This script provides a simple client‑side implementation for generating
- * placeholder auspicious dates between a user‑selected date range. The
- * logic below does not implement true BaZi or Qi Men Dun Jia calculations;
- * instead it randomly selects a handful of dates within the requested
- * window to illustrate how results could be presented. Developers can
- * replace `generateGoodDates` with real metaphysics computations.
+ * This script wires up the form and renders auspicious dates between a
+ * user‑selected date range. Dates and hours are chosen deterministically:
+ * each day of the window is scored from the Qi Men Dun Jia charts of its
+ * time slots (qimen.js) against the Day Master element of the user's BaZi
+ * chart, and the best scoring days and hours are shown. The same profile,
+ * activities and range always produce the same results.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -17,28 +17,54 @@ document.addEventListener('DOMContentLoaded', () => {
     const applyOverrideBtn = document.getElementById('applyOverrideBtn');
 
     // Define global arrays for stems and branches for override dropdowns
-    const stemsList = ['Jia','Yi','Bing','Ding','Wu','Ji','Geng','Xin','Ren','Gui'];
-    const branchesList = ['Zi','Chou','Yin','Mao','Chen','Si','Wu','Wei','Shen','You','Xu','Hai'];
+    const stemsList = heavenlyStems;
+    const branchesList = earthlyBranches;
     // Expose lists globally for use in other helper functions
     window.stemsList = stemsList;
     window.branchesList = branchesList;
 
+    // The page language and pinyin come from the saved preference, or from
+    // the browser for a first visit
+    const languageSelect = document.getElementById('languageSelect');
+    const pinyinToggle = document.getElementById('showPinyin');
+    const localePreference = loadLocalePreference();
+    setLocale(localePreference.locale, localePreference.pinyin);
+    Object.entries(supportedLocales).forEach(([code, name]) => {
+        const opt = document.createElement('option');
+        opt.value = code;
+        opt.textContent = name;
+        languageSelect.appendChild(opt);
+    });
+    function showLocaleControls() {
+        languageSelect.value = currentLocale;
+        pinyinToggle.checked = showPinyin;
+        pinyinToggle.disabled = currentLocale === 'en';
+        document.documentElement.lang = currentLocale;
+        applyTranslations(document);
+    }
+    showLocaleControls();
+
     // Populate override select options on load
     function populateOverrideOptions() {
         const pillars = ['Year','Month','Day','Hour'];
         pillars.forEach(pillar => {
             const stemSelect = document.getElementById(`override${pillar}Stem`);
             const branchSelect = document.getElementById(`override${pillar}Branch`);
+            const selected = [stemSelect.value, branchSelect.value];
+            stemSelect.innerHTML = '';
+            branchSelect.innerHTML = '';
             stemsList.forEach(s => {
                 const opt = document.createElement('option');
                 opt.value = s;
-                opt.textContent = s;
+                opt.textContent = term('stem', s);
+                opt.selected = s === selected[0];
                 stemSelect.appendChild(opt);
             });
             branchesList.forEach(b => {
                 const opt = document.createElement('option');
                 opt.value = b;
-                opt.textContent = b;
+                opt.textContent = term('branch', b);
+                opt.selected = b === selected[1];
                 branchSelect.appendChild(opt);
             });
         });
@@ -50,7 +76,7 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Handle applying override
-    applyOverrideBtn.addEventListener('click', () => {
+    applyOverrideBtn.addEventListener('click', async () => {
         // Gather override values
         const overrideChart = [
             { pillar: 'Year', stem: document.getElementById('overrideYearStem').value, branch: document.getElementById('overrideYearBranch').value },
@@ -58,24 +84,22 @@ document.addEventListener('DOMContentLoaded', () => {
             { pillar: 'Day', stem: document.getElementById('overrideDayStem').value, branch: document.getElementById('overrideDayBranch').value },
             { pillar: 'Hour', stem: document.getElementById('overrideHourStem').value, branch: document.getElementById('overrideHourBranch').value }
         ];
-        // Save override chart to localStorage
-        try {
-            localStorage.setItem('baziOverride', JSON.stringify(overrideChart));
-        } catch (e) {
-            console.warn('Could not save override chart', e);
-        }
-        // Render override chart
+        // Save override chart to the active profile
+        saveProfile({ override: overrideChart });
+        populateProfileOptions();
+        // Render override chart; a manual chart has no birth time to correct
         renderBaZiChart(overrideChart);
+        renderSolarTimeNote(null);
         document.getElementById('bazi-section').classList.remove('hidden');
-        // Update the Day Master element according to the override chart (Day pillar index 2)
-        let overrideDayElement = '';
-        try {
-            const overrideDayStem = overrideChart[2].stem;
-            overrideDayElement = mapStemToElement(overrideDayStem);
-        } catch (err) {
-            overrideDayElement = '';
-        }
-        window.userDayElement = overrideDayElement;
+        // Update the Day Master analysis according to the override chart
+        const overrideAnalysis = analyseDayMaster(overrideChart);
+        renderChartAnalysis(overrideAnalysis);
+        window.userChartAnalysis = overrideAnalysis;
+        window.userDayElement = overrideAnalysis ? overrideAnalysis.element : '';
+        // The override chart also supplies the natal branches for the clash checks
+        window.userBaZiChart = overrideChart;
+        // Luck pillars need the birth moment, which a manual chart lacks
+        window.userLuckPillars = null;
         // Recalculate good dates with the same range and activities using override
         // Fetch current form values
         const startDateStr = document.getElementById('startDate').value;
@@ -86,106 +110,161 @@ document.addEventListener('DOMContentLoaded', () => {
         const endDate = new Date(endDateStr);
         // Validate dates
         if (!startDateStr || !endDateStr || endDate < startDate) {
-            alert('Please ensure start and end dates are selected correctly.');
+            alert(t('alert.dates'));
+            return;
+        }
+        if (selectedActivities.length === 0) {
+            alert(t('alert.noActivity'));
+            return;
+        }
+        if (activityRuleOrder.length === 0) {
+            alert(t('alert.noRules'));
             return;
         }
         const rangeDays = Math.floor((endDate - startDate) / (1000 * 60 * 60 * 24));
-        if (rangeDays > 92) {
-            alert('Please limit your date range to no more than 3 months.');
+        if (rangeDays > maxRangeDays) {
+            alert(t('alert.rangeTooLong'));
             return;
         }
+        renderPeriodPillars(null, startDate, endDate, t('luck.overridden'));
+        const participants = buildParticipants();
+        if (participants === false) return;
+        const market = selectedMarket(selectedActivities);
         // Generate new good dates using the updated Day Master element
-        const goodDates = generateGoodDates(startDate, endDate, selectedActivities);
+        const scored = await runSearch(startDate, endDate, selectedActivities, participants, market);
+        if (!scored) return;
         // Update results and explanations
-        renderListResults(goodDates, listContainer);
-        renderExplanations(goodDates);
-        renderCalendarRange(goodDates, calendarContainer, startDate, endDate);
-        resultsSection.classList.remove('hidden');
-        resultsSection.scrollIntoView({behavior:'smooth'});
+        showResults({
+            profile: activeProfileSnapshot(),
+            chart: overrideChart,
+            analysis: overrideAnalysis,
+            luck: null,
+            overridden: true,
+            startDate,
+            endDate,
+            activities: selectedActivities,
+            market,
+            compatibility: participants ? compareParticipants(participants) : null,
+            ...scored
+        });
+        noteExchangeTables(market, startDate, endDate);
+        updatePermalink();
     });
 
     // Call population of override options on load
     populateOverrideOptions();
 
-    // ----------------------------------------------------------------------
-    // Define metaphysical influences used in the explanation generator. These
-    // arrays are referenced by generateReasonForDate() when constructing
-    // auspicious or inauspicious reasoning for each date. In a real
-    // implementation you would derive these from the Qi Men Dun Jia and BaZi
-    // charts. Here we list common terms for demonstration purposes.
-    window.qiMenDoors = [
-        'Open Door',      // 開門 – brings opportunities and successful ventures
-        'Rest Door',      // 休門 – promotes relaxation and recuperation
-        'Life Door',      // 生門 – favors growth and prosperity
-        'Harm Door',      // 傷門 – associated with minor obstacles
-        'Delusion Door',  // 杜門 – may cause confusion or delays
-        'Scene Door',     // 景門 – tied to fame and visibility
-        'Death Door',     // 死門 – connected to endings or closures
-        'Fear Door'       // 驚門 – denotes shocks or disruptions
-    ];
-    window.qiMenStars = [
-        'Chief Star',     // 天蓬 – leadership and authority
-        'Surprise Star',  // 天任 – unexpected luck and responsibility
-        'Snake Star',     // 天冲 – cunning and strategy
-        'Tiger Star',     // 天輔 – bravery and support
-        'Pheasant Star',  // 天英 – recognition and honor
-        'Tortoise Star',  // 天禽 – hidden or mysterious influences
-        'Dragon Star',    // 天心 – intellect and planning
-        'Earth Star'      // 天芮 – grounding and stability
-    ];
-    window.qiMenDeities = [
-        'Chief Deity',    // 值符 – order and authority
-        'Surprise Deity', // 螣蛇 – surprise and unpredictability
-        'Snake Deity',    // 太陰 – introspection and secrets
-        'Tiger Deity',    // 白虎 – aggression and caution
-        'Pheasant Deity', // 玄武 – communication and networking
-        'Tortoise Deity', // 九地 – long term projects and patience
-        'Dragon Deity',   // 九天 – ambition and vision
-        'Earth Deity'     // 天乙 – protection and blessings
-    ];
-    window.baziElements = [
-        'Wood', 'Fire', 'Earth', 'Metal', 'Water'
-    ];
+    // Offer the gazetteer places as suggestions for the birth location
+    function populateLocationOptions() {
+        const datalist = document.getElementById('locationList');
+        gazetteerCities.forEach(entry => {
+            const opt = document.createElement('option');
+            opt.value = gazetteerLabel(entry);
+            datalist.appendChild(opt);
+        });
+    }
+    populateLocationOptions();
 
-    // Map each door, star and deity to a primary Five Elements association. These
-    // values are used when comparing the door against the user's Day Master
-    // element to determine whether a date/hour is favourable. The mapping
-    // here is simplified for demonstration purposes only; authentic Qi Men
-    // systems may have more nuanced associations.
-    window.doorElementMap = {
-        'Open Door': 'Fire',      // openings relate to expansion and brightness
-        'Rest Door': 'Wood',      // recuperation and growth
-        'Life Door': 'Wood',      // new life and vitality
-        'Harm Door': 'Metal',     // injury and cutting
-        'Delusion Door': 'Water', // confusion and obscurity
-        'Scene Door': 'Fire',     // visibility and fame
-        'Death Door': 'Earth',    // endings and earth
-        'Fear Door': 'Water'      // fear and emotions
-    };
+    // The date of birth can be entered in the lunar calendar instead; it is
+    // turned into the Gregorian date of birth, which the rest of the page uses
+    const dobInput = document.getElementById('dob');
+    const lunarBirth = document.getElementById('lunarBirth');
+    const lunarYear = document.getElementById('lunarYear');
+    const lunarMonth = document.getElementById('lunarMonth');
+    const lunarDay = document.getElementById('lunarDay');
+    const lunarLeap = document.getElementById('lunarLeap');
+    function populateLunarBirthOptions() {
+        [[lunarMonth, 'lunarMonth', 12], [lunarDay, 'lunarDay', 30]].forEach(([select, kind, count]) => {
+            const selected = select.value || '1';
+            select.innerHTML = '';
+            for (let n = 1; n <= count; n++) {
+                const opt = document.createElement('option');
+                opt.value = n;
+                opt.textContent = term(kind, n);
+                opt.selected = String(n) === selected;
+                select.appendChild(opt);
+            }
+        });
+    }
+    populateLunarBirthOptions();
+    function applyLunarBirthDate() {
+        const note = document.getElementById('lunarBirthNote');
+        if (!lunarYear.value) {
+            note.textContent = '';
+            return;
+        }
+        const year = Number(lunarYear.value);
+        if (year < lunarCalendarYears.first || year > lunarCalendarYears.last) {
+            dobInput.value = '';
+            note.textContent = t('lunar.outOfRange', lunarCalendarYears);
+            return;
+        }
+        const date = lunarToGregorian(year, Number(lunarMonth.value), Number(lunarDay.value), lunarLeap.checked);
+        if (!date) {
+            dobInput.value = '';
+            note.textContent = t('lunar.noSuchDate');
+            return;
+        }
+        dobInput.value = formatLocalDate(date);
+        note.textContent = t('lunar.gregorian', { date: formatLocaleDate(date, { year: 'numeric', month: 'long', day: 'numeric' }) });
+    }
+    lunarBirth.addEventListener('change', () => {
+        document.getElementById('lunarBirthGroup').classList.toggle('hidden', !lunarBirth.checked);
+        fillLunarBirthDate();
+    });
+    [lunarYear, lunarMonth, lunarDay, lunarLeap].forEach(input => input.addEventListener('change', applyLunarBirthDate));
+    dobInput.addEventListener('change', fillLunarBirthDate);
 
-    // Associate stars to elements (very simplified; real mappings are complex).
-    window.starElementMap = {
-        'Chief Star': 'Wood',
-        'Surprise Star': 'Water',
-        'Snake Star': 'Fire',
-        'Tiger Star': 'Metal',
-        'Pheasant Star': 'Fire',
-        'Tortoise Star': 'Water',
-        'Dragon Star': 'Earth',
-        'Earth Star': 'Earth'
-    };
+    // List the activities defined by the rule files (rules/*.json), or by
+    // their bundled copy on a page opened from disk. The options written in
+    // index.html stay in place if no rules load at all.
+    function populateActivityOptions() {
+        const select = document.getElementById('activities');
+        const selected = Array.from(select.selectedOptions).map(opt => opt.value);
+        select.innerHTML = '';
+        activityRuleOrder.forEach(code => {
+            const opt = document.createElement('option');
+            opt.value = code;
+            opt.textContent = activityLabel(code);
+            opt.selected = selected.includes(code);
+            select.appendChild(opt);
+        });
+    }
+    // Exchanges for the trading mode, offered while trading is selected
+    const marketGroup = document.getElementById('marketGroup');
+    const exchangeSelect = document.getElementById('exchanges');
+    const extendedHours = document.getElementById('extendedHours');
+    Object.keys(exchanges).forEach(code => {
+        const opt = document.createElement('option');
+        opt.value = code;
+        opt.textContent = `${code} — ${exchanges[code].name}`;
+        exchangeSelect.appendChild(opt);
+    });
+    function showMarketOptions() {
+        const trading = Array.from(document.getElementById('activities').selectedOptions).some(opt => opt.value === 'trading');
+        marketGroup.classList.toggle('hidden', !trading);
+    }
+    document.getElementById('activities').addEventListener('change', showMarketOptions);
 
-    // Associate deities to elements (simplified).
-    window.deityElementMap = {
-        'Chief Deity': 'Wood',
-        'Surprise Deity': 'Water',
-        'Snake Deity': 'Fire',
-        'Tiger Deity': 'Metal',
-        'Pheasant Deity': 'Fire',
-        'Tortoise Deity': 'Water',
-        'Dragon Deity': 'Earth',
-        'Earth Deity': 'Earth'
-    };
+    // The chosen exchanges for a search, or null to list every day with the
+    // generic hours
+    function selectedMarket(activities) {
+        const codes = Array.from(exchangeSelect.selectedOptions).map(opt => opt.value);
+        if (!activities.includes('trading') || codes.length === 0) return null;
+        return { exchanges: codes, extended: extendedHours.checked };
+    }
+
+    // Days outside the holiday tables count every weekday as open; say so
+    // in the given notice, by default the one above the results
+    function noteExchangeTables(market, startDate, endDate, notice = document.getElementById('resultsNotice')) {
+        if (!market) return;
+        if (exchangeTablesCover(startDate.getFullYear()) && exchangeTablesCover(endDate.getFullYear())) return;
+        notice.textContent = t('results.exchangeTables', exchangeTableYears);
+    }
+
+    const rulesReady = loadActivityRules()
+        .then(populateActivityOptions)
+        .catch(err => console.warn('Could not load activity rules', err));
 
     /**
      * Convert a Heavenly Stem to its corresponding Five Element. This
@@ -218,10 +297,545 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    // Load previously saved profile if available
-    loadProfile();
+    // Saved profiles: the switcher lists them and the buttons beside it
+    // create, rename, duplicate and delete them
+    const profileSelect = document.getElementById('profileSelect');
+    function populateProfileOptions() {
+        let store = emptyProfileStore();
+        try {
+            store = readProfileStore();
+        } catch (e) {
+            console.warn('Could not read profiles', e);
+        }
+        profileSelect.innerHTML = '';
+        store.profiles.forEach(profile => {
+            const opt = document.createElement('option');
+            opt.value = profile.id;
+            opt.textContent = profile.name;
+            opt.selected = profile.id === store.activeId;
+            profileSelect.appendChild(opt);
+        });
+        if (store.profiles.length === 0) {
+            const opt = document.createElement('option');
+            opt.value = '';
+            opt.textContent = t('profile.none');
+            profileSelect.appendChild(opt);
+        }
+        profileSelect.disabled = store.profiles.length === 0;
+        ['renameProfileBtn', 'duplicateProfileBtn', 'deleteProfileBtn'].forEach(id => {
+            document.getElementById(id).disabled = store.profiles.length === 0;
+        });
+        populatePartnerOptions(store);
+    }
+
+    // The other saved profiles can be chosen as partners for a
+    // compatibility search
+    const partnerSelect = document.getElementById('partnerProfiles');
+    function populatePartnerOptions(store) {
+        const selected = Array.from(partnerSelect.selectedOptions).map(opt => opt.value);
+        partnerSelect.innerHTML = '';
+        store.profiles.filter(profile => profile.id !== store.activeId).forEach(profile => {
+            const opt = document.createElement('option');
+            opt.value = profile.id;
+            opt.textContent = profile.name;
+            opt.selected = selected.includes(profile.id);
+            partnerSelect.appendChild(opt);
+        });
+        partnerSelect.disabled = partnerSelect.options.length === 0;
+    }
+
+    // Everyone a search must suit: the user's chart from the globals plus
+    // the chosen partners. Returns null when no partner is chosen and false
+    // when a partner's profile has no chart.
+    function buildParticipants() {
+        const ids = Array.from(partnerSelect.selectedOptions).map(opt => opt.value);
+        if (ids.length === 0) return null;
+        let store = emptyProfileStore();
+        try {
+            store = readProfileStore();
+        } catch (e) {
+            console.warn('Could not read profiles', e);
+        }
+        const partners = store.profiles.filter(profile => ids.includes(profile.id));
+        const incomplete = partners.filter(profile => !participantFromProfile(profile));
+        if (incomplete.length > 0) {
+            alert(t('alert.incompletePartners', { names: joinList(incomplete.map(p => t('quote', { text: p.name }))) }));
+            return false;
+        }
+        const self = getActiveProfile(store);
+        return [{
+            name: self ? self.name : t('participant.you'),
+            chart: window.userBaZiChart || null,
+            analysis: window.userChartAnalysis || null,
+            luck: window.userLuckPillars || null
+        }, ...partners.map(participantFromProfile)];
+    }
+
+    // Prefill the form from the active profile and, when a date range and
+    // activities are chosen, recalculate the chart and results for it
+    function showActiveProfile() {
+        const profile = loadProfile();
+        resultsSection.classList.add('hidden');
+        if (!profile) return;
+        const ranged = document.getElementById('startDate').value
+            && document.getElementById('endDate').value
+            && document.getElementById('activities').selectedOptions.length > 0;
+        if (!ranged) return;
+        // Recalculating saves the profile again; keep the "loaded" notice
+        const notice = document.getElementById('profileNotice');
+        const loadedNotice = notice.textContent;
+        if (profile.override) {
+            applyOverrideBtn.click();
+        } else if (form.checkValidity()) {
+            form.requestSubmit();
+        }
+        notice.textContent = loadedNotice;
+    }
+
+    // Apply a change to the stored profiles, then refresh the switcher and,
+    // unless only a name changed, the form and results
+    function changeProfiles(change, reload = true) {
+        try {
+            const store = readProfileStore();
+            if (change(store) === false) return;
+            writeProfileStore(store);
+        } catch (e) {
+            console.warn('Could not update profiles', e);
+            return;
+        }
+        populateProfileOptions();
+        if (reload) showActiveProfile();
+    }
+
+    profileSelect.addEventListener('change', () => {
+        changeProfiles(store => {
+            store.activeId = profileSelect.value;
+        });
+    });
+    document.getElementById('newProfileBtn').addEventListener('click', () => {
+        const name = (prompt(t('profile.newName')) || '').trim();
+        if (!name) return;
+        changeProfiles(store => {
+            createProfile(store, name);
+        });
+    });
+    document.getElementById('renameProfileBtn').addEventListener('click', () => {
+        const current = profileSelect.selectedOptions[0];
+        const name = (prompt(t('profile.rename'), current ? current.textContent : '') || '').trim();
+        if (!name) return;
+        changeProfiles(store => renameProfile(store, store.activeId, name) !== null, false);
+    });
+    document.getElementById('duplicateProfileBtn').addEventListener('click', () => {
+        changeProfiles(store => duplicateProfile(store, store.activeId) !== null);
+    });
+    document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+        const current = profileSelect.selectedOptions[0];
+        if (!current || !confirm(t('profile.confirmDelete', { name: t('quote', { text: current.textContent }) }))) return;
+        changeProfiles(store => deleteProfile(store, store.activeId));
+    });
+
+    // The active profile as it is saved alongside exported results
+    function activeProfileSnapshot() {
+        try {
+            const profile = getActiveProfile(readProfileStore());
+            if (!profile) return null;
+            const { id, activities, ...snapshot } = profile;
+            return snapshot;
+        } catch (e) {
+            console.warn('Could not read profiles', e);
+            return null;
+        }
+    }
 
-    form.addEventListener('submit', (e) => {
+    // Render a finished search: the compatibility of its participants, the
+    // list, explanations and calendar. Imported result sets are shown the
+    // same way, without recomputing anything.
+    function showResults(search) {
+        window.lastSearch = search;
+        dayDrawer.classList.add('hidden');
+        document.getElementById('resultsNotice').textContent = '';
+        document.getElementById('shareBar').classList.toggle('hidden', !!search.exportedAt);
+        renderCompatibility(search.compatibility);
+        populateActivitySelect(filterActivity, search.activities);
+        populateActivitySelect(calendarLayer, search.activities);
+        showResultsPage(0);
+        showCalendar();
+        resultsSection.classList.remove('hidden');
+        resultsSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // The list can be narrowed to an activity, a day of the week or a
+    // minimum score, sorted by score or cut to the best dates
+    const filterActivity = document.getElementById('filterActivity');
+    function populateActivitySelect(select, activities) {
+        const selected = select.value;
+        select.innerHTML = `<option value="">${t('ui.allActivities', {}, 'All activities')}</option>`;
+        activities.forEach(act => {
+            const opt = document.createElement('option');
+            opt.value = act;
+            opt.textContent = activityLabel(act);
+            opt.selected = act === selected;
+            select.appendChild(opt);
+        });
+    }
+    function rankingOptions() {
+        const minScore = document.getElementById('filterMinScore').value;
+        return {
+            activity: filterActivity.value,
+            weekday: document.getElementById('filterWeekday').value,
+            minScore: minScore === '' ? null : Number(minScore),
+            sort: document.getElementById('sortResults').value,
+            top: Number(document.getElementById('topResults').value)
+        };
+    }
+    document.getElementById('resultControls').addEventListener('change', () => {
+        if (window.lastSearch) showResultsPage(0);
+    });
+
+    // The list and explanations show one page of the last results at a time
+    const resultsPager = document.getElementById('resultsPager');
+    const prevPageBtn = document.getElementById('prevPageBtn');
+    const nextPageBtn = document.getElementById('nextPageBtn');
+    let resultsPage = 0;
+    function showResultsPage(page) {
+        const options = rankingOptions();
+        const goodDates = rankResults(window.lastSearch.goodDates, window.lastSearch.days, options);
+        const pages = Math.max(1, Math.ceil(goodDates.length / resultsPageSize));
+        resultsPage = Math.min(Math.max(page, 0), pages - 1);
+        const shown = goodDates.slice(resultsPage * resultsPageSize, (resultsPage + 1) * resultsPageSize);
+        renderListResults(shown, listContainer, options.activity);
+        renderExplanations(shown);
+        resultsPager.classList.toggle('hidden', pages === 1);
+        document.getElementById('pageInfo').textContent = t('results.page', { page: resultsPage + 1, pages, count: goodDates.length });
+        prevPageBtn.disabled = resultsPage === 0;
+        nextPageBtn.disabled = resultsPage === pages - 1;
+    }
+    prevPageBtn.addEventListener('click', () => showResultsPage(resultsPage - 1));
+    nextPageBtn.addEventListener('click', () => showResultsPage(resultsPage + 1));
+
+    // The calendar shows good and bad days, or a heatmap of the scores of
+    // all activities or of one
+    const calendarMode = document.getElementById('calendarMode');
+    const calendarLayer = document.getElementById('calendarLayer');
+    const calendarLegend = document.getElementById('calendarLegend');
+    function showCalendar() {
+        const search = window.lastSearch;
+        const heatmap = calendarMode.value === 'heatmap';
+        calendarLayer.disabled = !heatmap;
+        const scale = renderCalendarRange(heatmap ? search.days : search.goodDates, calendarContainer, search.startDate, search.endDate,
+            { heatmap, activity: calendarLayer.value });
+        calendarLegend.classList.toggle('hidden', !heatmap);
+        if (heatmap) renderHeatmapLegend(scale, calendarLegend);
+    }
+    document.getElementById('calendarControls').addEventListener('change', () => {
+        if (window.lastSearch) showCalendar();
+    });
+
+    // A day of the calendar opens its detail in a drawer; the arrow keys
+    // step between the days of the months shown and Esc closes it
+    const dayDrawer = document.getElementById('dayDrawer');
+    let drawerDate = null;
+    function openDayDetail(date) {
+        const search = window.lastSearch;
+        const first = new Date(search.startDate.getFullYear(), search.startDate.getMonth(), 1);
+        const last = new Date(search.endDate.getFullYear(), search.endDate.getMonth() + 1, 0);
+        if (date < first || date > last) return;
+        drawerDate = date;
+        fillDayDrawer(date);
+        const key = formatLocalDate(date);
+        calendarContainer.querySelectorAll('td.selected').forEach(cell => cell.classList.remove('selected'));
+        const cell = calendarContainer.querySelector(`td[data-date="${key}"]`);
+        if (cell) cell.classList.add('selected');
+        dayDrawer.classList.remove('hidden');
+        dayDrawer.focus();
+    }
+    function fillDayDrawer(date) {
+        const key = formatLocalDate(date);
+        const item = window.lastSearch.days.find(result => formatLocalDate(result.date) === key) || null;
+        document.getElementById('dayDrawerTitle').textContent =
+            formatLocaleDate(date, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        renderDayDetail(date, item, document.getElementById('dayDetail'));
+    }
+    function stepDayDetail(days) {
+        if (drawerDate) openDayDetail(new Date(drawerDate.getFullYear(), drawerDate.getMonth(), drawerDate.getDate() + days));
+    }
+    function closeDayDetail() {
+        dayDrawer.classList.add('hidden');
+        const cell = drawerDate && calendarContainer.querySelector(`td[data-date="${formatLocalDate(drawerDate)}"]`);
+        drawerDate = null;
+        if (cell) {
+            cell.classList.remove('selected');
+            cell.focus();
+        }
+    }
+    calendarContainer.addEventListener('click', event => {
+        const cell = event.target.closest('td[data-date]');
+        if (cell && window.lastSearch) openDayDetail(parseLocalDate(cell.dataset.date));
+    });
+    calendarContainer.addEventListener('keydown', event => {
+        const cell = event.target.closest('td[data-date]');
+        if (!cell || !window.lastSearch || (event.key !== 'Enter' && event.key !== ' ')) return;
+        event.preventDefault();
+        openDayDetail(parseLocalDate(cell.dataset.date));
+    });
+    dayDrawer.addEventListener('keydown', event => {
+        if (event.key === 'ArrowLeft') stepDayDetail(-1);
+        else if (event.key === 'ArrowRight') stepDayDetail(1);
+        else if (event.key === 'Escape') closeDayDetail();
+        else return;
+        event.preventDefault();
+    });
+    document.getElementById('prevDayBtn').addEventListener('click', () => stepDayDetail(-1));
+    document.getElementById('nextDayBtn').addEventListener('click', () => stepDayDetail(1));
+    document.getElementById('closeDayBtn').addEventListener('click', closeDayDetail);
+
+    // Switching the language redraws what is on the page. Explanations of
+    // results already found keep the language of their search.
+    function changeLocale() {
+        setLocale(languageSelect.value, pinyinToggle.checked);
+        saveLocalePreference();
+        showLocaleControls();
+        if (activityRuleOrder.length > 0) populateActivityOptions();
+        populateOverrideOptions();
+        populateLunarBirthOptions();
+        fillLunarBirthDate();
+        if (window.shownBaZiChart) renderBaZiChart(window.shownBaZiChart);
+        const search = window.lastSearch;
+        if (!search) return;
+        populateActivitySelect(filterActivity, search.activities);
+        populateActivitySelect(calendarLayer, search.activities);
+        showResultsPage(resultsPage);
+        showCalendar();
+        if (drawerDate && !dayDrawer.classList.contains('hidden')) {
+            fillDayDrawer(drawerDate);
+            const cell = calendarContainer.querySelector(`td[data-date="${formatLocalDate(drawerDate)}"]`);
+            if (cell) cell.classList.add('selected');
+        }
+        document.getElementById('resultsNotice').textContent = t('results.localeNotice');
+    }
+    languageSelect.addEventListener('change', changeLocale);
+    pinyinToggle.addEventListener('change', changeLocale);
+
+    // Exports of the last results; the file name carries the date range
+    function exportFileName(search, extension) {
+        return `gooddates-${formatLocalDate(search.startDate)}-to-${formatLocalDate(search.endDate)}.${extension}`;
+    }
+    document.getElementById('exportIcsBtn').addEventListener('click', () => {
+        const search = window.lastSearch;
+        if (!search || search.goodDates.length === 0) {
+            alert(t('alert.nothingToExport'));
+            return;
+        }
+        const includeAvoidDays = document.getElementById('exportAvoidDays').checked;
+        downloadFile(exportFileName(search, 'ics'), buildIcsCalendar(search.goodDates, { includeAvoidDays }), 'text/calendar');
+    });
+    document.getElementById('exportJsonBtn').addEventListener('click', () => {
+        const search = window.lastSearch;
+        if (!search) return;
+        downloadFile(exportFileName(search, 'json'), JSON.stringify(serialiseResultSet(search), null, 2), 'application/json');
+    });
+    document.getElementById('exportCsvBtn').addEventListener('click', () => {
+        const search = window.lastSearch;
+        if (!search) return;
+        downloadFile(exportFileName(search, 'csv'), resultSetToCsv(search), 'text/csv');
+    });
+
+    // Import a saved JSON result set and show it as it was exported
+    const importFile = document.getElementById('importResultsFile');
+    document.getElementById('importResultsBtn').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', async () => {
+        const file = importFile.files[0];
+        if (!file) return;
+        let search;
+        try {
+            search = parseResultSet(await file.text());
+        } catch (e) {
+            alert(t('alert.importFailed', { file: file.name, message: errorText(e) }));
+            return;
+        } finally {
+            importFile.value = '';
+        }
+        if (search.chart) {
+            renderBaZiChart(search.chart);
+            renderSolarTimeNote(null);
+            renderChartAnalysis(search.analysis);
+            renderPeriodPillars(search.luck, search.startDate, search.endDate);
+            document.getElementById('bazi-section').classList.remove('hidden');
+        }
+        document.getElementById('startDate').value = formatLocalDate(search.startDate);
+        document.getElementById('endDate').value = formatLocalDate(search.endDate);
+        showResults(search);
+        const exported = {
+            date: search.exportedAt.toLocaleString(localeFormatTags[currentLocale]),
+            zone: search.timeZone ? t('results.timeZone', { zone: search.timeZone }) : ''
+        };
+        document.getElementById('resultsNotice').textContent = search.profile
+            ? t('results.importedFor', { ...exported, name: t('quote', { text: search.profile.name }) })
+            : t('results.imported', exported);
+    });
+
+    // Reflect the last search in the URL fragment and the share box. With
+    // "strip personal data" ticked the link carries the chart instead of the
+    // birth data.
+    const permalinkInput = document.getElementById('permalink');
+    const stripPersonalData = document.getElementById('stripPersonalData');
+    function updatePermalink() {
+        const search = window.lastSearch;
+        if (!search || search.exportedAt) return;
+        const profile = search.profile;
+        const birth = !stripPersonalData.checked && profile && profile.dob
+            ? { dob: profile.dob, time: profile.time, gender: profile.gender, location: profile.location, lateZi: profile.lateZi }
+            : null;
+        const fragment = encodePermalink({
+            startDate: formatLocalDate(search.startDate),
+            endDate: formatLocalDate(search.endDate),
+            activities: search.activities,
+            market: search.market || null,
+            birth,
+            chart: search.overridden || !birth ? search.chart : null
+        });
+        history.replaceState(null, '', `#${fragment}`);
+        permalinkInput.value = window.location.href;
+    }
+    stripPersonalData.addEventListener('change', updatePermalink);
+    document.getElementById('copyPermalinkBtn').addEventListener('click', () => {
+        navigator.clipboard.writeText(permalinkInput.value).catch(() => {
+            permalinkInput.select();
+            alert(t('alert.copyFailed'));
+        });
+    });
+
+    // Open a search from a permalink. The link's birth data or chart goes
+    // into a matching saved profile, or a new one, so the user's own profile
+    // is not overwritten; then the form is filled and the search runs.
+    function openPermalink() {
+        let query;
+        try {
+            query = decodePermalink(window.location.hash);
+        } catch (e) {
+            alert(t('alert.permalinkFailed', { message: errorText(e) }));
+            return;
+        }
+        if (!query) return;
+        const sameChart = (a, b) => (a && b ? encodeChartCode(a) === encodeChartCode(b) : a === b);
+        changeProfiles(store => {
+            const match = store.profiles.find(profile => {
+                if (query.chart && !sameChart(profile.override, query.chart)) return false;
+                if (!query.birth) return true;
+                return ['dob', 'time', 'gender', 'location'].every(key => profile[key] === query.birth[key])
+                    && !!profile.lateZi === query.birth.lateZi;
+            });
+            if (match) {
+                store.activeId = match.id;
+            } else {
+                createProfile(store, t('profile.shared'), { ...(query.birth || {}), override: query.chart });
+            }
+        }, false);
+        loadProfile();
+        document.getElementById('startDate').value = query.startDate;
+        document.getElementById('endDate').value = query.endDate;
+        Array.from(document.getElementById('activities').options).forEach(opt => {
+            opt.selected = query.activities.includes(opt.value);
+        });
+        Array.from(exchangeSelect.options).forEach(opt => {
+            opt.selected = !!query.market && query.market.exchanges.includes(opt.value);
+        });
+        extendedHours.checked = !!query.market && query.market.extended;
+        showMarketOptions();
+        if (query.chart) {
+            applyOverrideBtn.click();
+        } else {
+            form.requestSubmit();
+        }
+    }
+    window.addEventListener('hashchange', openPermalink);
+
+    // Score a search on the worker, showing its progress with a cancel
+    // button. Resolves with null when the search is cancelled, replaced or
+    // fails.
+    const searchProgress = document.getElementById('searchProgress');
+    const searchProgressBar = document.getElementById('searchProgressBar');
+    const searchProgressText = document.getElementById('searchProgressText');
+    async function runSearch(start, end, activities, participants, market) {
+        const people = participants || [{
+            name: t('participant.you'),
+            chart: window.userBaZiChart || null,
+            analysis: window.userChartAnalysis || null,
+            luck: window.userLuckPillars || null
+        }];
+        searchProgressBar.value = 0;
+        searchProgressText.textContent = t('progress.start');
+        searchProgress.classList.remove('hidden');
+        let scored;
+        try {
+            scored = await scoreDates({ start, end, activities, people, market }, (done, total) => {
+                searchProgressBar.value = done / total;
+                searchProgressText.textContent = t('progress.count', { done, total });
+            });
+        } catch (e) {
+            console.warn('Scoring failed', e);
+            searchProgress.classList.add('hidden');
+            alert(t('alert.searchFailed', { message: errorText(e) }));
+            return null;
+        }
+        // A replacing search keeps the progress bar
+        if (!scoringJob) searchProgress.classList.add('hidden');
+        return scored;
+    }
+    document.getElementById('cancelSearchBtn').addEventListener('click', cancelScoring);
+
+    // Backtest the trading ratings of the current chart against imported
+    // prices. The whole range of the file is scored, so it may span years.
+    const backtestFile = document.getElementById('backtestFile');
+    const backtestResults = document.getElementById('backtestResults');
+    document.getElementById('backtestBtn').addEventListener('click', () => {
+        if (!window.userBaZiChart) {
+            alert(t('alert.backtestNeedsChart'));
+            return;
+        }
+        backtestFile.click();
+    });
+    backtestFile.addEventListener('change', async () => {
+        const file = backtestFile.files[0];
+        if (!file) return;
+        let prices;
+        try {
+            prices = parsePriceCsv(await file.text());
+        } catch (e) {
+            alert(t('alert.fileUnreadable', { message: errorText(e) }));
+            return;
+        } finally {
+            backtestFile.value = '';
+        }
+        const symbolInput = document.getElementById('backtestSymbol');
+        const symbol = symbolInput.value.trim() || file.name.replace(/\.[^.]*$/, '');
+        const first = prices.bars[0].start;
+        const last = prices.bars[prices.bars.length - 1].start;
+        const start = new Date(first.getFullYear(), first.getMonth(), first.getDate());
+        const end = new Date(last.getFullYear(), last.getMonth(), last.getDate());
+        backtestResults.textContent = t('backtest.scoring', { from: formatLocalDate(start), to: formatLocalDate(end) });
+        const market = selectedMarket(['trading']);
+        const scored = await runSearch(start, end, ['trading'], null, market);
+        if (!scored) {
+            backtestResults.textContent = '';
+            return;
+        }
+        renderBacktest(runBacktest(prices, scored.goodDates), symbol, backtestResults);
+        const notice = document.createElement('p');
+        notice.className = 'help-text';
+        noteExchangeTables(market, start, end, notice);
+        if (notice.textContent) backtestResults.prepend(notice);
+    });
+
+    // Load the active saved profile, moving a single profile saved by an
+    // earlier version into the profile store first, then open the search in
+    // the URL once the activity rules are in
+    populateProfileOptions();
+    showActiveProfile();
+    showMarketOptions();
+    rulesReady.then(openPermalink);
+
+    form.addEventListener('submit', async (e) => {
         e.preventDefault();
 
         // Parse user inputs
@@ -229,6 +843,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const timeStr = document.getElementById('birthTime').value;
         const gender = document.getElementById('gender').value;
         const location = document.getElementById('location').value.trim();
+        const lateZi = document.getElementById('lateZi').checked;
         const activitiesSelect = document.getElementById('activities');
         const selectedActivities = Array.from(activitiesSelect.selectedOptions).map(opt => opt.value);
         const startDateStr = document.getElementById('startDate').value;
@@ -236,507 +851,777 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Basic validation
         if (!dobStr || !timeStr || !gender || !location || selectedActivities.length === 0 || !startDateStr || !endDateStr) {
-            alert('Please fill in all required fields and select at least one activity.');
+            alert(t('alert.requiredFields'));
+            return;
+        }
+        if (activityRuleOrder.length === 0) {
+            alert(t('alert.noRules'));
             return;
         }
         const startDate = new Date(startDateStr);
         const endDate = new Date(endDateStr);
         if (endDate < startDate) {
-            alert('End date must be after the start date.');
+            alert(t('alert.endBeforeStart'));
             return;
         }
-        // Enforce a maximum range of 3 months (~92 days). If exceeded, prompt the user.
-        const maxRangeDays = 92;
+        // Enforce a maximum range of about two years (see engine.js)
         const rangeDays = Math.floor((endDate - startDate) / (1000 * 60 * 60 * 24));
         if (rangeDays > maxRangeDays) {
-            alert('Please limit your date range to no more than 3 months.');
+            alert(t('alert.rangeTooLong'));
             return;
         }
 
-        // Generate placeholder good dates including suggested hours
-        const goodDates = generateGoodDates(startDate, endDate, selectedActivities);
-
         // Save profile information for future visits
-        saveProfile({ dob: dobStr, time: timeStr, gender, location });
+        saveProfile({ dob: dobStr, time: timeStr, gender, location, lateZi, activities: selectedActivities });
+        populateProfileOptions();
 
         // Calculate and render BaZi chart
-        const baziChart = calculateBaZi(dobStr, timeStr);
+        const baziChart = calculateBaZi(dobStr, timeStr, { lateZiRollover: lateZi, location });
         renderBaZiChart(baziChart);
+        const birth = resolveBirthTime(dobStr, timeStr, location);
+        renderSolarTimeNote(birth);
         document.getElementById('bazi-section').classList.remove('hidden');
-        // Determine the user's Day Master element from the Day pillar of the
-        // computed BaZi chart. The Day pillar is at index 2 of the chart.
-        let dayMasterElement = '';
-        try {
-            const dayStem = baziChart[2].stem;
-            dayMasterElement = mapStemToElement(dayStem);
-        } catch (err) {
-            dayMasterElement = '';
-        }
+        // Weigh the chart for the Day Master's strength and Useful element
+        const analysis = analyseDayMaster(baziChart);
+        renderChartAnalysis(analysis);
         // Store globally for use in the date selection logic
-        window.userDayElement = dayMasterElement;
+        window.userChartAnalysis = analysis;
+        window.userDayElement = analysis ? analysis.element : '';
+        window.userBaZiChart = baziChart;
+        // Luck pillars run from the birth instant in a direction set by gender
+        window.userLuckPillars = computeLuckPillars(birth.instant, gender);
+        renderPeriodPillars(window.userLuckPillars, startDate, endDate, gender === 'male' || gender === 'female'
+            ? ''
+            : t('luck.otherGender'));
 
-        // Generate explanations for each good date/time
-        renderExplanations(goodDates);
+        // Partners chosen for a compatibility search
+        const participants = buildParticipants();
+        if (participants === false) return;
 
-        // Render results
-        renderListResults(goodDates, listContainer);
-        renderCalendarRange(goodDates, calendarContainer, startDate, endDate);
-        resultsSection.classList.remove('hidden');
-        // Scroll to results
-        resultsSection.scrollIntoView({behavior: 'smooth'});
+        // Exchanges to follow when trading
+        const market = selectedMarket(selectedActivities);
+
+        // Generate good dates including suggested hours. This must follow the
+        // chart calculation because the scoring reads the chart analysis.
+        const scored = await runSearch(startDate, endDate, selectedActivities, participants, market);
+        if (!scored) return;
+
+        // Render results with their explanations
+        showResults({
+            profile: activeProfileSnapshot(),
+            chart: baziChart,
+            analysis,
+            luck: window.userLuckPillars,
+            overridden: false,
+            startDate,
+            endDate,
+            activities: selectedActivities,
+            market,
+            compatibility: participants ? compareParticipants(participants) : null,
+            ...scored
+        });
+        noteExchangeTables(market, startDate, endDate);
+        updatePermalink();
     });
 });
 
+// Dates listed per page of results
+const resultsPageSize = 31;
+
+// Months of the calendar view rendered at a time
+const calendarMonthsPerBatch = 3;
+
+// The scoring worker, the search it is running and whether workers failed
+// to start on this page
+let scoringWorker = null;
+let scoringJob = null;
+let scoringWorkerFailed = false;
+
 /**
- * Generate placeholder auspicious dates within the provided range. This
- * demonstration randomly picks up to six unique dates between the start
- * and end dates. Each selected date includes a generic reason based on
- * the user’s chosen activities.
+ * Score a search on the scoring worker (worker.js). Where workers are not
+ * available, e.g. when the page is opened from disk, the search is scored
+ * on the page instead, in one go and without progress. Starting a search
+ * cancels the one running.
  *
- * @param {Date} start
- * @param {Date} end
- * @param {string[]} activities
- * @returns {Array<{date: Date, reasons: string}>}
+ * @param {{start: Date, end: Date, activities: string[], people: Array<Object>, market: Object|null}} request
+ *     arguments of generateGoodDates()
+ * @param {function(number, number)} [onProgress] - days scored so far and days in the range
+ * @returns {Promise<{goodDates: Array<Object>, days: Array<Object>}|null>} the dates and all the
+ *     days scored, see generateGoodDates(), or null when the search was cancelled; rejects when
+ *     scoring on the page fails
  */
-function generateGoodDates(start, end, activities) {
-    const diffDays = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
-    const results = [];
-
-    // Determine whether trading is among the activities. If so, we will
-    // provide an entry for every day in the range. Otherwise we will
-    // generate a limited subset of dates.
-    const tradingSelected = activities.includes('trading');
-    let numberOfSuggestions;
-    if (tradingSelected) {
-        numberOfSuggestions = diffDays;
-    } else {
-        const maxSuggestions = 12;
-        if (diffDays <= 7) {
-            numberOfSuggestions = Math.min(3, diffDays);
-        } else if (diffDays <= 30) {
-            numberOfSuggestions = Math.min(6, diffDays);
-        } else {
-            numberOfSuggestions = Math.min(maxSuggestions, diffDays);
-        }
-    }
-    const selectedDates = new Set();
-
-    // Predefined two‑hour time slots for each day. Each slot has a corresponding
-    // Qi Men influence triple (door, star, deity). These assignments are
-    // illustrative rather than canonical but provide a deterministic mapping
-    // instead of purely random selection. They roughly follow the sequence of
-    // the eight doors, eight stars and eight deities and repeat across the
-    // available slots. If you wish to adjust the mapping to align with
-    // specific schools, update the entries in this array.
-    const slotDefinitions = [
-        { time: '05:00–06:30', door: 'Open Door',    star: 'Chief Star',    deity: 'Chief Deity'    },
-        { time: '07:00–08:30', door: 'Rest Door',    star: 'Surprise Star', deity: 'Surprise Deity' },
-        { time: '09:00–10:30', door: 'Life Door',    star: 'Snake Star',    deity: 'Snake Deity'    },
-        { time: '11:00–12:30', door: 'Harm Door',    star: 'Tiger Star',    deity: 'Tiger Deity'    },
-        { time: '13:00–14:30', door: 'Delusion Door',star: 'Pheasant Star',deity: 'Pheasant Deity' },
-        { time: '15:00–16:30', door: 'Scene Door',   star: 'Tortoise Star',deity: 'Tortoise Deity' },
-        { time: '17:00–18:30', door: 'Death Door',   star: 'Dragon Star',  deity: 'Dragon Deity'   },
-        { time: '19:00–20:30', door: 'Fear Door',    star: 'Earth Star',   deity: 'Earth Deity'    },
-        { time: '21:00–22:30', door: 'Open Door',    star: 'Chief Star',    deity: 'Chief Deity'    }
-    ];
+function scoreDates(request, onProgress = () => {}) {
+    cancelScoring();
+    return new Promise((resolve, reject) => {
+        const job = { request, onProgress, resolve, reject, timer: null };
+        scoringJob = job;
+        if (!scoringWorker && !scoringWorkerFailed && typeof Worker !== 'undefined') {
+            try {
+                scoringWorker = createScoringWorker();
+            } catch (e) {
+                console.warn('Could not start the scoring worker; scoring on the page instead', e);
+                scoringWorkerFailed = true;
+            }
+        }
+        if (!scoringWorker) {
+            scoreOnPage(job);
+            return;
+        }
+        scoringWorker.postMessage({
+            ...request,
+            rules: activityRuleOrder.map(id => activityRules[id]),
+            locale: currentLocale,
+            pinyin: showPinyin
+        });
+    });
+}
 
-    // Element cycles for generating and controlling relationships. These maps
-    // follow the Five Elements theory: Wood→Fire→Earth→Metal→Water→Wood. The
-    // controlling (Ke) cycle is Wood→Earth→Water→Fire→Metal→Wood. They are
-    // used in computeInfluenceScore() below.
-    const elementGenerate = {
-        'Wood': 'Fire',
-        'Fire': 'Earth',
-        'Earth': 'Metal',
-        'Metal': 'Water',
-        'Water': 'Wood'
+/**
+ * Start the scoring worker. Its messages settle the running search; if it
+ * fails, the running search is scored on the page and later ones are too.
+ *
+ * @returns {Worker}
+ */
+function createScoringWorker() {
+    const worker = new Worker('worker.js');
+    worker.onmessage = event => {
+        const job = scoringJob;
+        if (!job) return;
+        if (event.data.type === 'progress') {
+            job.onProgress(event.data.done, event.data.total);
+            return;
+        }
+        scoringJob = null;
+        job.resolve({ goodDates: event.data.goodDates, days: event.data.days });
     };
-    const elementControl = {
-        'Wood': 'Earth',
-        'Earth': 'Water',
-        'Water': 'Fire',
-        'Fire': 'Metal',
-        'Metal': 'Wood'
+    worker.onerror = event => {
+        event.preventDefault();
+        console.warn('The scoring worker failed; scoring on the page instead', event.message);
+        scoringWorkerFailed = true;
+        worker.terminate();
+        scoringWorker = null;
+        if (scoringJob) scoreOnPage(scoringJob);
     };
+    return worker;
+}
 
-    /**
-     * Compute a synergy score between the influences (door, star, deity) and
-     * the user's Day Master element. The scoring algorithm rewards matches
-     * and generating relationships and penalizes controlling relationships.
-     * Door matches are weighted more heavily than star or deity matches
-     * because doors are considered the primary influence on timing.
-     *
-     * @param {string} doorEl
-     * @param {string} starEl
-     * @param {string} deityEl
-     * @param {string} userEl
-     * @returns {number}
-     */
-    function computeInfluenceScore(doorEl, starEl, deityEl, userEl) {
-        let score = 0;
-        // Door synergy
-        if (doorEl === userEl) {
-            score += 2;
-        } else if (elementGenerate[doorEl] === userEl) {
-            // Door generates user element
-            score += 1;
-        } else if (elementGenerate[userEl] === doorEl) {
-            // User generates door element (supportive but less potent)
-            score += 0.5;
-        } else if (elementControl[doorEl] === userEl) {
-            // Door controls user element (negative influence)
-            score -= 2;
-        } else if (elementControl[userEl] === doorEl) {
-            // User controls door element (still an obstacle)
-            score -= 1;
-        }
-        // Star synergy
-        if (starEl === userEl) {
-            score += 1;
-        } else if (elementGenerate[starEl] === userEl) {
-            score += 0.5;
-        } else if (elementControl[starEl] === userEl) {
-            score -= 0.5;
-        }
-        // Deity synergy
-        if (deityEl === userEl) {
-            score += 1;
-        } else if (elementGenerate[deityEl] === userEl) {
-            score += 0.5;
-        } else if (elementControl[deityEl] === userEl) {
-            score -= 0.5;
-        }
-        return score;
-    }
-
-    /**
-     * Build hour recommendations for a given day and selected activities. For each
-     * activity we pick three unique time slots from slotDefinitions. We also
-     * compute the influence score per slot and accumulate it so the date
-     * scoring can consider the quality of each chosen window.
-     *
-     * @param {string[]} activities
-     * @param {string} userEl - Day Master element
-     * @returns {{hours: Array<{activity:string,time:string,door:string,star:string,deity:string,score:number}>, totalScore:number}}
-     */
-    function buildHourRecommendationsWithScore(activities, userEl) {
-        const hours = [];
-        let totalScore = 0;
-        activities.forEach(act => {
-            const usedIndexes = new Set();
-            const slotsNeeded = 3;
-            let picks = 0;
-            while (picks < slotsNeeded) {
-                const idx = Math.floor(Math.random() * slotDefinitions.length);
-                if (!usedIndexes.has(idx)) {
-                    usedIndexes.add(idx);
-                    const slotDef = slotDefinitions[idx];
-                    // Determine element associations for the selected door, star and deity
-                    const doorEl = doorElementMap[slotDef.door] || '';
-                    const starEl = starElementMap[slotDef.star] || '';
-                    const deityEl = deityElementMap[slotDef.deity] || '';
-                    // Compute influence score for this slot
-                    const slotScore = computeInfluenceScore(doorEl, starEl, deityEl, userEl);
-                    totalScore += slotScore;
-                    hours.push({
-                        activity: act,
-                        time: slotDef.time,
-                        door: slotDef.door,
-                        star: slotDef.star,
-                        deity: slotDef.deity,
-                        score: slotScore
-                    });
-                    picks++;
-                }
-            }
-        });
-        return { hours, totalScore };
-    }
-
-    if (tradingSelected) {
-        // For trading, evaluate every day in the range. We determine whether
-        // the day is favourable based on the aggregate influence score from
-        // the selected time slots. An additional small random chance remains
-        // to mark a day as bad to simulate unpredictability.
-        for (let i = 0; i < diffDays; i++) {
-            const currentDate = new Date(start.getTime());
-            currentDate.setDate(currentDate.getDate() + i);
-            // Determine the day pillar (stem and branch) for the candidate date.
-            const dayInfo = computeDayStemBranch(currentDate);
-            const dayBranch = dayInfo.branch;
-            // Determine Yuan classification based on day branch
-            const yuan = classifyYuan(dayBranch);
-            // Build hour recommendations with influence scoring
-            const { hours, totalScore } = buildHourRecommendationsWithScore(activities, window.userDayElement || '');
-            // Choose the first slot's influences as the primary ones for explanation
-            const primary = hours[0] || {};
-            const door = primary.door || qiMenDoors[Math.floor(Math.random() * qiMenDoors.length)];
-            const star = primary.star || qiMenStars[Math.floor(Math.random() * qiMenStars.length)];
-            const deity = primary.deity || qiMenDeities[Math.floor(Math.random() * qiMenDeities.length)];
-            const doorElement = doorElementMap[door] || '';
-            const starElement = starElementMap[star] || '';
-            const deityElement = deityElementMap[deity] || '';
-            // Evaluate if the day is bad: non‑positive total score or a small random chance
-            const isBad = (totalScore <= 0) || (Math.random() < 0.03);
-            // Build detailed reason string
-            const reason = buildReason(activities, door, star, deity, doorElement, starElement, deityElement, dayBranch, yuan, window.userDayElement || '', totalScore > 0);
-            // Strip influences from hours for display purposes
-            const simpleHours = hours.map(h => ({ activity: h.activity, time: h.time }));
-            results.push({
-                date: currentDate,
-                reasons: reason,
-                hours: simpleHours,
-                bad: isBad
-            });
-        }
-    } else {
-        // Generate a random subset of dates for non-trading activities. Each
-        // selected day uses the same scoring method as trading days to
-        // determine whether it is favourable.
-        while (selectedDates.size < numberOfSuggestions) {
-            const offset = Math.floor(Math.random() * diffDays);
-            const candidate = new Date(start.getTime());
-            candidate.setDate(candidate.getDate() + offset);
-            const dateKey = candidate.toDateString();
-            if (!selectedDates.has(dateKey)) {
-                selectedDates.add(dateKey);
-                // Determine the day pillar for this date
-                const dayInfo = computeDayStemBranch(candidate);
-                const dayBranch = dayInfo.branch;
-                const yuan = classifyYuan(dayBranch);
-                // Build hour recommendations with influence scoring
-                const { hours, totalScore } = buildHourRecommendationsWithScore(activities, window.userDayElement || '');
-                // Choose primary slot for explanation
-                const primary = hours[0] || {};
-                const door = primary.door || qiMenDoors[Math.floor(Math.random() * qiMenDoors.length)];
-                const star = primary.star || qiMenStars[Math.floor(Math.random() * qiMenStars.length)];
-                const deity = primary.deity || qiMenDeities[Math.floor(Math.random() * qiMenDeities.length)];
-                const doorElement = doorElementMap[door] || '';
-                const starElement = starElementMap[star] || '';
-                const deityElement = deityElementMap[deity] || '';
-                // Determine bad day if total score is non‑positive
-                const isBad = (totalScore <= 0);
-                const reason = buildReason(activities, door, star, deity, doorElement, starElement, deityElement, dayBranch, yuan, window.userDayElement || '', totalScore > 0);
-                const simpleHours = hours.map(h => ({ activity: h.activity, time: h.time }));
-                results.push({
-                    date: new Date(candidate),
-                    reasons: reason,
-                    hours: simpleHours,
-                    bad: isBad
-                });
-            }
+/**
+ * Score a search on the page, after letting the page show that it started.
+ *
+ * @param {Object} job - the running search, see scoreDates()
+ */
+function scoreOnPage(job) {
+    job.timer = setTimeout(() => {
+        if (scoringJob !== job) return;
+        const { start, end, activities, people, market } = job.request;
+        let scored;
+        try {
+            scored = generateGoodDates(start, end, activities, people, market);
+        } catch (e) {
+            scoringJob = null;
+            job.reject(e);
+            return;
         }
+        scoringJob = null;
+        job.resolve(scored);
+    }, 0);
+}
+
+/**
+ * Cancel the running search, if any; its promise resolves with null.
+ */
+function cancelScoring() {
+    const job = scoringJob;
+    if (!job) return;
+    scoringJob = null;
+    clearTimeout(job.timer);
+    if (scoringWorker) {
+        scoringWorker.terminate();
+        scoringWorker = null;
     }
-    // Sort results chronologically
-    results.sort((a, b) => a.date - b.date);
-    return results;
+    job.resolve(null);
 }
 
 /**
- * Produce a mock reason string for an auspicious date using activity names.
- * In a real implementation, this would refer to BaZi/Qi Men calculations.
+ * Escape text for use in HTML markup, in element content or a quoted
+ * attribute. Results can come from an imported file, so every value that
+ * is written into markup goes through here.
  *
- * @param {Date} date
- * @param {string[]} activities
+ * @param {*} value
  * @returns {string}
  */
-function generateReasonForDate(date, activities, isBad = false) {
-    // Convert activity codes to human-readable phrases for inclusion in the message
-    const activitiesList = activities.map(act => {
-        switch (act) {
-            case 'marriage': return 'marriage';
-            case 'travel': return 'travel';
-            case 'move': return 'moving house/office';
-            case 'contract': return 'signing a contract';
-            case 'business': return 'launching a new business';
-            case 'trading': return 'trading or investment';
-            case 'health': return 'health matters';
-            default: return act;
-        }
-    });
-    // Select random metaphysical influences for explanation
-    const door = qiMenDoors[Math.floor(Math.random() * qiMenDoors.length)];
-    const star = qiMenStars[Math.floor(Math.random() * qiMenStars.length)];
-    const deity = qiMenDeities[Math.floor(Math.random() * qiMenDeities.length)];
-    const element = baziElements[Math.floor(Math.random() * baziElements.length)];
-    if (isBad) {
-        // Negative day: caution message. We explicitly tell the user to avoid the selected activities.
-        return `Unfavorable influences for ${activitiesList.join(', ')}. Avoid these activities on this day because the ${door} together with the ${star} star and ${deity} clash with your ${element} element.`;
-    } else {
-        return `Auspicious influences for ${activitiesList.join(', ')} thanks to the ${door}, supported by the ${star} star and ${deity}, all harmonizing with your ${element} element energies.`;
-    }
+function escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, ch => entities[ch]);
 }
 
 /**
- * Render the list of good dates into the provided container.
+ * Render the list of good dates into the provided container. Each date
+ * shows its score, and the score of `activity` when the list is narrowed to
+ * one, with the parts of the day score in a collapsible breakdown; each
+ * hour shows its own score, its parts in a tooltip.
  *
  * @param {Array<{date: Date, reasons: string}>} goodDates
  * @param {HTMLElement} container
  */
-function renderListResults(goodDates, container) {
+function renderListResults(goodDates, container, activity = '') {
     container.innerHTML = '';
+    if (goodDates.length === 0) {
+        const p = document.createElement('p');
+        p.textContent = t('results.none');
+        container.appendChild(p);
+        return;
+    }
     const ul = document.createElement('ul');
     goodDates.forEach(item => {
         const li = document.createElement('li');
-        const dateStr = item.date.toLocaleDateString(undefined, {year: 'numeric', month: 'long', day: 'numeric'});
+        const dateStr = formatLocaleDate(item.date, {year: 'numeric', month: 'long', day: 'numeric'});
+        const lunar = lunarDayLabels(item.date);
+        const festivals = lunar.festivals.map(name => `<span class="festival">${escapeHtml(name)}</span>`);
+        const lunarText = [lunar.long, t('lunar.dayPillar', { pillar: lunar.pillar })].map(escapeHtml);
+        const lunarHtml = ` <span class="lunar-date">(${joinList([...lunarText, ...festivals])})</span>`;
         // Build hours string
         let hoursHtml = '';
         if (item.hours && item.hours.length > 0) {
             hoursHtml = '<ul class="hours-list">';
             item.hours.forEach(hr => {
-                const activityName = generateActivityName(hr.activity);
-                hoursHtml += `<li><em>${activityName}</em>: ${hr.time}</li>`;
+                const activityName = escapeHtml(activityLabel(hr.activity));
+                const tenGod = hr.tenGod ? ` (${escapeHtml(term('tenGod', hr.tenGod))})` : '';
+                const session = hr.session ? escapeHtml(t('results.open', { sessions: hr.session })) : '';
+                const score = typeof hr.score === 'number'
+                    ? ` <span class="score"${hr.scoreParts ? ` title="${escapeHtml(describeScoreParts(hr.scoreParts))}"` : ''}>${formatScore(hr.score)}</span>`
+                    : '';
+                hoursHtml += `<li><em>${activityName}</em>: ${escapeHtml(hr.time)}${tenGod}${score}${session}</li>`;
             });
             hoursHtml += '</ul>';
         }
+        // In compatibility mode, say how the day works out for each person
+        let breakdownHtml = '';
+        if (item.breakdown) {
+            breakdownHtml = '<ul class="breakdown-list">';
+            item.breakdown.forEach(person => {
+                breakdownHtml += `<li${person.bad ? ' class="bad-day"' : ''}>${escapeHtml(person.text)}</li>`;
+            });
+            breakdownHtml += '</ul>';
+        }
+        // The day score and what it is made of
+        let scoreHtml = ` <span class="score">${t('results.score', { score: formatScore(item.score) })}</span>`;
+        if (activity && item.activityScores && activity in item.activityScores) {
+            scoreHtml += ` <span class="score">${escapeHtml(activityLabel(activity))} ${formatScore(item.activityScores[activity])}</span>`;
+        }
+        let partsHtml = '';
+        if (item.scoreParts) {
+            partsHtml = `<details class="score-breakdown"><summary>${t('results.breakdown')}</summary><ul>`;
+            Object.keys(scorePartLabels).forEach(key => {
+                partsHtml += `<li>${escapeHtml(scorePartLabel(key))}: ${formatScore(item.scoreParts[key] || 0)}</li>`;
+            });
+            partsHtml += `<li><strong>${t('results.total', { score: formatScore(item.score) })}</strong></li></ul></details>`;
+        }
         // Add a CSS class for bad days to visually differentiate them
         if (item.bad) {
             li.classList.add('bad-day');
         }
-        li.innerHTML = `<strong>${dateStr}</strong>: ${item.reasons}${hoursHtml}`;
+        li.innerHTML = `<strong>${escapeHtml(dateStr)}</strong>${lunarHtml}${scoreHtml}: ${escapeHtml(item.reasons)}${breakdownHtml}${partsHtml}${hoursHtml}`;
         ul.appendChild(li);
     });
     container.appendChild(ul);
 }
 
 /**
- * Convert activity codes to human-readable names matching those in the select list.
+ * Describe the parts of an hour's score on one line, e.g. "Door synergy
+ * +2.0, Star synergy +0.5, …".
  *
- * @param {string} code
+ * @param {Object<string, number>} parts
  * @returns {string}
  */
-function generateActivityName(code) {
-    switch (code) {
-        case 'marriage': return 'Marriage';
-        case 'travel': return 'Travel';
-        case 'move': return 'Move House/Office';
-        case 'contract': return 'Signing Contract';
-        case 'business': return 'Launching New Business';
-        case 'trading': return 'Trading/Investment';
-        case 'health': return 'Health & Medical';
-        default: return code;
+function describeScoreParts(parts) {
+    return joinList(Object.keys(parts).map(key => `${scorePartLabel(key)} ${formatScore(parts[key])}`));
+}
+
+/**
+ * Render a backtest report: a summary, tables of the statistics of good and
+ * bad days (and of recommended and other hours for intraday prices), the
+ * growth of 1 traded on each group of days and their hit rates.
+ *
+ * @param {Object} report - from runBacktest()
+ * @param {string} symbol
+ * @param {HTMLElement} container
+ */
+function renderBacktest(report, symbol, container) {
+    container.innerHTML = '';
+    const percent = n => `${(n * 100).toFixed(2)}%`;
+    const summary = document.createElement('p');
+    summary.textContent = t('backtest.summary', {
+        symbol,
+        bars: report.barCount,
+        kind: t(report.intraday ? 'backtest.intraday' : 'backtest.daily'),
+        from: formatLocalDate(report.from),
+        to: formatLocalDate(report.to),
+        days: report.days.all.count,
+        unmatched: report.unmatched ? t('backtest.unmatched', { count: report.unmatched }) : ''
+    });
+    container.appendChild(summary);
+    if (report.days.all.count === 0) return;
+
+    const table = (caption, groups) => {
+        const headings = ['count', 'mean', 'volatility', 'hitRate', 'compounded'].map(key => `<th>${t(`backtest.${key}`)}</th>`);
+        let html = `<table class="backtest-table"><caption>${caption}</caption><thead><tr><th></th>${headings.join('')}</tr></thead><tbody>`;
+        groups.forEach(([label, stats]) => {
+            html += `<tr><th>${label}</th><td>${stats.count}</td><td>${percent(stats.mean)}</td>`
+                + `<td>${percent(stats.stdDev)}</td><td>${percent(stats.hitRate)}</td><td>${percent(stats.compounded)}</td></tr>`;
+        });
+        return `${html}</tbody></table>`;
+    };
+    let html = table(t('backtest.days'), [
+        [t('backtest.goodDays'), report.days.good],
+        [t('backtest.badDays'), report.days.bad],
+        [t('backtest.everyDay'), report.days.all]
+    ]);
+    if (report.hours) {
+        html += table(t('backtest.bars'), [
+            [t('backtest.inRecommended'), report.hours.recommended],
+            [t('backtest.otherHours'), report.hours.other]
+        ]);
     }
+
+    // Growth of 1 when trading only on the days of each group, in date order
+    const width = 600;
+    const height = 200;
+    const curves = [
+        { label: t('backtest.goodDays'), className: 'good', test: day => !day.bad },
+        { label: t('backtest.badDays'), className: 'bad', test: day => day.bad },
+        { label: t('backtest.everyDay'), className: 'all', test: () => true }
+    ].map(curve => {
+        let growth = 1;
+        return { ...curve, points: report.series.map(day => (growth *= curve.test(day) ? 1 + day.return : 1)) };
+    });
+    const values = [1, ...curves.flatMap(curve => curve.points)];
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const x = i => (report.series.length > 1 ? (i / (report.series.length - 1)) * width : 0);
+    const y = v => (high > low ? height - ((v - low) / (high - low)) * height : height / 2);
+    html += `<svg class="backtest-chart" viewBox="-40 -10 ${width + 50} ${height + 20}" role="img" aria-label="${t('backtest.chartLabel')}">`
+        + `<line class="baseline" x1="0" x2="${width}" y1="${y(1).toFixed(1)}" y2="${y(1).toFixed(1)}"></line>`
+        + `<text x="-5" y="${y(high).toFixed(1)}" text-anchor="end">${high.toFixed(2)}</text>`
+        + `<text x="-5" y="${y(low).toFixed(1)}" text-anchor="end">${low.toFixed(2)}</text>`;
+    curves.forEach(curve => {
+        const points = curve.points.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+        html += `<polyline class="${curve.className}" points="${points}"><title>${curve.label}</title></polyline>`;
+    });
+    html += '</svg><p class="backtest-legend">'
+        + curves.map(curve => `<span class="${curve.className}">${curve.label}</span>`).join(' ')
+        + `${t('backtest.legend')}</p>`;
+
+    // Hit rates side by side
+    const bars = [
+        [t('backtest.goodDays'), report.days.good, 'good'],
+        [t('backtest.badDays'), report.days.bad, 'bad'],
+        [t('backtest.everyDay'), report.days.all, 'all']
+    ];
+    if (report.hours) {
+        bars.push([t('backtest.recommended'), report.hours.recommended, 'good'], [t('backtest.otherHours'), report.hours.other, 'bad']);
+    }
+    html += '<div class="backtest-bars">';
+    bars.forEach(([label, stats, className]) => {
+        html += `<div class="backtest-bar"><span>${label}</span><span class="bar ${className}" style="width: ${(stats.hitRate * 100).toFixed(1)}%"></span>`
+            + `<span>${percent(stats.hitRate)}</span></div>`;
+    });
+    html += '</div>';
+    container.insertAdjacentHTML('beforeend', html);
+}
+
+/**
+ * Offer text as a file download.
+ *
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
 }
 
 /**
- * Save user profile information in localStorage.
+ * Save fields to the active profile in localStorage, creating a profile
+ * first if there is none.
  *
- * @param {Object} data - Object containing dob, time, gender and location
+ * @param {Object} data - birth data, activities or override to store
  */
 function saveProfile(data) {
     try {
-        localStorage.setItem('baziProfile', JSON.stringify(data));
-        document.getElementById('profileNotice').textContent = 'Profile saved for future visits.';
+        const store = readProfileStore();
+        const profile = getActiveProfile(store) || createProfile(store, defaultProfileName());
+        Object.assign(profile, data);
+        writeProfileStore(store);
+        document.getElementById('profileNotice').textContent = t('profile.saved', { name: t('quote', { text: profile.name }) });
     } catch (e) {
         console.warn('Could not save profile', e);
     }
 }
 
 /**
- * Load user profile information from localStorage and prefill the form.
+ * Show the date of birth in the lunar birth date fields while they are in
+ * use, with its Gregorian date as a note.
+ */
+function fillLunarBirthDate() {
+    if (!document.getElementById('lunarBirth').checked) return;
+    const dob = document.getElementById('dob').value;
+    const note = document.getElementById('lunarBirthNote');
+    if (!dob) {
+        note.textContent = '';
+        return;
+    }
+    const date = parseLocalDate(dob);
+    const lunar = lunarDateOf(date);
+    document.getElementById('lunarYear').value = lunar.year;
+    document.getElementById('lunarMonth').value = lunar.month;
+    document.getElementById('lunarDay').value = lunar.day;
+    document.getElementById('lunarLeap').checked = lunar.leap;
+    note.textContent = t('lunar.gregorian', { date: formatLocaleDate(date, { year: 'numeric', month: 'long', day: 'numeric' }) });
+}
+
+/**
+ * Prefill the form from the active profile in localStorage. A saved chart
+ * override is also filled into the override selects and shown in the BaZi
+ * section. Activities are left as they are when the profile has none.
+ *
+ * @returns {Object|null} the active profile
  */
 function loadProfile() {
     const notice = document.getElementById('profileNotice');
+    let profile = null;
     try {
-        const data = localStorage.getItem('baziProfile');
-        if (data) {
-            const profile = JSON.parse(data);
-            if (profile.dob) document.getElementById('dob').value = profile.dob;
-            if (profile.time) document.getElementById('birthTime').value = profile.time;
-            if (profile.gender) document.getElementById('gender').value = profile.gender;
-            if (profile.location) document.getElementById('location').value = profile.location;
-            notice.textContent = 'Loaded your saved profile. You can update any field if needed.';
-        }
-        // Load override chart if present
-        const override = localStorage.getItem('baziOverride');
-        if (override) {
-            const chart = JSON.parse(override);
-            // Prefill override selects
-            chart.forEach(item => {
-                const stemSelect = document.getElementById(`override${item.pillar}Stem`);
-                const branchSelect = document.getElementById(`override${item.pillar}Branch`);
-                if (stemSelect && branchSelect) {
-                    stemSelect.value = item.stem;
-                    branchSelect.value = item.branch;
-                }
-            });
-            // Display override chart in BaZi section
-            renderBaZiChart(chart);
-            document.getElementById('bazi-section').classList.remove('hidden');
-            document.getElementById('overrideContainer').classList.remove('hidden');
-        }
+        profile = getActiveProfile(readProfileStore());
     } catch (e) {
         console.warn('Could not load profile', e);
     }
+    const fields = profile || blankProfile('', '');
+    document.getElementById('dob').value = fields.dob;
+    document.getElementById('birthTime').value = fields.time;
+    document.getElementById('gender').value = fields.gender;
+    document.getElementById('location').value = fields.location;
+    document.getElementById('lateZi').checked = !!fields.lateZi;
+    fillLunarBirthDate();
+    if (fields.activities.length) {
+        Array.from(document.getElementById('activities').options).forEach(opt => {
+            opt.selected = fields.activities.includes(opt.value);
+        });
+    }
+    // Show the override chart if the profile has one
+    const baziSection = document.getElementById('bazi-section');
+    const overrideContainer = document.getElementById('overrideContainer');
+    if (fields.override) {
+        fields.override.forEach(item => {
+            const stemSelect = document.getElementById(`override${item.pillar}Stem`);
+            const branchSelect = document.getElementById(`override${item.pillar}Branch`);
+            if (stemSelect && branchSelect) {
+                stemSelect.value = item.stem;
+                branchSelect.value = item.branch;
+            }
+        });
+        renderBaZiChart(fields.override);
+        baziSection.classList.remove('hidden');
+        overrideContainer.classList.remove('hidden');
+    } else {
+        baziSection.classList.add('hidden');
+        overrideContainer.classList.add('hidden');
+    }
+    if (!profile) {
+        notice.textContent = '';
+    } else if (profile.dob) {
+        notice.textContent = t('profile.loaded', { name: t('quote', { text: profile.name }) });
+    } else {
+        notice.textContent = t('profile.enterBirth', { name: t('quote', { text: profile.name }) });
+    }
+    return profile;
+}
+
+/**
+ * Build a compatibility participant from a saved profile: the profile's
+ * chart override, or the chart calculated from its birth data with its luck
+ * pillars, and the Day Master analysis.
+ *
+ * @param {Object} profile - from the profile store
+ * @returns {{name: string, chart: Array<Object>, analysis: Object|null, luck: Object|null}|null}
+ *     null when the profile has neither an override nor full birth data
+ */
+function participantFromProfile(profile) {
+    if (profile.override) {
+        return { name: profile.name, chart: profile.override, analysis: analyseDayMaster(profile.override), luck: null };
+    }
+    if (!profile.dob || !profile.time || !profile.location) return null;
+    const chart = calculateBaZi(profile.dob, profile.time, { lateZiRollover: profile.lateZi, location: profile.location });
+    const birth = resolveBirthTime(profile.dob, profile.time, profile.location);
+    return {
+        name: profile.name,
+        chart,
+        analysis: analyseDayMaster(chart),
+        luck: computeLuckPillars(birth.instant, profile.gender)
+    };
 }
 
 /**
- * Calculate a simplified BaZi (Four Pillars) chart based on date and time of birth.
- * This implementation uses basic modular arithmetic to map date/time to
- * Heavenly stems and Earthly branches. It is for demonstration only.
+ * Render how the natal charts of the participants of a compatibility search
+ * match, pair by pair, into #compatibility. Nothing is shown for a search
+ * for one person.
+ *
+ * @param {Array<Object>|null} pairs - from compareParticipants()
+ */
+function renderCompatibility(pairs) {
+    const container = document.getElementById('compatibility');
+    container.innerHTML = '';
+    if (!pairs) return;
+    const signed = n => `${n < 0 ? '−' : '+'}${Math.abs(n).toFixed(1)}`;
+    const heading = document.createElement('h3');
+    heading.textContent = t('compat.heading');
+    container.appendChild(heading);
+    pairs.forEach(pair => {
+        const summary = document.createElement('p');
+        summary.innerHTML = `<strong>${escapeHtml(pair.names.join(t('list.and')))}</strong>: ${signed(pair.score)}`;
+        container.appendChild(summary);
+        const ul = document.createElement('ul');
+        (pair.notes.length ? pair.notes : [{ description: t('compat.none'), score: 0 }]).forEach(note => {
+            const li = document.createElement('li');
+            li.textContent = `${note.description} (${signed(note.score)})`;
+            li.className = note.score < 0 ? 'conflict' : 'harmony';
+            ul.appendChild(li);
+        });
+        container.appendChild(ul);
+    });
+}
+
+/**
+ * Calculate a BaZi (Four Pillars) chart based on date and time of birth. The
+ * Year and Month pillars switch at the exact Li Chun and Jie solar term
+ * instants (see solarterms.js) and the Day pillar is read from the
+ * continuous 60‑day cycle (see calendar.js). When the birth location is in
+ * the gazetteer, the Day and Hour pillars use local true solar time (see
+ * solartime.js); otherwise the clock time in the browser's zone is used.
  *
  * @param {string} dob - Date of birth in YYYY-MM-DD format
  * @param {string} time - Birth time in HH:MM format
+ * @param {{lateZiRollover?: boolean, location?: string}} [options] - start the
+ *     day at 23:00 instead of midnight; "City, Country" birth location
  * @returns {Array<{pillar: string, stem: string, branch: string}>}
  */
-function calculateBaZi(dob, time) {
-    const stems = ['Jia', 'Yi', 'Bing', 'Ding', 'Wu', 'Ji', 'Geng', 'Xin', 'Ren', 'Gui'];
-    const branches = ['Zi', 'Chou', 'Yin', 'Mao', 'Chen', 'Si', 'Wu', 'Wei', 'Shen', 'You', 'Xu', 'Hai'];
-    const dateParts = dob.split('-').map(Number);
-    const timeParts = time.split(':').map(Number);
-    const year = dateParts[0];
-    const month = dateParts[1];
-    const day = dateParts[2];
-    const hour = timeParts[0];
-    // Compute indices using offsets (the year 4 corresponds to Jia Zi cycle start of 1984)
-    const yearStemIndex = (year - 4) % 10;
-    const yearBranchIndex = (year - 4) % 12;
-    const monthStemIndex = (month + yearStemIndex) % 10;
-    const monthBranchIndex = (month + 1) % 12;
-    const dayStemIndex = (day + monthStemIndex) % 10;
-    const dayBranchIndex = (day + monthBranchIndex) % 12;
-    // Hour pillar: determine branch by two-hour block; stems cycle every 10 hours
-    const hourBlock = Math.floor((hour + 1) / 2) % 12;
-    const hourStemIndex = (dayStemIndex + hourBlock) % 10;
-    const hourBranchIndex = hourBlock;
+function calculateBaZi(dob, time, options = {}) {
+    const stems = heavenlyStems;
+    const branches = earthlyBranches;
+    const birth = resolveBirthTime(dob, time, options.location);
+    // Year and Month pillars follow the solar terms
+    const yearPillar = yearPillarAt(birth.instant);
+    const monthPillar = monthPillarAt(birth.instant);
+    // Day and Hour pillars follow the (corrected) local time
+    const { year, month, day, hour } = birth.solar;
+    // Day pillar from the day count; a late Zi hour birth optionally rolls over
+    let dayIndex = sexagenaryDayIndex(year, month, day);
+    if (options.lateZiRollover && hour >= 23) {
+        dayIndex = positiveMod(dayIndex + 1, 60);
+    }
+    const dayStemIndex = dayIndex % 10;
+    const dayBranchIndex = dayIndex % 12;
+    // Hour pillar by the Five Rats rule. From 23:00 the Zi hour already
+    // belongs to the next day's cycle of hours, so its stem follows the next
+    // day's stem even when the day itself does not roll over.
+    const hourBranchIndex = hourBranchIndexFor(hour);
+    const hourDayStemIndex = (hour >= 23 && !options.lateZiRollover) ? (dayIndex + 1) % 10 : dayStemIndex;
+    const hourPillar = hourPillarFor(hourDayStemIndex, hourBranchIndex);
     return [
-        { pillar: 'Year', stem: stems[(yearStemIndex + 10) % 10], branch: branches[(yearBranchIndex + 12) % 12] },
-        { pillar: 'Month', stem: stems[(monthStemIndex + 10) % 10], branch: branches[(monthBranchIndex + 12) % 12] },
+        { pillar: 'Year', stem: yearPillar.stem, branch: yearPillar.branch },
+        { pillar: 'Month', stem: monthPillar.stem, branch: monthPillar.branch },
         { pillar: 'Day', stem: stems[(dayStemIndex + 10) % 10], branch: branches[(dayBranchIndex + 12) % 12] },
-        { pillar: 'Hour', stem: stems[(hourStemIndex + 10) % 10], branch: branches[(hourBranchIndex + 12) % 12] }
+        { pillar: 'Hour', stem: hourPillar.stem, branch: hourPillar.branch }
     ];
 }
 
 /**
- * Render the BaZi chart into the designated container.
+ * Show the Day Master analysis (strength, seasonal state and the Useful,
+ * Favourable and Unfavourable elements) below the BaZi chart.
+ *
+ * @param {Object|null} analysis - from analyseDayMaster()
+ */
+function renderChartAnalysis(analysis) {
+    const container = document.getElementById('baziAnalysis');
+    container.innerHTML = '';
+    if (!analysis) return;
+    const summary = document.createElement('p');
+    const elements = list => joinList(list.map(el => term('element', el)));
+    summary.innerHTML = [
+        ['analysis.dayMaster', t('analysis.dayMasterValue', {
+            stem: term('stem', analysis.dayMaster),
+            element: term('element', analysis.element),
+            strength: term('strength', analysis.strength)
+        })],
+        ['analysis.useful', term('element', analysis.usefulElement)],
+        ['analysis.favourable', elements(analysis.favourableElements)],
+        ['analysis.unfavourable', elements(analysis.unfavourableElements)]
+    ].map(([label, value]) => `<strong>${escapeHtml(t(label))}</strong>${t('sentence.gap')}${escapeHtml(value)}${t('sentence.end')}`)
+        .join(t('sentence.gap'));
+    container.appendChild(summary);
+    const ul = document.createElement('ul');
+    analysis.reasoning.forEach(line => {
+        const li = document.createElement('li');
+        li.textContent = line;
+        ul.appendChild(li);
+    });
+    container.appendChild(ul);
+}
+
+/**
+ * Render the luck pillars and the annual pillars in effect over the search
+ * range into #luckPillars. When there are no luck pillars the message says
+ * why.
+ *
+ * @param {Object|null} luck - from computeLuckPillars()
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [message]
+ */
+function renderPeriodPillars(luck, start, end, message = '') {
+    const container = document.getElementById('luckPillars');
+    container.innerHTML = '';
+    const fmt = d => d.toISOString().split('T')[0];
+
+    if (luck) {
+        const intro = document.createElement('p');
+        intro.innerHTML = `<strong>${t('luck.heading')}</strong>${t('sentence.gap')}` + escapeHtml(t('luck.intro', {
+            direction: t(luck.forward ? 'luck.forward' : 'luck.backward'),
+            jie: t('luck.jie', { name: term('solarTerm', luck.jie.name), english: luck.jie.english }),
+            date: fmt(luck.jie.date),
+            age: formatLuckAge(luck.startAge)
+        }));
+        container.appendChild(intro);
+        const current = luckPillarAt(luck, start);
+        const table = document.createElement('table');
+        const header = document.createElement('tr');
+        ['luck.age', 'luck.years', 'luck.pillar'].forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = t(key);
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+        luck.pillars.forEach(p => {
+            const tr = document.createElement('tr');
+            if (p === current) tr.className = 'current-luck';
+            [formatLuckAge(p.startAge), `${p.start.getFullYear()}–${p.end.getFullYear()}`, pillarTerm(p.stem, p.branch)].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+        container.appendChild(table);
+    } else if (message) {
+        const note = document.createElement('p');
+        note.textContent = message;
+        container.appendChild(note);
+    }
+
+    // The Year pillar changes at Li Chun, which may fall inside the range
+    const first = yearPillarAt(start);
+    const annual = [t('luck.annualFrom', { pillar: pillarTerm(first.stem, first.branch), date: fmt(start) })];
+    for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+        const liChun = getLiChun(year);
+        if (liChun > start && liChun <= end) {
+            const p = yearPillarAt(liChun);
+            annual.push(t('luck.annualLiChun', { pillar: pillarTerm(p.stem, p.branch), date: fmt(liChun) }));
+        }
+    }
+    const years = document.createElement('p');
+    years.innerHTML = `<strong>${t('luck.annual')}</strong>${t('sentence.gap')}${escapeHtml(annual.join(t('list.semicolon')))}${t('sentence.end')}`;
+    container.appendChild(years);
+}
+
+/**
+ * Render the BaZi chart into the designated container. Each stem shows its
+ * element, polarity and Ten God relative to the Day Master; each branch
+ * shows its element, polarity and hidden stems. The element counts of the
+ * eight characters are summarised below the table.
  *
  * @param {Array<{pillar: string, stem: string, branch: string}>} chart
  */
 function renderBaZiChart(chart) {
     const container = document.getElementById('baziChartContainer');
     container.innerHTML = '';
+    window.shownBaZiChart = chart;
+    const details = describeChart(chart);
     const table = document.createElement('table');
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
-    ['Pillar', 'Heavenly Stem', 'Earthly Branch'].forEach(text => {
+    ['chart.pillar', 'chart.stem', 'chart.branch', 'chart.hidden'].forEach(key => {
         const th = document.createElement('th');
-        th.textContent = text;
+        th.textContent = t(key);
         headerRow.appendChild(th);
     });
     thead.appendChild(headerRow);
     table.appendChild(thead);
     const tbody = document.createElement('tbody');
-    chart.forEach(item => {
+    details.pillars.forEach(item => {
         const row = document.createElement('tr');
-        ['pillar', 'stem', 'branch'].forEach(key => {
+        const html = (kind, name) => escapeHtml(term(kind, name));
+        const cells = [
+            html('pillar', item.pillar),
+            `${html('stem', item.stem.name)}<span class="char-detail">${html('polarity', item.stem.polarity)} ${html('element', item.stem.element)}</span>`
+                + `<span class="ten-god">${html('tenGod', item.stem.tenGod)}</span>`,
+            `${html('branch', item.branch.name)}<span class="char-detail">${html('polarity', item.branch.polarity)} ${html('element', item.branch.element)}</span>`,
+            item.hidden.map(h => `${html('stem', h.name)} <span class="char-detail">${html('element', h.element)}</span><span class="ten-god">${html('tenGod', h.tenGod)}</span>`).join('')
+        ];
+        cells.forEach(html => {
             const td = document.createElement('td');
-            td.textContent = item[key];
+            td.innerHTML = html;
             row.appendChild(td);
         });
         tbody.appendChild(row);
     });
     table.appendChild(tbody);
     container.appendChild(table);
+    const counts = document.createElement('p');
+    counts.className = 'element-counts';
+    counts.textContent = t('chart.elements') + joinList(Object.entries(details.elementCounts).map(([el, n]) => `${term('element', el)} ${n}`));
+    container.appendChild(counts);
+}
+
+/**
+ * Show how the birth clock time was converted to true solar time beside the
+ * chart. Passing null clears the note (used for manually entered charts).
+ *
+ * @param {Object|null} birth - result of resolveBirthTime()
+ */
+function renderSolarTimeNote(birth) {
+    const note = document.getElementById('solarTimeNote');
+    if (!birth) {
+        note.textContent = '';
+        return;
+    }
+    const pad = n => String(n).padStart(2, '0');
+    const clockStr = `${pad(birth.clock.hour)}:${pad(birth.clock.minute)}`;
+    if (!birth.place) {
+        note.textContent = t('solar.unknownPlace', { location: t('quote', { text: birth.location }), clock: clockStr });
+        return;
+    }
+    const minutes = m => t('solar.minutes', { minutes: `${m < 0 ? '−' : '+'}${Math.abs(m).toFixed(1)}` });
+    const c = birth.corrections;
+    const solarStr = `${pad(birth.solar.hour)}:${pad(birth.solar.minute)}`;
+    const dayNote = birth.solar.day !== birth.clock.day
+        ? t('solar.onDay', { date: `${birth.solar.year}-${pad(birth.solar.month)}-${pad(birth.solar.day)}` })
+        : '';
+    note.textContent = t('solar.note', {
+        clock: clockStr,
+        place: gazetteerLabel(birth.place),
+        offset: formatUtcOffset(c.zoneOffset),
+        solar: solarStr,
+        day: dayNote,
+        daylightSaving: c.daylightSaving ? minutes(c.daylightSaving) : t('solar.none'),
+        longitude: minutes(c.longitude),
+        equationOfTime: minutes(c.equationOfTime)
+    });
 }
 
 /**
@@ -749,27 +1634,161 @@ function renderExplanations(goodDates) {
     container.innerHTML = '';
     const ul = document.createElement('ul');
     goodDates.forEach(item => {
-        const dateStr = item.date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
-        // Build a descriptive explanation. If the day is marked bad, we
-        // emphasize avoidance and do not list hours. Otherwise we include
-        // recommended time slots for each activity.
-        let explanation;
-        if (item.bad) {
-            explanation = `On ${dateStr}, this is an unfavorable day: ${item.reasons}`;
-        } else {
-            explanation = `On ${dateStr}, ${item.reasons} Recommended times:`;
-            item.hours.forEach(hr => {
-                const activityName = generateActivityName(hr.activity);
-                explanation += ` ${activityName} between ${hr.time};`;
-            });
-        }
         const li = document.createElement('li');
-        li.textContent = explanation;
+        li.textContent = explainResultDay(item);
         ul.appendChild(li);
     });
     container.appendChild(ul);
 }
 
+/**
+ * The explanation of one result day. If the day is marked bad, we
+ * emphasize avoidance and do not list hours. Otherwise we include
+ * recommended time slots for each activity.
+ *
+ * @param {{date: Date, reasons: string, bad: boolean, hours: Array<{activity: string, time: string}>, breakdown?: Array<{text: string}>}} item
+ * @returns {string}
+ */
+function explainResultDay(item) {
+    const dateStr = formatLocaleDate(item.date, { year: 'numeric', month: 'long', day: 'numeric' });
+    let explanation;
+    if (item.bad) {
+        explanation = t('explain.bad', { date: dateStr, reasons: item.reasons });
+    } else {
+        explanation = t('explain.good', { date: dateStr, reasons: item.reasons });
+        item.hours.forEach(hr => {
+            explanation += t('explain.hour', { activity: activityLabel(hr.activity), time: hr.time });
+        });
+    }
+    if (item.breakdown) {
+        explanation += ` ${item.breakdown.map(person => person.text).join(' ')}`;
+    }
+    return explanation;
+}
+
+/**
+ * The lunar date, day pillar and festivals of a calendar date, as shown
+ * next to its Gregorian date in the list, the calendar and the day detail.
+ *
+ * @param {Date} date
+ * @returns {{short: string, long: string, pillar: string, festivals: string[]}}
+ */
+function lunarDayLabels(date) {
+    const lunar = lunarDateOf(date);
+    const day = computeDayStemBranch(date);
+    return {
+        short: formatLunarDate(lunar, true),
+        long: formatLunarDate(lunar),
+        pillar: pillarTerm(day.stem, day.branch),
+        festivals: lunarFestivalsOn(date, lunar).map(name => term('festival', name))
+    };
+}
+
+/**
+ * Colour of a timeline slot: red for the lowest scores through yellow at
+ * zero to green for the highest.
+ *
+ * @param {number} score
+ * @returns {string} CSS colour
+ */
+function timelineColour(score) {
+    const hue = Math.min(120, Math.max(0, 60 + score * 10));
+    return `hsl(${hue}, 70%, 82%)`;
+}
+
+/**
+ * Render the detail of one day: its year, month and day pillars, the twelve
+ * double-hours coloured by score, each with its hour pillar and the door,
+ * star and deity read for it and how their elements bear on the chart, and
+ * beside them the day's explanation. Days outside the results only show
+ * their pillars.
+ *
+ * @param {Date} date
+ * @param {Object|null} item - the day's result, if it has one
+ * @param {HTMLElement} container
+ */
+function renderDayDetail(date, item, container) {
+    container.innerHTML = '';
+    const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    const pillars = [
+        ['Year', yearPillarAt(noon)],
+        ['Month', monthPillarAt(noon)],
+        ['Day', computeDayStemBranch(date)]
+    ];
+    const pillarList = document.createElement('p');
+    pillarList.className = 'day-pillars';
+    const lunar = lunarDayLabels(date);
+    pillarList.textContent = [lunar.long, ...lunar.festivals]
+        .concat(pillars.map(([name, p]) => `${term('pillar', name)} ${pillarTerm(p.stem, p.branch)}`))
+        .join(' · ');
+    container.appendChild(pillarList);
+    if (!item) {
+        const p = document.createElement('p');
+        p.textContent = t('day.notInResults');
+        container.appendChild(p);
+        return;
+    }
+    const columns = document.createElement('div');
+    columns.className = 'day-columns';
+    const hoursColumn = document.createElement('div');
+    if (item.timeline) {
+        const ol = document.createElement('ol');
+        ol.className = 'day-timeline';
+        item.timeline.forEach(slot => {
+            const li = document.createElement('li');
+            li.style.background = timelineColour(slot.score);
+            if (slot.recommended) li.classList.add('recommended');
+            const heading = document.createElement('div');
+            const time = document.createElement('strong');
+            time.textContent = slot.time;
+            const score = document.createElement('span');
+            score.className = 'score';
+            score.textContent = formatScore(slot.score);
+            heading.append(time, ` ${pillarTerm(slot.hourPillar.stem, slot.hourPillar.branch)} `, score);
+            if (slot.recommended) {
+                const recommended = document.createElement('em');
+                recommended.textContent = t('day.recommended');
+                heading.append(' ', recommended);
+            }
+            const influences = document.createElement('ul');
+            slot.influences.forEach(inf => {
+                const interaction = joinList([term('relation', inf.relation), term('role', inf.role)].filter(Boolean));
+                const element = inf.element ? term('element', inf.element) : '?';
+                const item = document.createElement('li');
+                item.textContent = `${term(inf.kind, inf.name)} (${element}${interaction ? `; ${interaction}` : ''})`;
+                influences.appendChild(item);
+            });
+            li.append(heading, influences);
+            if (slot.direction) {
+                const facing = document.createElement('div');
+                facing.className = 'help-text';
+                facing.textContent = t('day.facing', { direction: term('direction', slot.direction) });
+                li.appendChild(facing);
+            }
+            ol.appendChild(li);
+        });
+        hoursColumn.appendChild(ol);
+    } else {
+        const p = document.createElement('p');
+        p.textContent = t('day.notSaved');
+        hoursColumn.appendChild(p);
+    }
+    const explanation = document.createElement('div');
+    explanation.className = 'day-explanation';
+    const scoreLine = document.createElement('p');
+    const scoreText = document.createElement('span');
+    scoreText.className = 'score';
+    scoreText.textContent = t('day.score', { score: formatScore(item.score) });
+    scoreLine.appendChild(scoreText);
+    explanation.appendChild(scoreLine);
+    const text = document.createElement('p');
+    text.textContent = explainResultDay(item);
+    explanation.appendChild(text);
+    columns.appendChild(hoursColumn);
+    columns.appendChild(explanation);
+    container.appendChild(columns);
+}
+
 /**
  * Build a simple calendar for the month of the start date and highlight good dates.
  * Only the month of the start date is shown for simplicity. Good dates outside
@@ -840,18 +1859,64 @@ function renderCalendar(goodDates, container, startDate) {
     container.appendChild(table);
 }
 
+/**
+ * Colour of a day in the score heatmap: white at zero, deepening to green
+ * for positive and to red for negative scores as they approach `scale`.
+ *
+ * @param {number} score
+ * @param {number} scale - the largest absolute score shown
+ * @returns {string} CSS colour
+ */
+function heatmapColour(score, scale) {
+    const intensity = Math.min(1, Math.abs(score) / scale);
+    return `hsl(${score < 0 ? 0 : 120}, 60%, ${Math.round(97 - intensity * 50)}%)`;
+}
+
+/**
+ * Render the legend of the score heatmap: the colour scale from −scale to
+ * +scale, and the marks of days that are ruled out and of days without a
+ * score.
+ *
+ * @param {number} scale
+ * @param {HTMLElement} container
+ */
+function renderHeatmapLegend(scale, container) {
+    const steps = [-1, -0.5, 0, 0.5, 1].map(step => heatmapColour(step * scale, scale));
+    container.innerHTML = `<span>${formatScore(-scale)}</span>`
+        + `<span class="legend-scale" style="background: linear-gradient(to right, ${steps.join(', ')})"></span>`
+        + `<span>${formatScore(scale)}</span>`
+        + `<span class="legend-swatch ruled-out"></span><span>${t('legend.ruledOut')}</span>`
+        + `<span class="legend-swatch not-evaluated"></span><span>${t('legend.notEvaluated')}</span>`;
+}
+
 /**
  * Render calendars for all months within the range [startDate, endDate]. Good dates
  * are highlighted across all months. This replaces the original renderCalendar
- * for multi‑month support.
+ * for multi‑month support. Months are rendered a few at a time: the next
+ * batch follows when the "more months" button scrolls into view or is
+ * clicked, so a range of years does not build every table up front.
+ * Every day cell carries its date in `data-date` and can be focused.
+ *
+ * As a heatmap, each day is coloured by its score, or by the score of one
+ * activity, on one scale for the whole range so that months rendered later
+ * compare with the first; pass every scored day for it (a search's `days`),
+ * and days of the range that were not scored are marked as not evaluated
+ * rather than left blank like neutral days.
  *
  * @param {Array<{date: Date}>} goodDates
  * @param {HTMLElement} container
  * @param {Date} startDate
  * @param {Date} endDate
+ * @param {{heatmap?: boolean, activity?: string}} [options]
+ * @returns {number} the largest absolute score of the heatmap (at least 1)
  */
-function renderCalendarRange(goodDates, container, startDate, endDate) {
+function renderCalendarRange(goodDates, container, startDate, endDate, options = {}) {
+    const { heatmap = false, activity = '' } = options;
     container.innerHTML = '';
+    const resultsByDate = new Map(goodDates.map(item => [item.date.toDateString(), item]));
+    const scale = Math.max(1, ...goodDates.map(item => Math.abs(resultScore(item, activity))));
+    const firstDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const lastDate = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
     // Create sets for good and bad dates for quick lookup. A date is
     // considered bad if it has the `bad` flag; otherwise it is good. When
     // trading is selected, every day will be represented, but only bad
@@ -881,12 +1946,11 @@ function renderCalendarRange(goodDates, container, startDate, endDate) {
         const table = document.createElement('table');
         // Month label
         const caption = document.createElement('caption');
-        caption.textContent = firstDay.toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+        caption.textContent = formatLocaleDate(firstDay, { year: 'numeric', month: 'long' });
         table.appendChild(caption);
         const thead = document.createElement('thead');
         const headerRow = document.createElement('tr');
-        const dayNames = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
-        dayNames.forEach(d => {
+        shortWeekdayNames().forEach(d => {
             const th = document.createElement('th');
             th.textContent = d;
             headerRow.appendChild(th);
@@ -906,13 +1970,36 @@ function renderCalendarRange(goodDates, container, startDate, endDate) {
                 } else {
                     const currentDate = new Date(year, month, dateCounter);
                     cell.textContent = dateCounter;
+                    const lunar = lunarDayLabels(currentDate);
+                    [['lunar-day', lunar.short], ['day-pillar', lunar.pillar], ['festival', joinList(lunar.festivals)]]
+                        .filter(([, text]) => text)
+                        .forEach(([className, text]) => {
+                            const span = document.createElement('span');
+                            span.className = className;
+                            span.textContent = text;
+                            cell.appendChild(span);
+                        });
+                    // Each day opens its detail view (see openDayDetail)
+                    cell.dataset.date = formatLocalDate(currentDate);
+                    cell.tabIndex = 0;
                     const dateKey = currentDate.toDateString();
-                    if (badDateSet.has(dateKey)) {
+                    const item = resultsByDate.get(dateKey);
+                    if (heatmap && item) {
+                        const score = resultScore(item, activity);
+                        cell.style.background = heatmapColour(score, scale);
+                        cell.title = t('calendar.scoreTitle', { score: formatScore(score), ruledOut: item.bad ? t('calendar.ruledOut') : '' });
+                        if (item.bad) cell.classList.add('ruled-out');
+                    } else if (heatmap) {
+                        if (currentDate >= firstDate && currentDate <= lastDate) {
+                            cell.classList.add('not-evaluated');
+                            cell.title = t('calendar.notEvaluated');
+                        }
+                    } else if (badDateSet.has(dateKey)) {
                         cell.classList.add('bad-date');
-                        cell.title = 'Unfavorable day to avoid';
+                        cell.title = t('calendar.bad');
                     } else if (goodDateSet.has(dateKey)) {
                         cell.classList.add('good-date');
-                        cell.title = 'Favorable day';
+                        cell.title = t('calendar.good');
                     }
                     dateCounter++;
                 }
@@ -927,91 +2014,30 @@ function renderCalendarRange(goodDates, container, startDate, endDate) {
         container.appendChild(table);
     }
 
-    // Loop through each month until we surpass end month
-    while (current <= last) {
-        renderMonth(current);
-        // Move to the next month
-        current = new Date(current.getFullYear(), current.getMonth() + 1, 1);
+    const more = document.createElement('button');
+    more.type = 'button';
+    more.className = 'more-months';
+    const observer = typeof IntersectionObserver !== 'undefined'
+        ? new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) renderBatch();
+        })
+        : null;
+    function renderBatch() {
+        more.remove();
+        for (let i = 0; i < calendarMonthsPerBatch && current <= last; i++) {
+            renderMonth(current);
+            // Move to the next month
+            current = new Date(current.getFullYear(), current.getMonth() + 1, 1);
+        }
+        if (current > last) {
+            if (observer) observer.disconnect();
+            return;
+        }
+        more.textContent = t('calendar.more', { month: formatLocaleDate(current, { year: 'numeric', month: 'long' }) });
+        container.appendChild(more);
     }
+    more.addEventListener('click', renderBatch);
+    renderBatch();
+    if (observer && more.isConnected) observer.observe(more);
+    return scale;
 }
-
-/**
- * Compute the day pillar (stem and branch) for a given Date object using a
- * simplified algorithm. This function replicates the basic method used in
- * calculateBaZi() to derive the day pillar. Note: This is only an
- * approximation and does not account for all complexities of the sexagenary
- * cycle.
- *
- * @param {Date} dateObj
- * @returns {{stem: string, branch: string}}
- */
-function computeDayStemBranch(dateObj) {
-    const year = dateObj.getFullYear();
-    const month = dateObj.getMonth() + 1; // 1-12
-    const day = dateObj.getDate();
-    // Derive indices similarly to calculateBaZi()
-    const yearStemIndex = (year - 4) % 10;
-    const yearBranchIndex = (year - 4) % 12;
-    const monthStemIndex = (month + yearStemIndex) % 10;
-    const monthBranchIndex = (month + 1) % 12;
-    const dayStemIndex = (day + monthStemIndex) % 10;
-    const dayBranchIndex = (day + monthBranchIndex) % 12;
-    const stem = window.stemsList[(dayStemIndex + 10) % 10];
-    const branch = window.branchesList[(dayBranchIndex + 12) % 12];
-    return { stem, branch };
-}
-
-/**
- * Classify the Yuan (cycle) based on the day branch according to the
- * Chai Bu system. Upper Yuan for Zi, Wu, Mao, You; Middle Yuan for
- * Yin, Shen, Si, Hai; Lower Yuan for Chen, Xu, Chou, Wei.
- *
- * @param {string} branch
- * @returns {string}
- */
-function classifyYuan(branch) {
-    const upper = ['Zi','Wu','Mao','You'];
-    const middle = ['Yin','Shen','Si','Hai'];
-    const lower = ['Chen','Xu','Chou','Wei'];
-    if (upper.includes(branch)) return 'Upper';
-    if (middle.includes(branch)) return 'Middle';
-    return 'Lower';
-}
-
-/**
- * Build an explanatory reason string for a given set of influences. Incorporates
- * the activities, Qi Men door, star and deity, the door's element, the
- * day branch and Yuan, and whether the energies are harmonious with the
- * user's Day Master element.
- *
- * @param {string[]} activities
- * @param {string} door
- * @param {string} star
- * @param {string} deity
- * @param {string} doorElement
- * @param {string} dayBranch
- * @param {string} yuan
- * @param {boolean} synergy
- * @returns {string}
- */
-function buildReason(activities, door, star, deity, doorElement, starElement, deityElement, dayBranch, yuan, userElement, favourable) {
-    // Convert activity codes to human‑readable phrases
-    const activitiesList = activities.map(act => {
-        switch (act) {
-            case 'marriage': return 'marriage';
-            case 'travel': return 'travel';
-            case 'move': return 'moving house/office';
-            case 'contract': return 'signing a contract';
-            case 'business': return 'launching a new business';
-            case 'trading': return 'trading or investment';
-            case 'health': return 'health matters';
-            default: return act;
-        }
-    });
-    // Compose explanation based on favourability and elemental interactions
-    if (favourable) {
-        return `Auspicious influences for ${activitiesList.join(', ')} because the ${door} (${doorElement}) door, accompanied by the ${star} (${starElement}) star and ${deity} (${deityElement}), harmonises with your Day Master element ${userElement}. This day falls in the ${yuan} Yuan (${dayBranch} branch).`;
-    } else {
-        return `Unfavourable influences for ${activitiesList.join(', ')}. The ${door} (${doorElement}) door, together with the ${star} (${starElement}) star and ${deity} (${deityElement}), clashes with your Day Master element ${userElement}. This day falls in the ${yuan} Yuan (${dayBranch} branch).`;
-    }
-}
\ No newline at end of file
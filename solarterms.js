@@ -0,0 +1,469 @@
+/*
+ * Offline solar longitude engine and the 24 solar terms (節氣).
+ *
+ * The Sun's apparent geocentric longitude is computed from the abbreviated
+ * VSOP87 series for the Earth published in Jean Meeus, "Astronomical
+ * Algorithms" (2nd ed., chapters 22, 25 and 32), corrected for nutation,
+ * aberration and the FK5 frame. Universal Time is converted to Terrestrial
+ * Time with the Espenak–Meeus ΔT polynomials. The result is accurate to well
+ * under a minute of time for the solar terms of any historical or future
+ * year, without any network access.
+ *
+ * Public API (plain global functions, like the rest of the app):
+ *   solarLongitude(date)              apparent longitude of the Sun in degrees
+ *   solarTermInstant(year, index)     Date at which the Sun reaches index × 15°
+ *   getSolarTermsForYear(year)        the 24 terms falling in a Gregorian year
+ *   getSolarTermAt(date)              the term in effect at an instant
+ *   getPreviousJie(date) / getNextJie(date)
+ *                                     the Jie (month‑opening) terms around an instant
+ *   getSolarMonthIndex(date)          0 = Yin month (from Li Chun) … 11 = Chou month
+ *   getLiChun(year)                   start of the solar year
+ *   equationOfTime(date)              apparent minus mean solar time, in minutes
+ */
+
+// Terms indexed by longitude / 15, starting from the spring equinox at 0°.
+// Jie terms open a solar month; the others are the mid‑month Qi terms.
+const solarTermNames = [
+    { name: 'Chun Fen', english: 'Spring Equinox', jie: false },     // 春分 0°
+    { name: 'Qing Ming', english: 'Clear and Bright', jie: true },   // 清明 15°
+    { name: 'Gu Yu', english: 'Grain Rain', jie: false },            // 穀雨 30°
+    { name: 'Li Xia', english: 'Start of Summer', jie: true },       // 立夏 45°
+    { name: 'Xiao Man', english: 'Grain Buds', jie: false },         // 小滿 60°
+    { name: 'Mang Zhong', english: 'Grain in Ear', jie: true },      // 芒種 75°
+    { name: 'Xia Zhi', english: 'Summer Solstice', jie: false },      // 夏至 90°
+    { name: 'Xiao Shu', english: 'Minor Heat', jie: true },          // 小暑 105°
+    { name: 'Da Shu', english: 'Major Heat', jie: false },           // 大暑 120°
+    { name: 'Li Qiu', english: 'Start of Autumn', jie: true },       // 立秋 135°
+    { name: 'Chu Shu', english: 'End of Heat', jie: false },         // 處暑 150°
+    { name: 'Bai Lu', english: 'White Dew', jie: true },             // 白露 165°
+    { name: 'Qiu Fen', english: 'Autumn Equinox', jie: false },      // 秋分 180°
+    { name: 'Han Lu', english: 'Cold Dew', jie: true },              // 寒露 195°
+    { name: 'Shuang Jiang', english: 'Frost Descent', jie: false },  // 霜降 210°
+    { name: 'Li Dong', english: 'Start of Winter', jie: true },      // 立冬 225°
+    { name: 'Xiao Xue', english: 'Minor Snow', jie: false },         // 小雪 240°
+    { name: 'Da Xue', english: 'Major Snow', jie: true },            // 大雪 255°
+    { name: 'Dong Zhi', english: 'Winter Solstice', jie: false },    // 冬至 270°
+    { name: 'Xiao Han', english: 'Minor Cold', jie: true },          // 小寒 285°
+    { name: 'Da Han', english: 'Major Cold', jie: false },           // 大寒 300°
+    { name: 'Li Chun', english: 'Start of Spring', jie: true },      // 立春 315°
+    { name: 'Yu Shui', english: 'Rain Water', jie: false },          // 雨水 330°
+    { name: 'Jing Zhe', english: 'Awakening of Insects', jie: true } // 驚蟄 345°
+];
+
+// Abbreviated VSOP87 periodic terms for the Earth, [A, B, C] so that each
+// term contributes A·cos(B + C·τ) with τ in Julian millennia from J2000.0.
+const vsopEarthL = [
+    [
+        [175347046, 0, 0], [3341656, 4.6692568, 6283.07585], [34894, 4.6261, 12566.1517],
+        [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+        [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+        [1273, 2.0371, 529.691], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+        [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+        [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+        [357, 2.92, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+        [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+        [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+        [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.98],
+        [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+        [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+        [85, 1.3, 6275.96], [85, 3.67, 71430.7], [80, 1.81, 17260.15],
+        [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.5, 3154.69],
+        [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+        [61, 1.82, 7084.9], [57, 2.78, 6286.6], [56, 4.39, 14143.5],
+        [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+        [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+        [41, 2.4, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+        [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+        [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+        [25, 3.16, 4690.48]
+    ],
+    [
+        [628331966747, 0, 0], [206059, 2.678235, 6283.07585], [4303, 2.6351, 12566.1517],
+        [425, 1.59, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+        [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+        [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+        [45, 0.4, 796.3], [36, 0.47, 775.52], [29, 2.65, 7.11],
+        [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.3],
+        [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+        [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+        [12, 5.27, 1194.45], [12, 2.08, 4694], [11, 0.77, 553.57],
+        [10, 1.3, 6286.6], [10, 4.24, 1349.87], [9, 2.7, 242.73],
+        [9, 5.64, 951.72], [8, 5.3, 2352.87], [6, 2.65, 9437.76],
+        [6, 4.67, 4690.48]
+    ],
+    [
+        [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+        [27, 0.05, 3.52], [16, 5.19, 26.3], [16, 3.68, 155.42],
+        [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+        [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+        [3, 5.14, 796.3], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+        [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+        [2, 4.38, 5223.69], [2, 3.75, 0.98]
+    ],
+    [
+        [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+        [3, 5.2, 155.42], [1, 4.72, 3.52], [1, 5.3, 18849.23],
+        [1, 5.97, 242.73]
+    ],
+    [
+        [114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]
+    ],
+    [
+        [1, 3.14, 0]
+    ]
+];
+
+const vsopEarthR = [
+    [
+        [100013989, 0, 0], [1670700, 3.0984635, 6283.07585], [13956, 3.05525, 12566.1517],
+        [3084, 5.1985, 77713.7715], [1628, 1.1739, 5753.3849], [1576, 2.8469, 7860.4194],
+        [925, 5.453, 11506.77], [542, 4.564, 3930.21], [472, 3.661, 5884.927],
+        [346, 0.964, 5507.553], [329, 5.9, 5223.694], [307, 0.299, 5573.143],
+        [243, 4.273, 11790.629], [212, 5.847, 1577.344], [186, 5.022, 10977.079],
+        [175, 3.012, 18849.228], [110, 5.055, 5486.778], [98, 0.89, 6069.78],
+        [86, 5.69, 15720.84], [86, 1.27, 161000.69], [65, 0.27, 17260.15],
+        [63, 0.92, 529.69], [57, 2.01, 83996.85], [56, 5.24, 71430.7],
+        [49, 3.25, 2544.31], [47, 2.58, 775.52], [45, 5.54, 9437.76],
+        [43, 6.01, 6275.96], [39, 5.36, 4694], [38, 2.39, 8827.39],
+        [37, 0.83, 19651.05], [37, 4.9, 12139.55], [36, 1.67, 12036.46],
+        [35, 1.84, 2942.46], [33, 0.24, 7084.9], [32, 0.18, 5088.63],
+        [32, 1.78, 398.15], [28, 1.21, 6286.6], [28, 1.9, 6279.55],
+        [26, 4.59, 10447.39]
+    ],
+    [
+        [103019, 1.10749, 6283.07585], [1721, 1.0644, 12566.1517], [702, 3.142, 0],
+        [32, 1.02, 18849.23], [31, 2.84, 5507.55], [25, 1.32, 5223.69],
+        [18, 1.42, 1577.34], [10, 5.91, 10977.08], [9, 1.42, 6275.96],
+        [9, 0.27, 5486.78]
+    ],
+    [
+        [4359, 5.7846, 6283.0758], [124, 5.579, 12566.152], [12, 3.14, 0],
+        [9, 3.63, 77713.77], [6, 1.87, 5573.14], [3, 5.47, 18849.23]
+    ],
+    [
+        [145, 4.273, 6283.076], [7, 3.92, 12566.15]
+    ],
+    [
+        [4, 2.56, 6283.08]
+    ]
+];
+
+const degToRad = Math.PI / 180;
+const meanTropicalYear = 365.242189;
+
+/**
+ * Sum a VSOP87 series as a polynomial in τ whose coefficients are the
+ * periodic sums, scaled back from units of 10⁻⁸.
+ *
+ * @param {Array<Array<number[]>>} series
+ * @param {number} tau - Julian millennia from J2000.0 (TT)
+ * @returns {number}
+ */
+function evaluateVsopSeries(series, tau) {
+    let result = 0;
+    let tauPower = 1;
+    series.forEach(terms => {
+        let sum = 0;
+        terms.forEach(([a, b, c]) => {
+            sum += a * Math.cos(b + c * tau);
+        });
+        result += sum * tauPower;
+        tauPower *= tau;
+    });
+    return result / 1e8;
+}
+
+/**
+ * ΔT = TT − UT in seconds for a decimal year, using the polynomial
+ * expressions of Espenak and Meeus (NASA Five Millennium Canon of Eclipses).
+ *
+ * @param {number} year - decimal year
+ * @returns {number}
+ */
+function deltaTSeconds(year) {
+    let t;
+    let u;
+    if (year < -500 || year >= 2150) {
+        u = (year - 1820) / 100;
+        return -20 + 32 * u * u;
+    }
+    if (year < 500) {
+        u = year / 100;
+        return 10583.6 - 1014.41 * u + 33.78311 * u ** 2 - 5.952053 * u ** 3
+            - 0.1798452 * u ** 4 + 0.022174192 * u ** 5 + 0.0090316521 * u ** 6;
+    }
+    if (year < 1600) {
+        u = (year - 1000) / 100;
+        return 1574.2 - 556.01 * u + 71.23472 * u ** 2 + 0.319781 * u ** 3
+            - 0.8503463 * u ** 4 - 0.005050998 * u ** 5 + 0.0083572073 * u ** 6;
+    }
+    if (year < 1700) {
+        t = year - 1600;
+        return 120 - 0.9808 * t - 0.01532 * t ** 2 + t ** 3 / 7129;
+    }
+    if (year < 1800) {
+        t = year - 1700;
+        return 8.83 + 0.1603 * t - 0.0059285 * t ** 2 + 0.00013336 * t ** 3 - t ** 4 / 1174000;
+    }
+    if (year < 1860) {
+        t = year - 1800;
+        return 13.72 - 0.332447 * t + 0.0068612 * t ** 2 + 0.0041116 * t ** 3 - 0.00037436 * t ** 4
+            + 0.0000121272 * t ** 5 - 0.0000001699 * t ** 6 + 0.000000000875 * t ** 7;
+    }
+    if (year < 1900) {
+        t = year - 1860;
+        return 7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3
+            - 0.0004473624 * t ** 4 + t ** 5 / 233174;
+    }
+    if (year < 1920) {
+        t = year - 1900;
+        return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+    }
+    if (year < 1941) {
+        t = year - 1920;
+        return 21.2 + 0.84493 * t - 0.0761 * t ** 2 + 0.0020936 * t ** 3;
+    }
+    if (year < 1961) {
+        t = year - 1950;
+        return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+    }
+    if (year < 1986) {
+        t = year - 1975;
+        return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+    }
+    if (year < 2005) {
+        t = year - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3
+            + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (year < 2050) {
+        t = year - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+    }
+    return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+}
+
+/**
+ * Convert a Date (an instant in UT) to a Julian Ephemeris Day (TT).
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+function julianEphemerisDay(date) {
+    const jd = date.getTime() / 86400000 + 2440587.5;
+    const decimalYear = 2000 + (jd - 2451545) / 365.25;
+    return jd + deltaTSeconds(decimalYear) / 86400;
+}
+
+/**
+ * Nutation in longitude and obliquity (arc seconds), using the short
+ * expressions from Meeus chapter 22 (accurate to about 0.5″).
+ *
+ * @param {number} jde
+ * @returns {{longitude: number, obliquity: number}}
+ */
+function nutation(jde) {
+    const t = (jde - 2451545) / 36525;
+    const omega = (125.04452 - 1934.136261 * t) * degToRad;
+    const sunMean = (280.4665 + 36000.7698 * t) * degToRad;
+    const moonMean = (218.3165 + 481267.8813 * t) * degToRad;
+    return {
+        longitude: -17.2 * Math.sin(omega) - 1.32 * Math.sin(2 * sunMean)
+            - 0.23 * Math.sin(2 * moonMean) + 0.21 * Math.sin(2 * omega),
+        obliquity: 9.2 * Math.cos(omega) + 0.57 * Math.cos(2 * sunMean)
+            + 0.1 * Math.cos(2 * moonMean) - 0.09 * Math.cos(2 * omega)
+    };
+}
+
+/**
+ * Apparent geocentric longitude of the Sun at a Julian Ephemeris Day.
+ *
+ * @param {number} jde
+ * @returns {number} degrees in [0, 360)
+ */
+function apparentSolarLongitudeAt(jde) {
+    const tau = (jde - 2451545) / 365250;
+    const earthLongitude = evaluateVsopSeries(vsopEarthL, tau);
+    const radius = evaluateVsopSeries(vsopEarthR, tau);
+    // Geocentric longitude is the heliocentric Earth longitude turned by 180°
+    let lambda = earthLongitude / degToRad + 180;
+    // FK5 correction, nutation and aberration, all in arc seconds
+    lambda += (-0.09033 + nutation(jde).longitude - 20.4898 / radius) / 3600;
+    return positiveMod(lambda, 360);
+}
+
+/**
+ * Apparent longitude of the Sun for an instant.
+ *
+ * @param {Date} date
+ * @returns {number} degrees in [0, 360)
+ */
+function solarLongitude(date) {
+    return apparentSolarLongitudeAt(julianEphemerisDay(date));
+}
+
+/**
+ * Equation of time (apparent minus mean solar time) in minutes, following
+ * Meeus chapter 28. Positive values mean a sundial runs ahead of the mean
+ * clock.
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+function equationOfTime(date) {
+    const jde = julianEphemerisDay(date);
+    const tau = (jde - 2451545) / 365250;
+    const t = tau * 10;
+    const meanLongitude = 280.4664567 + 360007.6982779 * tau + 0.03032028 * tau ** 2
+        + tau ** 3 / 49931 - tau ** 4 / 15300 - tau ** 5 / 2000000;
+    const nut = nutation(jde);
+    const meanObliquity = 23.4392911 - (46.815 * t + 0.00059 * t ** 2 - 0.001813 * t ** 3) / 3600;
+    const obliquity = (meanObliquity + nut.obliquity / 3600) * degToRad;
+    const lambda = apparentSolarLongitudeAt(jde) * degToRad;
+    const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(lambda), Math.cos(lambda)) / degToRad;
+    const e = meanLongitude - 0.0057183 - rightAscension + (nut.longitude / 3600) * Math.cos(obliquity);
+    // Four minutes of time per degree
+    return (positiveMod(e + 180, 360) - 180) * 4;
+}
+
+/**
+ * Find the instant at which the Sun reaches `index × 15°` during a Gregorian
+ * year. Starts from the mean motion and refines with Newton steps until the
+ * correction is below a second.
+ *
+ * @param {number} year
+ * @param {number} index - 0 (Chun Fen, 0°) … 23 (Jing Zhe, 345°)
+ * @returns {Date}
+ */
+function solarTermInstant(year, index) {
+    const target = index * 15;
+    // Days after the March equinox; the terms from Xiao Han to Jing Zhe fall
+    // before it, early in the same calendar year.
+    let offsetDays = index * meanTropicalYear / 24;
+    if (index >= 19) {
+        offsetDays -= meanTropicalYear;
+    }
+    const equinox = new Date(Date.UTC(2000, 2, 20, 12));
+    // setUTCFullYear keeps years 0–99 literal, unlike Date.UTC
+    equinox.setUTCFullYear(year);
+    let ms = equinox.getTime() + offsetDays * 86400000;
+    for (let i = 0; i < 10; i++) {
+        const lambda = solarLongitude(new Date(ms));
+        let diff = target - lambda;
+        diff = positiveMod(diff + 180, 360) - 180;
+        const correction = diff * meanTropicalYear / 360 * 86400000;
+        ms += correction;
+        if (Math.abs(correction) < 1000) {
+            break;
+        }
+    }
+    return new Date(Math.round(ms / 1000) * 1000);
+}
+
+const solarTermCache = {};
+
+/**
+ * The 24 solar terms that begin within a Gregorian year, in chronological
+ * order (Xiao Han in January through Dong Zhi in December). Results are
+ * cached per year.
+ *
+ * @param {number} year
+ * @returns {Array<{index: number, name: string, english: string, jie: boolean, longitude: number, date: Date}>}
+ */
+function getSolarTermsForYear(year) {
+    if (!solarTermCache[year]) {
+        const order = [19, 20, 21, 22, 23, 0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18];
+        solarTermCache[year] = order.map(index => ({
+            index,
+            ...solarTermNames[index],
+            longitude: index * 15,
+            date: solarTermInstant(year, index)
+        }));
+    }
+    return solarTermCache[year];
+}
+
+/**
+ * Terms of the surrounding years merged into one chronological list, so a
+ * search near 1 January still finds its neighbours.
+ *
+ * @param {Date} date
+ * @returns {Array<Object>}
+ */
+function solarTermsAround(date) {
+    const year = date.getUTCFullYear();
+    return [
+        ...getSolarTermsForYear(year - 1),
+        ...getSolarTermsForYear(year),
+        ...getSolarTermsForYear(year + 1)
+    ];
+}
+
+/**
+ * The solar term in effect at an instant, with its start and the start of
+ * the following term.
+ *
+ * @param {Date} date
+ * @returns {{index: number, name: string, english: string, jie: boolean, longitude: number, date: Date, next: Object}}
+ */
+function getSolarTermAt(date) {
+    const terms = solarTermsAround(date);
+    for (let i = terms.length - 1; i > 0; i--) {
+        if (terms[i - 1].date <= date && date < terms[i].date) {
+            return { ...terms[i - 1], next: terms[i] };
+        }
+    }
+    return null;
+}
+
+/**
+ * The most recent Jie term at or before an instant (the start of the solar
+ * month in which the instant falls).
+ *
+ * @param {Date} date
+ * @returns {Object}
+ */
+function getPreviousJie(date) {
+    const terms = solarTermsAround(date).filter(term => term.jie);
+    for (let i = terms.length - 1; i >= 0; i--) {
+        if (terms[i].date <= date) {
+            return terms[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * The first Jie term strictly after an instant (the start of the next solar
+ * month).
+ *
+ * @param {Date} date
+ * @returns {Object}
+ */
+function getNextJie(date) {
+    return solarTermsAround(date).find(term => term.jie && term.date > date) || null;
+}
+
+/**
+ * Li Chun (Start of Spring), the instant at which the solar year and the
+ * Year pillar change.
+ *
+ * @param {number} year
+ * @returns {Date}
+ */
+function getLiChun(year) {
+    return getSolarTermsForYear(year).find(term => term.index === 21).date;
+}
+
+/**
+ * Index of the solar month containing an instant, counted from the Yin month
+ * that opens at Li Chun (0) to the Chou month that opens at Xiao Han (11).
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+function getSolarMonthIndex(date) {
+    const jie = getPreviousJie(date);
+    // Jie longitudes are 315°, 345°, 15°, … so each step of 30° is one month
+    return positiveMod(Math.round((jie.longitude - 315) / 30), 12);
+}
@@ -0,0 +1,66 @@
+/*
+ * True solar time for the birth moment. The hour pillar follows the Sun, not
+ * the clock: the clock time is first taken back to UTC using the zone's
+ * offset (removing daylight saving), then moved to local mean time by the
+ * birth longitude and finally to apparent solar time by the equation of
+ * time.
+ */
+
+/**
+ * Resolve a birth date, clock time and "City, Country" location into the
+ * birth instant and the local true solar time used for the Day and Hour
+ * pillars. Places missing from the gazetteer fall back to the browser's
+ * zone with no correction (`place` is then null).
+ *
+ * @param {string} dob - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} [location] - "City, Country"
+ * @returns {{location: string, place: Object|null, instant: Date,
+ *     clock: {year: number, month: number, day: number, hour: number, minute: number},
+ *     solar: {year: number, month: number, day: number, hour: number, minute: number},
+ *     corrections: {zoneOffset: number, daylightSaving: number, longitude: number, equationOfTime: number}|null}}
+ */
+function resolveBirthTime(dob, time, location) {
+    const [year, month, day] = dob.split('-').map(Number);
+    const [hour, minute = 0] = time.split(':').map(Number);
+    const clock = { year, month, day, hour, minute };
+    const place = findGazetteerCity(location);
+    if (!place) {
+        return {
+            location: location || '',
+            place: null,
+            instant: new Date(year, month - 1, day, hour, minute),
+            clock,
+            solar: clock,
+            corrections: null
+        };
+    }
+    const instant = zonedTimeToUtc(year, month, day, hour, minute, place.zone);
+    const zoneOffset = getTimeZoneOffsetMinutes(place.zone, instant);
+    const standardOffset = getStandardOffsetMinutes(place.zone, year);
+    // All three corrections are in minutes and add up to the shift from the
+    // clock to true solar time.
+    const corrections = {
+        zoneOffset,
+        daylightSaving: standardOffset - zoneOffset,
+        longitude: place.longitude * 4 - standardOffset,
+        equationOfTime: equationOfTime(instant)
+    };
+    const shift = corrections.daylightSaving + corrections.longitude + corrections.equationOfTime;
+    const solarMs = Date.UTC(year, month - 1, day, hour, minute) + shift * 60000;
+    const solarDate = new Date(Math.round(solarMs / 60000) * 60000);
+    return {
+        location,
+        place,
+        instant,
+        clock,
+        solar: {
+            year: solarDate.getUTCFullYear(),
+            month: solarDate.getUTCMonth() + 1,
+            day: solarDate.getUTCDate(),
+            hour: solarDate.getUTCHours(),
+            minute: solarDate.getUTCMinutes()
+        },
+        corrections
+    };
+}
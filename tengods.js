@@ -0,0 +1,102 @@
+/*
+ * Hidden stems, polarity and the Ten Gods (十神). Every branch stores one
+ * to three hidden stems, main qi first. Each stem stands in one of ten
+ * relations to the Day Master, given by its element relation (see
+ * elementRelation() in daymaster.js) and whether its polarity matches.
+ */
+
+const hiddenStems = {
+    Zi: ['Gui'],
+    Chou: ['Ji', 'Gui', 'Xin'],
+    Yin: ['Jia', 'Bing', 'Wu'],
+    Mao: ['Yi'],
+    Chen: ['Wu', 'Yi', 'Gui'],
+    Si: ['Bing', 'Geng', 'Wu'],
+    Wu: ['Ding', 'Ji'],
+    Wei: ['Ji', 'Ding', 'Yi'],
+    Shen: ['Geng', 'Ren', 'Wu'],
+    You: ['Xin'],
+    Xu: ['Wu', 'Xin', 'Ding'],
+    Hai: ['Ren', 'Jia']
+};
+
+// Ten God names by element relation, for the same and the opposite polarity
+const tenGodNames = {
+    companion: { same: 'Friend', opposite: 'Rob Wealth' },
+    output: { same: 'Eating God', opposite: 'Hurting Officer' },
+    wealth: { same: 'Indirect Wealth', opposite: 'Direct Wealth' },
+    officer: { same: 'Seven Killings', opposite: 'Direct Officer' },
+    resource: { same: 'Indirect Resource', opposite: 'Direct Resource' }
+};
+
+/**
+ * Yin or Yang polarity of a stem or branch. The first, third, … member of
+ * either cycle (Jia, Bing, …; Zi, Yin, …) is Yang.
+ *
+ * @param {string} name - stem or branch name
+ * @returns {string} 'Yang' or 'Yin' ('' for an unknown name)
+ */
+function polarityOf(name) {
+    let index = heavenlyStems.indexOf(name);
+    if (index < 0) index = earthlyBranches.indexOf(name);
+    if (index < 0) return '';
+    return index % 2 === 0 ? 'Yang' : 'Yin';
+}
+
+/**
+ * Ten God of a stem relative to the Day Master stem.
+ *
+ * @param {string} dayMaster - Day stem
+ * @param {string} stem
+ * @returns {string} e.g. 'Direct Wealth' ('' for unknown stems)
+ */
+function tenGodOf(dayMaster, stem) {
+    if (!stemElements[dayMaster] || !stemElements[stem]) return '';
+    const relation = elementRelation(stemElements[stem], stemElements[dayMaster]);
+    return tenGodNames[relation][polarityOf(stem) === polarityOf(dayMaster) ? 'same' : 'opposite'];
+}
+
+/**
+ * Describe every character of a chart: element, polarity and Ten God of
+ * each stem, and element, polarity and hidden stems (with their Ten Gods)
+ * of each branch, plus the count of each element over the eight
+ * characters.
+ *
+ * @param {Array<{pillar: string, stem: string, branch: string}>} chart
+ * @returns {{pillars: Array<{pillar: string,
+ *     stem: {name: string, element: string, polarity: string, tenGod: string},
+ *     branch: {name: string, element: string, polarity: string},
+ *     hidden: Array<{name: string, element: string, tenGod: string}>}>,
+ *     elementCounts: Object<string, number>}}
+ */
+function describeChart(chart) {
+    const day = chart.find(p => p.pillar === 'Day');
+    const dayMaster = day ? day.stem : '';
+    const elementCounts = { Wood: 0, Fire: 0, Earth: 0, Metal: 0, Water: 0 };
+    const pillars = chart.map(p => {
+        const stemElement = stemElements[p.stem] || '';
+        const branchElement = branchElements[p.branch] || '';
+        if (stemElement) elementCounts[stemElement] += 1;
+        if (branchElement) elementCounts[branchElement] += 1;
+        return {
+            pillar: p.pillar,
+            stem: {
+                name: p.stem,
+                element: stemElement,
+                polarity: polarityOf(p.stem),
+                tenGod: p.pillar === 'Day' ? 'Day Master' : tenGodOf(dayMaster, p.stem)
+            },
+            branch: {
+                name: p.branch,
+                element: branchElement,
+                polarity: polarityOf(p.branch)
+            },
+            hidden: (hiddenStems[p.branch] || []).map(name => ({
+                name,
+                element: stemElements[name],
+                tenGod: tenGodOf(dayMaster, name)
+            }))
+        };
+    });
+    return { pillars, elementCounts };
+}
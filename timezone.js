@@ -0,0 +1,125 @@
+/*
+ * Time zone helpers built on the browser's own IANA database (Intl), so
+ * historical offsets and daylight saving rules need no bundled data.
+ */
+
+const timeZoneFormatters = {};
+
+/**
+ * Cached formatter that reports wall‑clock fields in a given zone.
+ *
+ * @param {string} zone - IANA zone such as "Asia/Singapore"
+ * @returns {Intl.DateTimeFormat}
+ */
+function zoneFormatter(zone) {
+    if (!timeZoneFormatters[zone]) {
+        timeZoneFormatters[zone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+    return timeZoneFormatters[zone];
+}
+
+/**
+ * Wall‑clock fields of an instant as seen in a zone.
+ *
+ * @param {Date} date
+ * @param {string} zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date, zone) {
+    const parts = {};
+    zoneFormatter(zone).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        second: Number(parts.second)
+    };
+}
+
+/**
+ * UTC offset of a zone at an instant, in minutes east of Greenwich
+ * (Singapore today is +480). Includes any daylight saving in force.
+ *
+ * @param {string} zone
+ * @param {Date} date
+ * @returns {number}
+ */
+function getTimeZoneOffsetMinutes(zone, date) {
+    const p = getZonedParts(date, zone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Standard (non‑daylight‑saving) offset of a zone during a year, taken as the
+ * smaller of its January and July offsets so it works in both hemispheres.
+ *
+ * @param {string} zone
+ * @param {number} year
+ * @returns {number}
+ */
+function getStandardOffsetMinutes(zone, year) {
+    return Math.min(
+        getTimeZoneOffsetMinutes(zone, new Date(Date.UTC(year, 0, 1))),
+        getTimeZoneOffsetMinutes(zone, new Date(Date.UTC(year, 6, 1)))
+    );
+}
+
+/**
+ * Instant at which the wall clock of a zone shows the given local time. A
+ * time skipped by a daylight saving change resolves to the later offset.
+ *
+ * @param {number} year
+ * @param {number} month - 1‑12
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} zone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, zone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const firstOffset = getTimeZoneOffsetMinutes(zone, new Date(guess));
+    let ms = guess - firstOffset * 60000;
+    const secondOffset = getTimeZoneOffsetMinutes(zone, new Date(ms));
+    if (secondOffset !== firstOffset) {
+        ms = guess - secondOffset * 60000;
+    }
+    return new Date(ms);
+}
+
+/**
+ * Format an offset in minutes as "UTC+07:30".
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatUtcOffset(minutes) {
+    const sign = minutes < 0 ? '−' : '+';
+    const abs = Math.abs(minutes);
+    const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+    const mm = String(abs % 60).padStart(2, '0');
+    return `UTC${sign}${hh}:${mm}`;
+}
+
+/**
+ * IANA zone of the browser, used for the user's own clock.
+ *
+ * @returns {string}
+ */
+function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
@@ -0,0 +1,45 @@
+/*
+ * Web Worker that runs the date-scoring engine (engine.js) off the page's
+ * main thread, so long ranges do not freeze the page. The page posts one
+ * search at a time with the activity rules it loaded; the worker answers
+ * with progress messages and then the dates and all the days scored,
+ * explained in the page's language. A search is cancelled by terminating
+ * the worker.
+ */
+
+importScripts(
+    'i18n.js',
+    'calendar.js',
+    'solarterms.js',
+    'timezone.js',
+    'qimen.js',
+    'rules.js',
+    'daymaster.js',
+    'tengods.js',
+    'luckpillars.js',
+    'almanac.js',
+    'clashes.js',
+    'exchanges.js',
+    'engine.js'
+);
+
+/**
+ * Score a search posted by the page.
+ *
+ * @param {MessageEvent<{start: Date, end: Date, activities: string[], people: Array<Object>,
+ *     market: Object|null, rules: Object[], locale: string, pinyin: boolean}>} event
+ */
+self.onmessage = event => {
+    const { start, end, activities, people, market, rules, locale, pinyin } = event.data;
+    installActivityRules(rules);
+    setLocale(locale, pinyin);
+    // Report about every percent so the messages do not swamp the page
+    let reported = 0;
+    const { goodDates, days } = generateGoodDates(start, end, activities, people, market, (done, total) => {
+        if (done === total || done - reported >= Math.max(1, Math.floor(total / 100))) {
+            reported = done;
+            self.postMessage({ type: 'progress', done, total });
+        }
+    });
+    self.postMessage({ type: 'done', goodDates, days });
+};